@@ -1,328 +1,749 @@
 import express from "express";
 import cors from "cors";
 import admin from "firebase-admin";
-import fetch from "node-fetch"; // Make sure you have installed node-fetch
+import {
+  SIGNATURE_HEADER,
+  verifyKashierSignature,
+  kashierEventId,
+  kashierEventTimestamp,
+  signedFields,
+  kashierPaymentIds,
+  normalizeKashierStatus,
+} from "./lib/kashierWebhook.js";
+import {
+  fetchKashierSession,
+  kashierSessionPayload,
+  createKashierSession,
+} from "./lib/kashier.js";
+import {
+  quoteCheckout,
+  promoRecord,
+  reservePromo,
+  cancelPromoReservation,
+  releasePromoReservation,
+} from "./lib/promos.js";
+import {
+  reserveSeat,
+  cancelRegistration,
+  registrationEmailPayload,
+  normalizeEmail,
+  workshopRef,
+  isPaidWorkshop,
+  releaseHold,
+} from "./lib/workshops.js";
+import { idempotency } from "./lib/idempotency.js";
+import { APPSCRIPT_URL } from "./lib/appsScript.js";
+import { EMAIL_PROVIDER } from "./lib/notify/index.js";
+import { renderEmail, SAMPLE_PAYLOADS } from "./lib/notify/render.js";
+import { signingConfigured, EVENT_ID } from "./lib/tickets.js";
+import {
+  getEvent,
+  listEvents,
+  listEventPackages,
+  eventView,
+  ticketScope,
+} from "./lib/events.js";
+import {
+  admitTicket,
+  ticketStatus,
+  rejectTicketCode,
+} from "./lib/checkin.js";
+import {
+  attendeeOf,
+  ticketsView,
+  assignTicket,
+  transferTicket,
+} from "./lib/attendees.js";
+import {
+  buildManifest,
+  manifestPublicKey,
+  manifestSigningConfigured,
+  syncScans,
+} from "./lib/scannerSync.js";
+import {
+  computeTotals,
+  totalsView,
+  createDashboard,
+} from "./lib/dashboard.js";
+import { renderQr } from "./lib/qr.js";
+import {
+  ticketDetails,
+  renderTicketPdf,
+  ticketCalendarEntries,
+  workshopCalendarEntries,
+} from "./lib/ticketDocs.js";
+import { buildCalendar } from "./lib/calendar.js";
+import { fulfillPayment } from "./lib/fulfillment.js";
+import { refundPayment } from "./lib/refunds.js";
+import { runReconciliation, startReconciler } from "./lib/reconcile.js";
+import {
+  REGISTRATIONS_SPEC,
+  PAYMENTS_SPEC,
+  MAX_EXPORT_ROWS,
+  listPage,
+  listAll,
+  toCsv,
+  toXlsx,
+} from "./lib/adminQuery.js";
+import {
+  staffAuth,
+  hashPassword,
+  verifyPassword,
+  roleCovers,
+  issueStaffJwt,
+  createApiToken,
+  jwtConfigured,
+  tokenFromQuery,
+} from "./lib/auth.js";
+import { validate, REDIRECT_ORIGINS } from "./lib/validation.js";
+import { createRateLimiter, openRateLimitStore } from "./lib/rateLimit.js";
+import { requestContext, staffActor, auditTrail } from "./lib/audit.js";
+import {
+  isSuccess,
+  isSettled,
+  applyPaymentStatus,
+} from "./lib/paymentState.js";
+import * as schemas from "./lib/schemas.js";
+import { openDatabase } from "./lib/db.js";
+import { REGISTRATIONS, createRepository } from "./lib/repository.js";
+import { enqueueEmail, redriveJobs, startOutboxWorker } from "./lib/outbox.js";
 
 const app = express();
 app.use(cors());
 app.use(express.json());
+// Behind a proxy (Railway, Cloud Run, ...) req.ip is the proxy's address
+// unless TRUST_PROXY says which hops to trust: a number of hops or Express
+// "trust proxy" addresses. Rate limits count by req.ip.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    Number.isInteger(hops) ? hops : process.env.TRUST_PROXY
+  );
+}
 
-// Use environment variables for APPSCRIPT_URL and APPSCRIPT_TOKEN
-const APPSCRIPT_URL = process.env.APPSCRIPT_URL;
-const APPSCRIPT_TOKEN = process.env.APPSCRIPT_TOKEN;
-
-// Initialize Firebase Admin.
-// On Railway you can provide the service account JSON as the
-// environment variable `GOOGLE_SERVICE_ACCOUNT` (one-line JSON string).
-// If not present we fall back to default credentials.
-let db;
-try {
-  if (process.env.GOOGLE_SERVICE_ACCOUNT) {
-    try {
-      const svc = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT);
-      admin.initializeApp({ credential: admin.credential.cert(svc) });
-      console.log(
-        "Initialized firebase-admin using GOOGLE_SERVICE_ACCOUNT env"
-      );
-    } catch (err) {
-      console.error(
-        "Failed to parse GOOGLE_SERVICE_ACCOUNT JSON, falling back to default credentials:",
-        err
-      );
-      admin.initializeApp();
-    }
-  } else {
-    admin.initializeApp();
-    console.log("Initialized firebase-admin with default credentials");
-  }
-  db = admin.firestore();
-} catch (e) {
-  console.error(
-    "Failed to initialize firebase-admin or obtain firestore instance:",
-    e
+// Secret used to check the `x-kashier-signature` header on webhooks. Kashier
+// signs with the payment API key, so that is used when no dedicated secret is set.
+const KASHIER_WEBHOOK_SECRET =
+  process.env.KASHIER_WEBHOOK_SECRET || process.env.KASHIER_API_KEY || null;
+// Events whose timestamp is older than this are treated as replays
+const KASHIER_WEBHOOK_TOLERANCE_MS =
+  Number(process.env.KASHIER_WEBHOOK_TOLERANCE_SECONDS || 900) * 1000;
+
+// Firestore, or the in-memory store with STORAGE_BACKEND=memory; see lib/db.js
+const db = openDatabase();
+const repo = db ? createRepository(db) : null;
+
+// Without storage every API route would fail; say so clearly instead
+app.use("/api", (req, res, next) => {
+  if (!db) return res.status(503).json({ error: "storage unavailable" });
+  next();
+});
+
+if (EMAIL_PROVIDER === "appsscript" && !APPSCRIPT_URL) {
+  console.warn(
+    "APPSCRIPT_URL not set; queued emails will be retried until configured"
+  );
+}
+
+// Background delivery of queued emails
+const outbox = db
+  ? startOutboxWorker(db, Number(process.env.OUTBOX_POLL_MS || 15000))
+  : { kick() {} };
+
+// Periodically re-verify payment sessions that never reached a final status
+const RECONCILE_INTERVAL_MS =
+  Number(process.env.RECONCILE_INTERVAL_MINUTES || 10) * 60 * 1000;
+if (db && RECONCILE_INTERVAL_MS > 0)
+  startReconciler(db, {
+    verify: fetchKashierSession,
+    intervalMs: RECONCILE_INTERVAL_MS,
+    onFulfilled: () => outbox.kick(),
+  });
+
+// Role-gated staff routes; see lib/auth.js
+const requireRole = staffAuth(db);
+// Per-route rate limits and lockouts; see lib/rateLimit.js
+const limit = createRateLimiter(openRateLimitStore());
+const dashboard = repo ? createDashboard(repo) : null;
+
+if (!signingConfigured()) {
+  console.warn(
+    "TICKET_SIGNING_KEYS not set; /api/payment/fulfill cannot issue tickets"
   );
 }
 
-if (!APPSCRIPT_URL) {
+if (!manifestSigningConfigured()) {
   console.warn(
-    "APPSCRIPT_URL not set; endpoint will return 500 until configured"
+    "SCANNER_SIGNING_KEY not set; scanner manifests are signed with a temporary key"
   );
 }
 
-app.post("/api/register", async (req, res) => {
+if (!REDIRECT_ORIGINS.length) {
+  console.warn(
+    "ALLOWED_REDIRECT_ORIGINS and FRONTEND_BASE not set; /api/payment/session will reject every merchantRedirect"
+  );
+}
+
+if (!KASHIER_WEBHOOK_SECRET) {
+  console.warn(
+    "KASHIER_WEBHOOK_SECRET not set; webhooks will be re-verified with Kashier instead of signature-checked"
+  );
+}
+
+// Helper: open the Kashier checkout for a new paid workshop registration
+// (`registration` holds its fields), whose seat is held until the session
+// expires. If the session can't be created the hold is released again.
+// Returns { sessionUrl, merchantOrderId, amount, currency } or
+// { error, code }.
+async function openWorkshopCheckout(
+  req,
+  reservation,
+  registration,
+  merchantRedirect
+) {
+  const { workshop } = reservation;
+  const registrationId = reservation.ref.id;
+  const workshopId = String(req.body.workshopId);
+  const email = normalizeEmail(registration.email);
+  const amount = Number(workshop.price);
+  const currency = workshop.currency || "EGP";
+  const order = "order-" + Date.now();
   try {
-    const { workshopId, name, email, phone, age, governorate } = req.body || {};
-    if (!email || !name) return res.status(400).send("missing required fields");
+    const payload = kashierSessionPayload({
+      amount,
+      currency,
+      order,
+      merchantRedirect,
+      description: `${workshop.title || workshopId} (${order})`,
+      customer: { email, reference: registrationId },
+      metaData: { workshopId, registrationId },
+      expireAt: reservation.holdExpiresAt,
+    });
+    const { ok, data, sessionId } = await createKashierSession(payload);
+    if (!ok) {
+      await releaseHold(db, registrationId);
+      return { error: data, code: 502 };
+    }
+    const paymentRef = await repo.payments.create(
+      {
+        sessionId,
+        merchantOrderId: order,
+        status: data.status || "CREATED",
+        amount: payload.amount,
+        currency,
+        order,
+        expireAt: reservation.holdExpiresAt,
+        fulfilledAt: null,
+        workshopId,
+        workshopTitle: workshop.title || null,
+        registrationId: registrationId,
+        customerEmail: email,
+        user: {
+          name: registration.name,
+          email: registration.email,
+          phone: registration.phone,
+          age: registration.age,
+        },
+        response: data,
+      },
+      {
+        type: "session.created",
+        context: requestContext(req),
+        change: {
+          after: {
+            status: data.status || "CREATED",
+            amount: payload.amount,
+            currency,
+          },
+          details: {
+            sessionId,
+            merchantOrderId: order,
+            workshopId,
+            registrationId: registrationId,
+          },
+        },
+      }
+    );
+    await reservation.ref.update({
+      paymentId: paymentRef.id,
+      merchantOrderId: order,
+      sessionUrl: data.sessionUrl || null,
+    });
+    return {
+      sessionUrl: data.sessionUrl,
+      merchantOrderId: order,
+      amount: payload.amount,
+      currency,
+    };
+  } catch (err) {
+    await releaseHold(db, registrationId);
+    throw err;
+  }
+}
 
-    // Write registration to Firestore first
-    let docRef = null;
+app.post(
+  "/api/register",
+  limit("register"),
+  validate(schemas.REGISTER),
+  idempotency(db, "register"),
+  async (req, res) => {
     try {
-      docRef = await db.collection("workshop_registrations").add({
-        workshopId: workshopId || null,
+      const { workshopId, name, email, phone, age, governorate } = req.body;
+      const { merchantRedirect } = req.body;
+      if (!merchantRedirect) {
+        const workshop = await workshopRef(db, workshopId).get();
+        if (workshop.exists && isPaidWorkshop(workshop.data()))
+          return res
+            .status(400)
+            .json({ error: "merchantRedirect is required for paid workshops" });
+      }
+
+      // Reserve a seat (or a waitlist spot) and write the registration in one
+      // transaction so concurrent requests can't overbook the workshop
+      const registration = {
         name: name || null,
         email: email || null,
         phone: phone || null,
         age: age || null,
         governorate: governorate || null,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        // client-supplied fallbacks for workshops without title/group_link
+        program_title: req.body.program_title || null,
+        group_link: req.body.group_link || null,
         email_requested: true,
         email_sent: false,
+      };
+      // The confirmation (or waitlist) email is queued in the same
+      // transaction; paid registrations get theirs once payment succeeds
+      const reservation = await reserveSeat(db, workshopId, registration, {
+        onReserve: (t, r) => {
+          if (r.status === "pending_payment") return;
+          enqueueEmail(
+            db,
+            {
+              kind: "registration",
+              payload: registrationEmailPayload(
+                Object.assign({ workshopId: String(workshopId) }, registration),
+                r.workshop,
+                { waitlistPosition: r.waitlistPosition }
+              ),
+              target: { collection: REGISTRATIONS, id: r.ref.id },
+            },
+            t
+          );
+        },
+      });
+      if (reservation.error)
+        return res.status(reservation.code).json({ error: reservation.error });
+      const docRef = reservation.ref;
+      if (reservation.duplicate) {
+        // same email already registered for this workshop: no second email
+        console.log("Duplicate registration, returning existing", docRef.id);
+        return res.status(200).json(
+          Object.assign(
+            {
+              success: true,
+              duplicate: true,
+              registrationId: docRef.id,
+              status: reservation.status,
+            },
+            // an unpaid hold: send the registrant back to its checkout
+            reservation.status === "pending_payment"
+              ? {
+                  sessionUrl: reservation.registration.sessionUrl || null,
+                  merchantOrderId:
+                    reservation.registration.merchantOrderId || null,
+                }
+              : {}
+          )
+        );
+      }
+      console.log("Saved registration to Firestore", docRef.id, {
+        status: reservation.status,
       });
-      console.log("Saved registration to Firestore", docRef.id);
-    } catch (err) {
-      console.error("Failed to save registration to Firestore", err);
-      // continue — we still attempt to forward, but note the error
-    }
 
-    // Ensure backend is configured with Apps Script URL
-    if (!APPSCRIPT_URL) {
-      console.error(
-        "APPSCRIPT_URL not configured; cannot forward registration"
-      );
-      // update Firestore doc with error if created
-      if (docRef)
-        await docRef.update({
-          email_error: "APPSCRIPT_URL not set",
-          email_requested: false,
+      if (reservation.status === "pending_payment") {
+        const checkout = await openWorkshopCheckout(
+          req,
+          reservation,
+          registration,
+          merchantRedirect
+        );
+        if (checkout.error)
+          return res.status(checkout.code).json({ error: checkout.error });
+        return res.status(200).json({
+          success: true,
+          registrationId: docRef.id,
+          status: reservation.status,
+          holdExpiresAt: reservation.holdExpiresAt.toISOString(),
+          sessionUrl: checkout.sessionUrl,
+          merchantOrderId: checkout.merchantOrderId,
+          amount: checkout.amount,
+          currency: checkout.currency,
+          emailQueued: false,
         });
-      return res
-        .status(500)
-        .send("server misconfiguration: APPSCRIPT_URL not set");
-    }
-
-    // Forward to Apps Script as JSON (Apps Script expects JSON body)
-    const payload = {
-      name: name || "",
-      email: email || "",
-      phone: phone || "",
-      age: age || "",
-      governorate: governorate || "",
-      program_id: workshopId || "",
-      // include program title/name and optional group link so Apps Script can render email HTML
-      program_title: (req.body && req.body.program_title) || "",
-      program_name: (req.body && req.body.program_title) || "",
-      group_link: (req.body && req.body.group_link) || "",
-    };
-    if (APPSCRIPT_TOKEN) payload.token = APPSCRIPT_TOKEN;
+      }
 
-    console.log("Forwarding registration to Apps Script (JSON)", {
-      workshopId,
-      email,
-      name,
-    });
-    let resp;
-    try {
-      resp = await fetch(APPSCRIPT_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
+      outbox.kick();
+
+      return res.status(200).json({
+        success: true,
+        registrationId: docRef.id,
+        status: reservation.status,
+        waitlistPosition: reservation.waitlistPosition || null,
+        emailQueued: true,
       });
     } catch (err) {
-      console.error("Fetch to Apps Script failed", err);
-      if (docRef)
-        await docRef.update({
-          email_sent: false,
-          email_error: String(err),
-          email_requested: false,
-        });
-      throw err;
+      console.error("register error", err);
+      return res.status(500).json({ error: String(err) });
     }
-
-    const text = await resp.text();
-    // Try to parse JSON response and treat `{ error: ... }` as failure
-    let parsed = null;
+  }
+);
+
+// POST /api/register/cancel  { registrationId, email }
+// Frees the seat and promotes the first person on the waitlist, who then
+// gets the normal confirmation email.
+app.post(
+  "/api/register/cancel",
+  limit("registration"),
+  validate(schemas.CANCEL_REGISTRATION),
+  async (req, res) => {
     try {
-      parsed = JSON.parse(text);
-    } catch (e) {
-      // not JSON, ignore
+      const { registrationId, email } = req.body;
+
+      const result = await cancelRegistration(db, registrationId, email, {
+        onPromote: (t, promoted, workshop) =>
+          enqueueEmail(
+            db,
+            {
+              kind: "registration",
+              payload: registrationEmailPayload(promoted.data, workshop),
+              target: {
+                collection: REGISTRATIONS,
+                id: promoted.ref.id,
+              },
+            },
+            t
+          ),
+      });
+      if (result.error)
+        return res.status(result.code).json({ error: result.error });
+
+      const promotedId = result.promoted ? result.promoted.ref.id : null;
+      if (promotedId) {
+        console.log("Promoted registration from waitlist", promotedId);
+        outbox.kick();
+      }
+
+      return res.json({ ok: true, status: "cancelled", promoted: promotedId });
+    } catch (err) {
+      console.error("cancel registration error", err);
+      return res.status(500).json({ error: String(err) });
     }
+  }
+);
 
-    if (!resp.ok || (parsed && parsed.error)) {
-      const errMsg = parsed && parsed.error ? parsed.error : text;
-      console.error(
-        "Apps Script returned non-OK or error field",
-        resp.status,
-        errMsg
-      );
-      if (docRef)
-        await docRef.update({
-          email_sent: false,
-          email_response: text,
-          email_requested: false,
+// POST /api/payment/session
+app.post(
+  "/api/payment/session",
+  limit("paymentSession"),
+  validate(schemas.PAYMENT_SESSION),
+  idempotency(db, "payment-session"),
+  async (req, res) => {
+    try {
+      // amount/currency are never taken from the client; they come from the
+      // package catalog
+      const {
+        packageId,
+        quantity: rawQuantity,
+        merchantRedirect,
+        description,
+        customerEmail,
+        customerReference,
+        metaData,
+        age,
+        user,
+        promoCode,
+      } = req.body;
+
+      const email =
+        normalizeEmail((user && user.email) || customerEmail) || null;
+      // catalog price, minus the promo code's discount if one was given
+      const quote = await quoteCheckout(db, {
+        packageId,
+        quantity: rawQuantity,
+        promoCode,
+        email,
+      });
+      if (quote.error) return res.status(400).json({ error: quote.error });
+      const { pkg, quantity, amount } = quote;
+      const currency = pkg.currency;
+      const order = "order-" + Date.now();
+
+      // hold a use of the promo code while the buyer pays (lib/promos.js)
+      const reservedCode = quote.promo ? quote.promo.promo.code : null;
+      let promo = null;
+      if (reservedCode) {
+        const reserved = await reservePromo(db, reservedCode, email);
+        if (reserved.error)
+          return res.status(400).json({ error: reserved.error });
+        promo = Object.assign(promoRecord(quote.promo), {
+          reservedAt: reserved.reservedAt,
         });
-      return res.status(502).send(errMsg || "apps script error");
-    }
+      }
+
+      const payload = kashierSessionPayload({
+        amount,
+        currency,
+        order,
+        merchantRedirect,
+        description: description || `${pkg.title} x${quantity} (${order})`,
+        customer: {
+          email: customerEmail || "",
+          reference: customerReference || "",
+        },
+        metaData: Object.assign(
+          {},
+          metaData || {},
+          age ? { age } : {},
+          reservedCode ? { promoCode: reservedCode } : {},
+          { packageId: pkg.id, quantity }
+        ),
+      });
+      const { ok, data, sessionId } = await createKashierSession(payload);
+      if (!ok) {
+        if (reservedCode)
+          await cancelPromoReservation(db, reservedCode, email);
+        return res.status(502).json({ error: data });
+      }
 
-    // mark Firestore doc as emailed
-    if (docRef) {
+      // Persist session with merchantOrderId for reconciliation
       try {
-        await docRef.update({
-          email_sent: true,
-          email_response: text,
-          emailedAt: admin.firestore.FieldValue.serverTimestamp(),
-          email_requested: false,
-        });
+        const pdRef = await repo.payments.create(
+          {
+            sessionId,
+            merchantOrderId: payload.order,
+            status: data.status || "CREATED",
+            amount: payload.amount,
+            currency: payload.currency,
+            order: payload.order,
+            // Kashier stops accepting payment for the session after this
+            expireAt: new Date(payload.expireAt),
+            // set on fulfillment; null so reconciliation can find paid
+            // sessions that were never fulfilled
+            fulfilledAt: null,
+            packageId: pkg.id,
+            packageTitle: pkg.title,
+            // normalized for admin search
+            customerEmail: email,
+            eventId: ticketScope(pkg).eventId,
+            quantity,
+            unitPrice: pkg.price,
+            subtotal: quote.subtotal,
+            promo,
+            user: user || null,
+            response: data,
+          },
+          {
+            type: "session.created",
+            context: requestContext(req),
+            change: {
+              after: {
+                status: data.status || "CREATED",
+                amount: payload.amount,
+                currency: payload.currency,
+              },
+              details: {
+                sessionId,
+                merchantOrderId: payload.order,
+                packageId: pkg.id,
+                quantity,
+                promoCode: reservedCode,
+              },
+            },
+          }
+        );
+
+        // single payments document written above; no duplicate mapping needed
       } catch (err) {
-        console.error("Failed to update Firestore doc with email status", err);
+        console.error("Failed to write payment session to Firestore", err);
+        // nothing would redeem or release the reserved use
+        if (reservedCode)
+          await cancelPromoReservation(db, reservedCode, email).catch((e) =>
+            console.error("Failed to release promo reservation", e)
+          );
       }
-    }
 
-    return res.status(200).json({ success: true, data: text });
-  } catch (err) {
-    console.error("register error", err);
-    return res.status(500).send(String(err));
+      // Return sessionUrl to client
+      return res.json({
+        success: true,
+        sessionUrl: data.sessionUrl,
+        merchantOrderId: payload.order,
+        amount: payload.amount,
+        currency: payload.currency,
+        discount: quote.discount,
+        raw: data,
+      });
+    } catch (err) {
+      console.error("create payment session error", err);
+      return res.status(500).json({ error: String(err) });
+    }
   }
-});
+);
+
+// POST /api/promo/preview  { packageId, quantity, promoCode, email }
+// Price a purchase with a promo code without creating a session
+app.post(
+  "/api/promo/preview",
+  limit("promoPreview"),
+  validate(schemas.PROMO_PREVIEW),
+  async (req, res) => {
+    try {
+      const { packageId, quantity, promoCode, email } = req.body;
+      const quote = await quoteCheckout(db, {
+        packageId,
+        quantity,
+        promoCode,
+        email: normalizeEmail(email) || null,
+      });
+      if (quote.error) return res.status(400).json({ error: quote.error });
+      return res.json({
+        ok: true,
+        packageId: quote.pkg.id,
+        quantity: quote.quantity,
+        currency: quote.pkg.currency,
+        subtotal: quote.subtotal,
+        discount: quote.discount,
+        amount: quote.amount,
+        promo: promoRecord(quote.promo),
+      });
+    } catch (err) {
+      console.error("/api/promo/preview error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
 
-// Helper: verify session via Kashier GET API
-async function fetchKashierSession(sessionId) {
-  const base =
-    process.env.KASHIER_MODE === "live"
-      ? "https://api.kashier.io"
-      : "https://test-api.kashier.io";
-  const url = `${base}/v3/payment/sessions/${sessionId}/payment`;
-  const resp = await fetch(url, {
-    method: "GET",
-    headers: {
-      Authorization: process.env.KASHIER_SECRET,
-      "api-key": process.env.KASHIER_API_KEY,
-      "Content-Type": "application/json",
-    },
-  });
-  const data = await resp.json();
-  if (!resp.ok)
-    throw new Error(
-      `Kashier verify failed: ${resp.status} ${JSON.stringify(data)}`
-    );
-  return data; // data.data is the payment object per Kashier docs
-}
+// POST /api/payment/webhook
+app.post("/api/payment/webhook", async (req, res) => {
+  const evt = req.body || {};
+  const signature = req.get(SIGNATURE_HEADER) || null;
+  const eventId = kashierEventId(evt);
+  const check = verifyKashierSignature(
+    evt,
+    signature,
+    KASHIER_WEBHOOK_SECRET
+  );
 
-// POST /api/payment/session
-app.post("/api/payment/session", async (req, res) => {
+  // Record every received event, good or bad, for later inspection
+  let eventRef = null;
   try {
-    const {
-      amount,
-      currency = "EGP",
-      order = "order-" + Date.now(),
-      merchantRedirect,
-      description,
-      customerEmail,
-      customerReference,
-      metaData,
-      age,
-      user,
-    } = req.body || {};
-
-    if (!amount || !merchantRedirect)
-      return res
-        .status(400)
-        .json({ error: "missing amount or merchantRedirect" });
-    if (Number(amount) <= 0)
-      return res.status(400).json({ error: "invalid amount" });
-
-    const payload = {
-      expireAt: new Date(Date.now() + 1000 * 60 * 60).toISOString(),
-      maxFailureAttempts: 3,
-      paymentType: "credit",
-      amount: String(amount),
-      currency,
-      order, // merchantOrderId / order
-      merchantRedirect: merchantRedirect, // frontend must send a raw URL; encode only once here if needed
-      display: "en",
-      type: "one-time",
-      allowedMethods: "card,wallet",
-      merchantId: process.env.KASHIER_MERCHANT_ID,
-      failureRedirect: false,
-      defaultMethod: "card",
-      description: description || `Payment for ${order}`,
-      customer: {
-        email: customerEmail || "",
-        reference: customerReference || "",
-      },
-      // Disable saved-card retrieval to avoid Kashier UI attempting a browser GET
-      // to the cards endpoint (which lacks Authorization headers and returns 400).
-      retrieveSavedCard: false,
-      saveCard: "optional",
-      serverWebhook: `${process.env.SERVER_BASE}/api/payment/webhook`,
-      metaData: Object.assign({}, metaData || {}, age ? { age } : {}),
-    };
-
-    const endpoint =
-      process.env.KASHIER_MODE === "live"
-        ? "https://api.kashier.io/v3/payment/sessions"
-        : "https://test-api.kashier.io/v3/payment/sessions";
-
-    console.log("Creating Kashier session", { endpoint });
-    console.log("Kashier payload", JSON.stringify(payload));
-    const resp = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        Authorization: process.env.KASHIER_SECRET,
-        "api-key": process.env.KASHIER_API_KEY,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(payload),
+    eventRef = await repo.webhooks.record({
+      eventId,
+      event: evt.event || null,
+      signature,
+      signatureValid: check.ok,
+      signatureReason: check.reason || null,
+      body: evt,
+      ip: req.ip || null,
+      outcome: "received",
     });
+  } catch (err) {
+    console.error("Failed to record webhook event", err);
+  }
+  const markEvent = async (outcome, extra = {}) => {
+    if (!eventRef) return;
+    try {
+      await eventRef.update({
+        outcome,
+        ...extra,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } catch (err) {
+      console.error("Failed to update webhook event record", err);
+    }
+  };
 
-    const data = await resp.json();
-    console.log("Kashier response", { status: resp.status, data });
-    if (!resp.ok) return res.status(502).json({ error: data });
+  if (!check.ok && !check.fallback) {
+    console.warn("webhook rejected", { eventId, reason: check.reason });
+    await markEvent("rejected", { reason: check.reason });
+    return res.status(401).json({ error: "invalid signature" });
+  }
 
-    // Persist session with merchantOrderId for reconciliation
+  // Refuse replays: events older than the tolerance window, or whose id has
+  // already been accepted once
+  const eventTs = kashierEventTimestamp(evt);
+  if (eventTs && Date.now() - eventTs > KASHIER_WEBHOOK_TOLERANCE_MS) {
+    await markEvent("rejected", { reason: "stale event" });
+    return res.status(409).json({ error: "stale event" });
+  }
+  let replayRef = null;
+  if (eventId) {
     try {
-      const sessionId =
-        data.sessionId || data._id || (data.data && data.data._id) || null;
-      const pdRef = await db.collection("payments").add({
-        sessionId,
-        merchantOrderId: payload.order,
-        status: data.status || "CREATED",
+      replayRef = repo.webhooks.replayRef(eventId);
+      await replayRef.create({
+        eventId,
+        webhookEventId: eventRef ? eventRef.id : null,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        amount: payload.amount,
-        currency: payload.currency,
-        order: payload.order,
-        user: user || null,
-        response: data,
       });
-
-      // single payments document written above; no duplicate mapping needed
     } catch (err) {
-      console.error("Failed to write payment session to Firestore", err);
+      // 6 = ALREADY_EXISTS
+      if (err && err.code === 6) {
+        console.warn("webhook replay refused", { eventId });
+        await markEvent("replayed");
+        return res.status(409).json({ error: "replayed event" });
+      }
+      console.error("Failed to record webhook replay marker", err);
+      replayRef = null;
     }
-
-    // Return sessionUrl to client
-    return res.json({ success: true, sessionUrl: data.sessionUrl, raw: data });
-  } catch (err) {
-    console.error("create payment session error", err);
-    return res.status(500).json({ error: String(err) });
   }
-});
 
-// POST /api/payment/webhook
-app.post("/api/payment/webhook", async (req, res) => {
+  // Failed events must stay retryable, so drop the replay marker again
+  const releaseReplay = async () => {
+    if (!replayRef) return;
+    try {
+      await replayRef.delete();
+    } catch (err) {
+      console.error("Failed to release webhook replay marker", err);
+    }
+  };
+
   try {
-    const evt = req.body || {};
-    let sessionId =
-      evt.sessionId || evt._id || (evt.data && evt.data.sessionId) || null;
+    // The payment is picked from the signed fields of `data` only. Events
+    // that are re-verified with Kashier (no secret configured) can use any
+    // field, since Kashier's answer for the session is what gets stored.
+    const signed = signedFields(evt);
+    const fields = check.ok
+      ? signed
+      : Object.assign(
+          {
+            sessionId: evt.sessionId || evt._id,
+            merchantOrderId: evt.merchantOrderId || evt.order,
+            kashierOrderId: evt.kashierOrderId || evt.orderReference,
+          },
+          evt.data
+        );
+    const ids = kashierPaymentIds(evt, fields);
+    if (ids.error) {
+      console.warn("webhook rejected", { eventId, reason: ids.error });
+      await releaseReplay();
+      await markEvent("rejected", { reason: ids.error });
+      return res.status(400).json({ error: ids.error });
+    }
+    let sessionId = ids.sessionId;
 
     // If webhook doesn't include sessionId, try to find it by merchantOrderId or related fields
     if (!sessionId) {
       console.warn("webhook missing sessionId, attempting lookup", evt);
-      const merchantOrderId =
-        evt.merchantOrderId ||
-        (evt.data && evt.data.merchantOrderId) ||
-        evt.order ||
-        (evt.data && evt.data.order) ||
-        null;
-
-      if (merchantOrderId && db) {
+      const { merchantOrderId } = ids;
+
+      if (merchantOrderId) {
         try {
-          const snap = await db
-            .collection("payments")
-            .where("merchantOrderId", "==", merchantOrderId)
-            .limit(1)
-            .get();
-          if (!snap.empty) {
-            sessionId = snap.docs[0].data().sessionId || null;
+          const found = await repo.payments.findByMerchantOrderId(
+            merchantOrderId
+          );
+          if (found) {
+            sessionId = found.data().sessionId || null;
             console.log("Found sessionId via payments mapping", {
               merchantOrderId,
               sessionId,
@@ -338,20 +759,14 @@ app.post("/api/payment/webhook", async (req, res) => {
 
       // If still not found, attempt to read kashierOrderId / orderReference and match against nested response._id in payments
       if (!sessionId) {
-        const kashierOrderId =
-          evt.kashierOrderId ||
-          (evt.data && evt.data.kashierOrderId) ||
-          evt.orderReference ||
-          null;
+        const { kashierOrderId } = ids;
         if (kashierOrderId) {
           try {
-            const snap3 = await db
-              .collection("payments")
-              .where("response._id", "==", kashierOrderId)
-              .limit(1)
-              .get();
-            if (!snap3.empty) {
-              sessionId = snap3.docs[0].data().sessionId || null;
+            const found = await repo.payments.findByKashierOrderId(
+              kashierOrderId
+            );
+            if (found) {
+              sessionId = found.data().sessionId || null;
               console.log("Found sessionId via payments.response._id", {
                 kashierOrderId,
                 sessionId,
@@ -365,431 +780,1184 @@ app.post("/api/payment/webhook", async (req, res) => {
 
       if (!sessionId) {
         console.warn("webhook could not determine sessionId after lookup", evt);
-        return res.status(400).send("missing sessionId");
+        await releaseReplay();
+        await markEvent("rejected", { reason: "missing sessionId" });
+        return res.status(400).json({ error: "missing sessionId" });
       }
     }
 
-    // Verify session with Kashier (do not trust webhook payload directly)
-    let verification;
-    try {
-      verification = await fetchKashierSession(sessionId);
-    } catch (err) {
-      console.error("Failed to verify session with Kashier", err);
-      return res.status(500).send("verification failed");
+    // A correctly signed event is trusted for its signed fields. Events
+    // that could not be signature-checked, or whose status isn't signed,
+    // are re-verified with Kashier instead.
+    let payment;
+    if (check.ok && signed.status) {
+      payment = Object.assign({}, signed, {
+        status: normalizeKashierStatus(signed.status),
+      });
+    } else {
+      let verification;
+      try {
+        verification = await fetchKashierSession(sessionId);
+      } catch (err) {
+        console.error("Failed to verify session with Kashier", err);
+        await releaseReplay();
+        await markEvent("error", { reason: "verification failed" });
+        return res.status(500).json({ error: "verification failed" });
+      }
+      // Kashier returns { message, data: { ...payment... } }
+      payment = verification.data || verification;
     }
-
-    // Kashier returns { message, data: { ...payment... } }
-    const payment = verification.data || verification;
     const status = payment.status;
     const orderId = payment.merchantOrderId || payment.order || null;
 
-    // Only consider these as final/success states (adjust as needed)
-    const successStates = ["PAID", "CAPTURED", "AUTHORIZED"];
-
-    // Idempotent update: only update if status changed (and create if missing)
-    const snapshot = await db
-      .collection("payments")
-      .where("sessionId", "==", sessionId)
-      .limit(1)
-      .get();
-    if (!snapshot.empty) {
-      const doc = snapshot.docs[0];
-      const prev = doc.data().status;
-      if (prev !== status) {
-        await doc.ref.update({
+    // Every accepted event goes into the payment's audit trail
+    const audit = requestContext(req, { type: "kashier", ip: req.ip || null });
+    const received = {
+      webhookEventId: eventRef ? eventRef.id : null,
+      kashierEventId: eventId || null,
+      signatureValid: check.ok,
+    };
+
+    // Store the new status (and create the record if missing). Out-of-order
+    // events that would move the payment backwards, e.g. PAID to PENDING,
+    // are refused by lib/paymentState.js.
+    const doc = await repo.payments.findBySessionId(sessionId);
+    let fulfillment = null;
+    let transition = null;
+    if (doc) {
+      transition = await applyPaymentStatus(
+        db,
+        doc.ref,
+        {
           status,
           verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
           verification: payment,
-        });
+        },
+        "webhook.received",
+        audit,
+        { details: received }
+      );
+      // Issue tickets right away so the buyer gets them even if they never
+      // return to the frontend; fulfillPayment is a no-op if
+      // /api/payment/fulfill already did it
+      if (transition.applied && isSuccess(status)) {
+        fulfillment = await fulfillPayment(
+          db,
+          doc.ref,
+          payment,
+          "webhook",
+          audit
+        );
+        if (fulfillment.emailQueued) outbox.kick();
       }
+      if (transition.applied)
+        await releasePromoReservation(db, doc.ref, transition.to);
     } else {
-      await db.collection("payments").add({
+      await repo.payments.create(
+        {
+          sessionId,
+          orderId,
+          status,
+          verification: payment,
+        },
+        {
+          type: "webhook.received",
+          context: audit,
+          change: { after: { status }, details: received },
+        }
+      );
+    }
+
+    // refused events are still answered with 200 so Kashier stops retrying
+    if (transition && !transition.applied) {
+      await markEvent("ignored", {
         sessionId,
-        orderId,
         status,
-        verification: payment,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        reason: `illegal status transition from ${transition.from}`,
       });
+      return res.status(200).send("OK");
     }
-
-    // You can trigger post-payment work here if status is in successStates
-    // e.g., fulfill order, mark registration paid, send receipt, etc.
-
+    await markEvent("processed", {
+      sessionId,
+      status,
+      verifiedBy: check.ok ? "signature" : "kashier-api",
+      fulfillment: fulfillment
+        ? fulfillment.error ||
+          (fulfillment.fulfilled ? "fulfilled" : "already fulfilled")
+        : null,
+    });
     return res.status(200).send("OK");
   } catch (err) {
     console.error("webhook handler error", err);
+    await releaseReplay();
+    await markEvent("error", { reason: String(err) });
     return res.status(500).json({ error: String(err) });
   }
 });
 
+// Helper: issue tickets for a payment the status poll found paid, in case
+// the webhook never arrives. A no-op if the webhook already did it.
+async function fulfillFromStatus(req, ref, payment) {
+  const result = await fulfillPayment(
+    db,
+    ref,
+    payment,
+    "status",
+    requestContext(req)
+  );
+  if (result.error)
+    console.error("status: fulfillment refused", {
+      paymentId: ref.id,
+      error: result.error,
+    });
+  if (result.emailQueued) outbox.kick();
+  return result;
+}
+
 // GET /api/payment/status?merchantOrderId=... or ?sessionId=...
-app.get("/api/payment/status", async (req, res) => {
-  try {
-    const { merchantOrderId, sessionId } = req.query || {};
-    if (!merchantOrderId && !sessionId)
-      return res
-        .status(400)
-        .json({ error: "missing merchantOrderId or sessionId" });
-
-    let docSnap = null;
-    if (merchantOrderId) {
-      const snap = await db
-        .collection("payments")
-        .where("merchantOrderId", "==", String(merchantOrderId))
-        .limit(1)
-        .get();
-      if (!snap.empty) docSnap = snap.docs[0];
-    }
-    if (!docSnap && sessionId) {
-      const snap2 = await db
-        .collection("payments")
-        .where("sessionId", "==", String(sessionId))
-        .limit(1)
-        .get();
-      if (!snap2.empty) docSnap = snap2.docs[0];
-    }
-
-    // If we have a stored doc and it's final, return it
-    const successStates = ["PAID", "CAPTURED", "AUTHORIZED"];
-    if (docSnap) {
-      const data = docSnap.data();
-      if (successStates.includes((data.status || "").toUpperCase())) {
-        return res.json({ status: data.status, verified: true, payment: data });
+app.get(
+  "/api/payment/status",
+  limit("paymentStatus"),
+  validate(schemas.PAYMENT_LOOKUP, "query"),
+  async (req, res) => {
+    try {
+      const { merchantOrderId, sessionId } = req.query;
+      if (!merchantOrderId && !sessionId)
+        return res
+          .status(400)
+          .json({ error: "missing merchantOrderId or sessionId" });
+
+      const docSnap = await repo.payments.findByOrderOrSession({
+        merchantOrderId,
+        sessionId,
+      });
+
+      // If we have a stored doc and it's settled, return it
+      if (docSnap) {
+        let data = docSnap.data();
+        if (isSettled(data.status)) {
+          // paid, but tickets were never issued (e.g. fulfillment failed)
+          if (isSuccess(data.status) && !data.fulfilledAt) {
+            await fulfillFromStatus(
+              req,
+              docSnap.ref,
+              data.verification || { status: data.status }
+            );
+            data = (await docSnap.ref.get()).data();
+          }
+          return res.json({
+            status: data.status,
+            verified: isSuccess(data.status),
+            payment: data,
+          });
+        }
+        // otherwise attempt to verify with Kashier if sessionId present
+        const sid = data.sessionId || sessionId;
+        if (sid) {
+          try {
+            const verification = await fetchKashierSession(sid);
+            const payment = verification.data || verification;
+            const result = await applyPaymentStatus(
+              db,
+              docSnap.ref,
+              {
+                status: payment.status,
+                verification: payment,
+                verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+              },
+              "verified",
+              requestContext(req)
+            );
+            if (result.applied && isSuccess(result.to))
+              await fulfillFromStatus(req, docSnap.ref, payment);
+            if (result.applied)
+              await releasePromoReservation(db, docSnap.ref, result.to);
+            // a refused status leaves the stored one in place
+            const status = result.applied ? result.to : result.from;
+            return res.json({
+              status,
+              verified: isSuccess(status),
+              payment: result.applied ? payment : data,
+            });
+          } catch (err) {
+            console.error("status verify failed", err);
+            return res.status(500).json({ error: "verification failed" });
+          }
+        }
+        return res.json({
+          status: data.status || null,
+          verified: false,
+          payment: data,
+        });
       }
-      // otherwise attempt to verify with Kashier if sessionId present
-      const sid = data.sessionId || sessionId;
-      if (sid) {
+
+      // No doc found; if sessionId provided, try verifying and create doc
+      if (sessionId) {
         try {
-          const verification = await fetchKashierSession(sid);
+          const verification = await fetchKashierSession(String(sessionId));
           const payment = verification.data || verification;
           const status = payment.status;
-          await docSnap.ref.update({
-            status,
-            verification: payment,
-            verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
-          });
+          // persist minimal doc
+          await repo.payments.create(
+            {
+              sessionId: sessionId,
+              merchantOrderId:
+                payment.merchantOrderId || payment.order || null,
+              status,
+              verification: payment,
+            },
+            {
+              type: "verified",
+              context: requestContext(req),
+              change: { after: { status } },
+            }
+          );
           return res.json({
             status,
-            verified: successStates.includes(status),
+            verified: isSuccess(status),
             payment,
           });
         } catch (err) {
-          console.error("status verify failed", err);
+          console.error("verify-create failed", err);
           return res.status(500).json({ error: "verification failed" });
         }
       }
-      return res.json({
-        status: data.status || null,
-        verified: false,
-        payment: data,
-      });
+
+      return res.status(404).json({ error: "not found" });
+    } catch (err) {
+      console.error("/api/payment/status error", err);
+      return res.status(500).json({ error: String(err) });
     }
+  }
+);
 
-    // No doc found; if sessionId provided, try verifying and create doc
-    if (sessionId) {
-      try {
-        const verification = await fetchKashierSession(String(sessionId));
-        const payment = verification.data || verification;
-        const status = payment.status;
-        // persist minimal doc
-        const ref = await db.collection("payments").add({
-          sessionId: sessionId,
-          merchantOrderId: payment.merchantOrderId || payment.order || null,
-          status,
-          verification: payment,
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+// POST /api/payment/fulfill  { merchantOrderId || sessionId }
+app.post(
+  "/api/payment/fulfill",
+  requireRole("support"),
+  validate(schemas.PAYMENT_LOOKUP),
+  async (req, res) => {
+    try {
+      const { merchantOrderId, sessionId } = req.body;
+      if (!merchantOrderId && !sessionId)
+        return res
+          .status(400)
+          .json({ error: "missing merchantOrderId or sessionId" });
+
+      const doc = await repo.payments.findByOrderOrSession({
+        merchantOrderId,
+        sessionId,
+      });
+      if (!doc)
+        return res.status(404).json({ error: "payment record not found" });
+
+      const data = doc.data();
+      // Idempotency: if tickets were already issued (here or by the webhook), don't issue again
+      if (data.fulfilledAt || data.receiptSent || data.receiptJobId) {
+        console.log("fulfill: receipt already sent, skipping", {
+          merchantOrderId,
+          sessionId,
         });
         return res.json({
-          status,
-          verified: successStates.includes(status),
-          payment,
+          ok: true,
+          message: "receipt already sent",
+          status: data.status,
         });
+      }
+      const sid = data.sessionId || sessionId;
+
+      // Verify with Kashier
+      let verification;
+      try {
+        verification = await fetchKashierSession(sid);
       } catch (err) {
-        console.error("verify-create failed", err);
+        console.error("fulfill: verify failed", err);
         return res.status(500).json({ error: "verification failed" });
       }
+
+      const payment = verification.data || verification;
+      const status = payment.status;
+      if (!isSuccess(status)) {
+        const result = await applyPaymentStatus(
+          db,
+          doc.ref,
+          {
+            status,
+            verification: payment,
+            verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+          "verified",
+          requestContext(req)
+        );
+        if (result.applied)
+          await releasePromoReservation(db, doc.ref, result.to);
+        return res.status(400).json({
+          error: "payment not successful",
+          status: result.applied ? status : result.from,
+        });
+      }
+
+      // Issue tickets and queue the receipt; safe against a concurrent webhook
+      const result = await fulfillPayment(
+        db,
+        doc.ref,
+        payment,
+        "fulfill",
+        requestContext(req)
+      );
+      if (result.error)
+        return res.status(409).json({ error: result.error, status });
+      if (result.already)
+        return res.json({
+          ok: true,
+          message: "receipt already sent",
+          status,
+        });
+      if (result.emailQueued) outbox.kick();
+
+      return res.json({
+        ok: true,
+        status,
+        receiptQueued: result.emailQueued,
+        ticketCodes: result.ticketCodes,
+      });
+    } catch (err) {
+      console.error("/api/payment/fulfill error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// GET /api/ticket/check?code=...&eventId=&sessionId=  - look up a ticket's
+// check-in state, and whether it is valid at the given gate
+app.get(
+  "/api/ticket/check",
+  requireRole("scanner", "support"),
+  limit("ticketCheck"),
+  validate(schemas.TICKET_CHECK, "query"),
+  async (req, res) => {
+    try {
+      const { code, eventId, sessionId } = req.query;
+      const rejected = rejectTicketCode(code);
+      if (rejected) return res.status(404).json({ error: rejected });
+
+      const doc = await repo.tickets.findByCode(code);
+      if (!doc) return res.status(404).json({ error: "ticket not found" });
+      const data = doc.data();
+      const status = await ticketStatus(db, doc, code, { eventId, sessionId });
+
+      return res.json(
+        Object.assign({ ok: true, found: true }, status, {
+          user: data.user || null,
+          // who the ticket is for, when the buyer named someone
+          attendee: attendeeOf(data, code),
+          ticketCode: data.ticketCode || code,
+        })
+      );
+    } catch (err) {
+      console.error("/api/ticket/check error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// POST /api/ticket/check  { code, eventId, sessionId }  - admit a ticket
+// (idempotent). With a sessionId the ticket is admitted once per session and
+// must be valid for it; without one it can be scanned once overall.
+app.post(
+  "/api/ticket/check",
+  requireRole("scanner"),
+  limit("ticketCheck"),
+  validate(schemas.TICKET_CHECK),
+  async (req, res) => {
+    try {
+      const { code, eventId, sessionId } = req.body;
+      const rejected = rejectTicketCode(code);
+      if (rejected) return res.status(404).json({ error: rejected });
+
+      const doc = await repo.tickets.findByCode(code);
+      if (!doc) return res.status(404).json({ error: "ticket not found" });
+
+      const result = await admitTicket(
+        db,
+        doc.ref,
+        code,
+        { eventId, sessionId },
+        req.staff,
+        requestContext(req)
+      );
+      if (result.error)
+        return res
+          .status(result.code)
+          .json({ ok: false, message: result.error });
+      const data = result.data;
+      if (!result.ok)
+        return res.json({
+          ok: false,
+          message: result.message,
+          scannedAt: result.scannedAt,
+        });
+      return res.json({
+        ok: true,
+        message: "checked in",
+        sessionId: sessionId || null,
+        user: data.user || null,
+        attendee: attendeeOf(data, code),
+        ticketCode: data.ticketCode || code,
+      });
+    } catch (err) {
+      console.error("POST /api/ticket/check error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// GET /api/scanner/key  - public key scanners verify manifests with
+app.get("/api/scanner/key", requireRole("scanner"), (req, res) => {
+  return res.json(Object.assign({ ok: true }, manifestPublicKey()));
+});
+
+// GET /api/scanner/manifest?eventId=...  - signed list of the event's
+// tickets for checking codes offline; see lib/scannerSync.js
+app.get(
+  "/api/scanner/manifest",
+  requireRole("scanner"),
+  validate(schemas.SCANNER_MANIFEST, "query"),
+  async (req, res) => {
+    try {
+      const manifest = await buildManifest(db, repo, req.query.eventId);
+      return res.json(Object.assign({ ok: true }, manifest));
+    } catch (err) {
+      console.error("/api/scanner/manifest error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// POST /api/scanner/sync  { deviceId, scans: [{ id, code, eventId,
+// sessionId, scannedAt }] }  - upload check-ins recorded offline. Returns
+// the outcome of every scan; conflicts are settled on the server.
+app.post(
+  "/api/scanner/sync",
+  requireRole("scanner"),
+  validate(schemas.SCANNER_SYNC),
+  async (req, res) => {
+    try {
+      const { deviceId, scans } = req.body;
+      // a device-bound token wins over the device id in the body
+      const staff = Object.assign({}, req.staff, {
+        deviceId: req.staff.deviceId || deviceId || null,
+      });
+      const synced = await syncScans(
+        db,
+        repo,
+        staff,
+        scans,
+        requestContext(req, staffActor(staff))
+      );
+      return res.json(
+        Object.assign({ ok: true, serverTime: new Date().toISOString() }, synced)
+      );
+    } catch (err) {
+      console.error("/api/scanner/sync error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// GET /api/dashboard/snapshot?eventId=...  - current check-in totals; see
+// lib/dashboard.js
+app.get(
+  "/api/dashboard/snapshot",
+  requireRole("support"),
+  validate(schemas.DASHBOARD_QUERY, "query"),
+  async (req, res) => {
+    try {
+      const totals = await computeTotals(repo, req.query.eventId);
+      return res.json(Object.assign({ ok: true }, totalsView(totals)));
+    } catch (err) {
+      console.error("/api/dashboard/snapshot error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// GET /api/dashboard/stream?eventId=...  - Server-Sent Events: "totals" on
+// connect, then "checkin" for every admission and "totals" as they change.
+// Accepts ?access_token= for EventSource.
+app.get(
+  "/api/dashboard/stream",
+  tokenFromQuery,
+  requireRole("support"),
+  validate(schemas.DASHBOARD_QUERY, "query"),
+  async (req, res) => {
+    try {
+      await dashboard.subscribe(req.query.eventId || EVENT_ID, req, res);
+    } catch (err) {
+      console.error("/api/dashboard/stream error", err);
+      return res.status(500).json({ error: String(err) });
     }
+  }
+);
 
-    return res.status(404).json({ error: "not found" });
+// GET /api/events  - active events with their sessions and venues
+app.get("/api/events", async (req, res) => {
+  try {
+    const events = await listEvents(db);
+    return res.json({ ok: true, events: events.map(eventView) });
   } catch (err) {
-    console.error("/api/payment/status error", err);
+    console.error("/api/events error", err);
     return res.status(500).json({ error: String(err) });
   }
 });
 
-// POST /api/payment/fulfill  { merchantOrderId || sessionId }
-app.post("/api/payment/fulfill", async (req, res) => {
-  try {
-    const { merchantOrderId, sessionId } = req.body || {};
-    if (!merchantOrderId && !sessionId)
-      return res
-        .status(400)
-        .json({ error: "missing merchantOrderId or sessionId" });
-
-    // Find payments doc
-    let snap = null;
-    if (merchantOrderId)
-      snap = await db
-        .collection("payments")
-        .where("merchantOrderId", "==", String(merchantOrderId))
-        .limit(1)
-        .get();
-    if ((!snap || snap.empty) && sessionId)
-      snap = await db
-        .collection("payments")
-        .where("sessionId", "==", String(sessionId))
-        .limit(1)
-        .get();
-
-    let doc = null;
-    if (snap && !snap.empty) doc = snap.docs[0];
-
-    if (!doc)
-      return res.status(404).json({ error: "payment record not found" });
-
-    const data = doc.data();
-    // Idempotency: if we've already sent a receipt, don't send again
-    if (data.receiptSent) {
-      console.log("fulfill: receipt already sent, skipping", {
-        merchantOrderId,
-        sessionId,
-      });
+// GET /api/events/:id  - one event, with the packages on sale for it
+app.get(
+  "/api/events/:id",
+  validate(schemas.EVENT_PARAMS, "params"),
+  async (req, res) => {
+    try {
+      const event = await getEvent(db, req.params.id);
+      if (!event || !event.active)
+        return res.status(404).json({ error: "event not found" });
+      const packages = await listEventPackages(db, event.id);
+      return res.json({ ok: true, event: eventView(event), packages });
+    } catch (err) {
+      console.error("/api/events/:id error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// GET /api/tickets/manage?token=...  - the buyer's tickets with their
+// attendees and history; the token comes from the buyer's ticket email
+app.get(
+  "/api/tickets/manage",
+  limit("ticketManage"),
+  validate(schemas.TICKET_MANAGE, "query"),
+  async (req, res) => {
+    try {
+      const doc = await repo.payments.findByManageToken(req.query.token);
+      if (!doc) return res.status(404).json({ error: "order not found" });
+      const data = doc.data();
       return res.json({
         ok: true,
-        message: "receipt already sent",
-        status: data.status,
+        merchantOrderId: data.merchantOrderId || null,
+        packageTitle: data.packageTitle || null,
+        tickets: ticketsView(data),
       });
+    } catch (err) {
+      console.error("/api/tickets/manage error", err);
+      return res.status(500).json({ error: String(err) });
     }
-    const sid = data.sessionId || sessionId;
-
-    // Verify with Kashier
-    let verification;
+  }
+);
+
+// POST /api/tickets/assign    { token, code, name, email }  - name the
+// attendee of a ticket still held by the buyer; they get their own email
+// POST /api/tickets/transfer  { token, code, name, email }  - give a ticket
+// to someone else: the old code is voided and a new one issued
+function buyerTicketAction(action) {
+  return async (req, res) => {
     try {
-      verification = await fetchKashierSession(sid);
+      const { token, code, name, email } = req.body;
+      const doc = await repo.payments.findByManageToken(token);
+      if (!doc) return res.status(404).json({ error: "order not found" });
+      const holder = { name, email: normalizeEmail(email) };
+      const audit = requestContext(req, { type: "buyer", ip: req.ip || null });
+      const result =
+        action === "assign"
+          ? await assignTicket(db, doc.ref, code, holder, "buyer", audit)
+          : await transferTicket(db, doc.ref, code, holder, {
+              by: "buyer",
+              audit,
+            });
+      if (result.error)
+        return res.status(result.code).json({ error: result.error });
+      outbox.kick();
+      return res.json(result);
     } catch (err) {
-      console.error("fulfill: verify failed", err);
-      return res.status(500).json({ error: "verification failed" });
+      console.error(`/api/tickets/${action} error`, err);
+      return res.status(500).json({ error: String(err) });
     }
+  };
+}
+for (const action of ["assign", "transfer"])
+  app.post(
+    `/api/tickets/${action}`,
+    limit("ticketManage"),
+    validate(schemas.TICKET_ASSIGN),
+    buyerTicketAction(action)
+  );
 
-    const payment = verification.data || verification;
-    const status = payment.status;
-    const successStates = ["PAID", "CAPTURED", "AUTHORIZED"];
-    if (!successStates.includes(status)) {
-      await doc.ref.update({
-        status,
-        verification: payment,
-        verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+// GET /api/admin/payments/:id/timeline  - the payment's audit trail, oldest
+// first: every status change, ticket issue, email, scan, transfer and refund
+app.get(
+  "/api/admin/payments/:id/timeline",
+  requireRole("support"),
+  validate(schemas.PAYMENT_PARAMS, "params"),
+  async (req, res) => {
+    try {
+      const doc = await repo.payments.get(req.params.id);
+      if (!doc) return res.status(404).json({ error: "payment not found" });
+      const data = doc.data();
+      return res.json({
+        ok: true,
+        id: doc.id,
+        merchantOrderId: data.merchantOrderId || null,
+        status: data.status || null,
+        events: await auditTrail(doc.ref),
       });
-      return res.status(400).json({ error: "payment not successful", status });
+    } catch (err) {
+      console.error("/api/admin/payments/:id/timeline error", err);
+      return res.status(500).json({ error: String(err) });
     }
+  }
+);
+
+// POST /api/admin/payments/:id/tickets/transfer  { code, name, email, reason }
+// Transfer a ticket on the buyer's behalf, e.g. for orders placed before
+// manage links existed
+app.post(
+  "/api/admin/payments/:id/tickets/transfer",
+  requireRole("support"),
+  validate(schemas.PAYMENT_PARAMS, "params"),
+  validate(schemas.TICKET_TRANSFER),
+  async (req, res) => {
+    try {
+      const { code, name, email, reason } = req.body;
+      const result = await transferTicket(
+        db,
+        repo.payments.ref(req.params.id),
+        code,
+        { name, email: normalizeEmail(email) },
+        { by: req.staff.id, reason, audit: requestContext(req) }
+      );
+      if (result.error)
+        return res.status(result.code).json({ error: result.error });
+      outbox.kick();
+      return res.json(result);
+    } catch (err) {
+      console.error("/api/admin/payments/:id/tickets/transfer error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// POST /api/admin/payments/:id/refund  { amount, reason, ticketCodes }
+// Refund a payment through Kashier. Without `amount` the remaining balance is
+// refunded, every ticket is voided and a workshop registration is cancelled;
+// a partial refund voids only the listed `ticketCodes`. The customer gets a
+// cancellation email. See lib/refunds.js.
+app.post(
+  "/api/admin/payments/:id/refund",
+  requireRole("admin"),
+  validate(schemas.PAYMENT_PARAMS, "params"),
+  validate(schemas.REFUND),
+  async (req, res) => {
+    try {
+      const { amount, reason, ticketCodes } = req.body;
+      const result = await refundPayment(
+        db,
+        repo.payments.ref(req.params.id),
+        { amount, reason, ticketCodes },
+        requestContext(req)
+      );
+      if (result.error)
+        return res.status(result.code).json({ error: result.error });
+      if (result.emailQueued) outbox.kick();
 
-    // Payment is successful — send email via Apps Script if we have user/email
-    const user = data.user || {};
-    const email =
-      (user && user.email) || data.response?.customer?.email || null;
-    if (!email) {
-      // nothing to email
-      await doc.ref.update({
-        status,
-        verification: payment,
-        verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+      return res.json({
+        ok: true,
+        refunded: result.refunded,
+        full: result.full,
+        voidedCodes: result.voidedCodes,
       });
-      return res.json({ ok: true, message: "no email to send", status });
-    }
-
-      // Build apps script payload for ticket email (different template than workshop registration)
-      const baseTicket = data.merchantOrderId || data.order || data.sessionId || `ticket-${Date.now()}`;
-      // prefer metaData from the verified payment object; fall back to stored doc or nested response
-      const packageId = (payment && (payment.metaData?.packageId || payment.metaData?.package))
-        || (data && (data.metaData?.packageId || data.metaData?.package))
-        || (data && data.response && data.response.metaData && (data.response.metaData.packageId || data.response.metaData.package))
-        || "";
-      // default single ticket
-      let ticketCodes = [baseTicket];
-      let qrUrls = [ `https://api.qrserver.com/v1/create-qr-code/?size=400x400&data=${encodeURIComponent(baseTicket)}` ];
-
-      // special-case: friends package -> generate 5 tickets
-      if (String(packageId).toLowerCase() === "friends") {
-        ticketCodes = Array.from({ length: 5 }, (_, i) => `${baseTicket}-${i + 1}`);
-        qrUrls = ticketCodes.map((c) => `https://api.qrserver.com/v1/create-qr-code/?size=400x400&data=${encodeURIComponent(c)}`);
-      }
+    } catch (err) {
+      console.error("/api/admin/payments/:id/refund error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// GET /api/ticket/:code/qr.png|svg?size=400&ecc=M&margin=2  - QR image for a ticket
+app.get(
+  "/api/ticket/:code/qr.:format",
+  validate(schemas.TICKET_QR, "params"),
+  validate(schemas.QR_QUERY, "query"),
+  async (req, res) => {
+    try {
+      const { code, format } = req.params;
+      // only render codes we could have issued
+      const rejected = rejectTicketCode(code);
+      if (rejected) return res.status(404).json({ error: rejected });
+
+      const image = await renderQr(code, format, req.query);
+      res.set("Cache-Control", "public, max-age=31536000, immutable");
+      res.type(format === "svg" ? "image/svg+xml" : "image/png");
+      return res.send(image);
+    } catch (err) {
+      console.error("/api/ticket/:code/qr error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
 
-      // ticketLink should point to a frontend verification page; set FRONTEND_BASE env to your frontend origin
-      const ticketLinks = ticketCodes.map((c) => `${process.env.FRONTEND_BASE || ""}/ticket-verify?code=${encodeURIComponent(c)}`);
-
-      const appsPayload = {
-        template: "ticket",
-        // for backward compatibility include single fields too
-        ticketCode: ticketCodes[0],
-        qrUrl: qrUrls[0],
-        ticketLink: ticketLinks[0],
-        // arrays for multi-ticket support
-        ticketCodes,
-        qrUrls,
-        ticketLinks,
-        name: user.name || "",
-        email,
-        phone: user.phone || "",
-        age: user.age || data.age || null,
-        program_id: data.order || "",
-        program_title: packageId || "",
-        program_name: packageId || "",
-        group_link: data.metaData?.group_link || "",
-      };
-    if (APPSCRIPT_TOKEN) appsPayload.token = APPSCRIPT_TOKEN;
+function sendPdf(res, pdf, filename) {
+  res.set({
+    "Content-Disposition": `inline; filename="${filename}"`,
+    "Cache-Control": "private, no-store",
+  });
+  res.type("application/pdf");
+  return res.send(pdf);
+}
+
+function sendCalendar(res, entries, filename) {
+  res.set({
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Cache-Control": "private, no-store",
+  });
+  res.type("text/calendar; charset=utf-8");
+  return res.send(buildCalendar(entries));
+}
+
+// The payment holding a live ticket `code`, or { error, code }
+async function ticketPayment(code) {
+  const rejected = rejectTicketCode(code);
+  if (rejected) return { error: rejected, code: 404 };
+  const doc = await repo.tickets.findByCode(code);
+  if (!doc) return { error: "ticket not found", code: 404 };
+  if ((doc.data().voidedCodes || []).includes(code))
+    return { error: "ticket cancelled", code: 409 };
+  return { doc };
+}
 
-    // Attempt to send to Apps Script
+// GET /api/ticket/:code/pdf  - printable ticket with its QR code
+// GET /api/ticket/:code/ics  - calendar invite for the event or the sessions
+// the ticket grants
+app.get(
+  "/api/ticket/:code/:file(pdf|ics)",
+  limit("ticketFile"),
+  validate(schemas.TICKET_FILE, "params"),
+  async (req, res) => {
+    try {
+      const { code, file } = req.params;
+      const found = await ticketPayment(code);
+      if (found.error)
+        return res.status(found.code).json({ error: found.error });
+      const details = await ticketDetails(db, found.doc.data(), [code]);
+      if (file === "pdf")
+        return sendPdf(res, await renderTicketPdf(details), "ticket.pdf");
+      const entries = ticketCalendarEntries(details);
+      if (!entries.length)
+        return res.status(404).json({ error: "event has no date yet" });
+      return sendCalendar(res, entries, "ticket.ics");
+    } catch (err) {
+      console.error("/api/ticket/:code/file error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// GET /api/tickets/pdf?token=...  - all of the buyer's tickets, one per page
+app.get(
+  "/api/tickets/pdf",
+  limit("ticketManage"),
+  validate(schemas.TICKET_MANAGE, "query"),
+  async (req, res) => {
+    try {
+      const doc = await repo.payments.findByManageToken(req.query.token);
+      if (!doc) return res.status(404).json({ error: "order not found" });
+      const codes = ticketsView(doc.data())
+        .filter((t) => !t.cancelled)
+        .map((t) => t.code);
+      if (!codes.length)
+        return res.status(404).json({ error: "no tickets issued" });
+      const details = await ticketDetails(db, doc.data(), codes);
+      return sendPdf(res, await renderTicketPdf(details), "tickets.pdf");
+    } catch (err) {
+      console.error("/api/tickets/pdf error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// GET /api/register/:registrationId/ics?email=...  - calendar invite for a
+// confirmed workshop registration
+app.get(
+  "/api/register/:registrationId/ics",
+  limit("registration"),
+  validate(schemas.REGISTRATION_PARAMS, "params"),
+  validate(schemas.REGISTRATION_ICS, "query"),
+  async (req, res) => {
+    try {
+      const snap = await repo.registrations.get(req.params.registrationId);
+      const registration = snap ? snap.data() : null;
+      if (
+        !registration ||
+        normalizeEmail(registration.email) !== normalizeEmail(req.query.email)
+      )
+        return res.status(404).json({ error: "registration not found" });
+      if ((registration.status || "confirmed") !== "confirmed")
+        return res
+          .status(409)
+          .json({ error: `registration is ${registration.status}` });
+
+      const wSnap = await workshopRef(db, registration.workshopId).get();
+      const entries = wSnap.exists
+        ? workshopCalendarEntries(
+            registration.workshopId,
+            wSnap.data(),
+            registration.email
+          )
+        : [];
+      if (!entries.length)
+        return res.status(404).json({ error: "workshop has no date yet" });
+      return sendCalendar(res, entries, "workshop.ics");
+    } catch (err) {
+      console.error("/api/register/:registrationId/ics error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// POST /api/auth/login  { email, password, deviceId }  - issue a staff JWT
+app.post(
+  "/api/auth/login",
+  limit("login"),
+  validate(schemas.LOGIN),
+  async (req, res) => {
     try {
-      const resp = await fetch(APPSCRIPT_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(appsPayload),
+      const { email, password, deviceId } = req.body;
+      if (!jwtConfigured())
+        return res.status(500).json({ error: "STAFF_JWT_SECRET not set" });
+
+      const doc = await repo.staff.findByEmail(normalizeEmail(email));
+      const staff = doc ? doc.data() : null;
+      if (
+        !staff ||
+        staff.active === false ||
+        !verifyPassword(password, staff.passwordHash)
+      )
+        return res.status(401).json({ error: "invalid credentials" });
+
+      const token = issueStaffJwt(doc.id, staff, deviceId);
+      await doc.ref.update({
+        lastLoginAt: admin.firestore.FieldValue.serverTimestamp(),
       });
-      const text = await resp.text();
-        // save ticketCodes and email send status atomically
-        await doc.ref.update({
-          status,
-          verification: payment,
-          verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
-          receiptSent: resp.ok,
-          receiptResponse: text,
-          ticketCode: ticketCodes[0],
-          ticketCodes,
-          qrUrl: qrUrls[0],
-          qrUrls,
-        });
       return res.json({
         ok: true,
-        status,
-        receiptSent: resp.ok,
-        receiptResponse: text,
+        token,
+        staff: { id: doc.id, name: staff.name || "", role: staff.role },
       });
     } catch (err) {
-      console.error("Apps Script send failed", err);
-      await doc.ref.update({
-        status,
-        verification: payment,
-        verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+      console.error("/api/auth/login error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// POST /api/admin/staff  { email, name, role, password, active }  - create or update a staff account
+app.post(
+  "/api/admin/staff",
+  requireRole("admin"),
+  validate(schemas.STAFF),
+  async (req, res) => {
+    try {
+      const { email, name, role, password, active } = req.body;
+
+      const emailNormalized = normalizeEmail(email);
+      const existing = await repo.staff.findByEmail(emailNormalized);
+      const ref = existing ? existing.ref : repo.staff.ref();
+      if (!existing && !password)
+        return res.status(400).json({ error: "missing password" });
+
+      const update = {
+        email: emailNormalized,
+        name: name || (existing ? existing.data().name || "" : ""),
+        role,
+        active: active !== false,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: req.staff.id,
+      };
+      if (password) update.passwordHash = hashPassword(password);
+      await ref.set(update, { merge: true });
+      return res.json({ ok: true, id: ref.id, role, active: update.active });
+    } catch (err) {
+      console.error("/api/admin/staff error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// POST /api/admin/staff/:id/tokens  { role, label, deviceId }
+// Issue a scoped API token, e.g. for a scanner device. Shown only once.
+app.post(
+  "/api/admin/staff/:id/tokens",
+  requireRole("admin"),
+  validate(schemas.STAFF_PARAMS, "params"),
+  validate(schemas.STAFF_TOKEN),
+  async (req, res) => {
+    try {
+      const { role, label, deviceId } = req.body;
+      const snap = await repo.staff.get(req.params.id);
+      if (!snap) return res.status(404).json({ error: "staff not found" });
+      const staff = snap.data();
+      const tokenRole = role || staff.role;
+      if (!roleCovers(staff.role, tokenRole))
+        return res
+          .status(400)
+          .json({ error: "token role exceeds the staff member's role" });
+
+      const { token, tokenId } = await createApiToken(db, snap.id, staff, {
+        role: tokenRole,
+        label,
+        deviceId,
       });
-      return res.status(500).json({ error: "apps script send failed" });
+      return res.json({ ok: true, token, tokenId, role: tokenRole });
+    } catch (err) {
+      console.error("/api/admin/staff/:id/tokens error", err);
+      return res.status(500).json({ error: String(err) });
     }
-  } catch (err) {
-    console.error("/api/payment/fulfill error", err);
-    return res.status(500).json({ error: String(err) });
   }
-});
+);
+
+// DELETE /api/admin/staff/tokens/:tokenId  - revoke an API token
+app.delete(
+  "/api/admin/staff/tokens/:tokenId",
+  requireRole("admin"),
+  validate(schemas.STAFF_TOKEN_PARAMS, "params"),
+  async (req, res) => {
+    try {
+      const ref = repo.staff.tokenRef(req.params.tokenId);
+      const snap = await ref.get();
+      if (!snap.exists)
+        return res.status(404).json({ error: "token not found" });
+      await ref.update({
+        revoked: true,
+        revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+        revokedBy: req.staff.id,
+      });
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error("/api/admin/staff/tokens error", err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// Admin listings and exports of registrations and payments.
+//   GET /api/admin/registrations?workshop=&status=&email=&from=&to=&sort=-createdAt&limit=50&cursor=
+//   GET /api/admin/payments?event=&package=&status=&email=&from=&to=&sort=-createdAt&limit=50&cursor=
+//   GET /api/admin/{registrations,payments}/export?format=csv|xlsx&<same filters>
+for (const [name, spec, listSchema, exportSchema] of [
+  [
+    "registrations",
+    REGISTRATIONS_SPEC,
+    schemas.REGISTRATIONS_QUERY,
+    schemas.REGISTRATIONS_EXPORT,
+  ],
+  ["payments", PAYMENTS_SPEC, schemas.PAYMENTS_QUERY, schemas.PAYMENTS_EXPORT],
+]) {
+  app.get(
+    `/api/admin/${name}`,
+    requireRole("support"),
+    validate(listSchema, "query"),
+    async (req, res) => {
+      try {
+        const page = await listPage(db, spec, req.query);
+        if (page.error) return res.status(400).json({ error: page.error });
+        return res.json({ ok: true, ...page });
+      } catch (err) {
+        console.error(`/api/admin/${name} error`, err);
+        return res.status(500).json({ error: String(err) });
+      }
+    }
+  );
 
-// GET /api/ticket/check?code=...  - validate & mark QR ticket as scanned
-app.get("/api/ticket/check", async (req, res) => {
-  try {
-    const { code } = req.query || {};
-    if (!code) return res.status(400).json({ error: "missing code" });
-
-    // lookup by merchantOrderId OR single ticketCode OR in ticketCodes array
-    let doc = null;
-    const snap = await db.collection("payments").where("merchantOrderId", "==", String(code)).limit(1).get();
-    if (!snap.empty) doc = snap.docs[0];
-    // If we found a doc by merchantOrderId but it represents a multi-ticket purchase,
-    // ensure the scanned code is actually one of the issued ticketCodes (or the stored ticketCode).
-    if (doc) {
-      const tmp = doc.data();
-      if (Array.isArray(tmp.ticketCodes) && tmp.ticketCodes.length > 0) {
-        const foundInCodes = tmp.ticketCodes.includes(String(code));
-        const matchesPrimary = (tmp.ticketCode && String(tmp.ticketCode) === String(code));
-        if (!foundInCodes && !matchesPrimary) {
-          // treat as not found here; clear doc so we continue other lookups
-          doc = null;
+  app.get(
+    `/api/admin/${name}/export`,
+    requireRole("support"),
+    validate(exportSchema, "query"),
+    async (req, res) => {
+      try {
+        const format = req.query.format || "csv";
+        const result = await listAll(db, spec, req.query);
+        if (result.error)
+          return res.status(400).json({ error: result.error });
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.set(
+          "Content-Disposition",
+          `attachment; filename="${name}-${date}.${format}"`
+        );
+        if (result.truncated)
+          res.set("X-Export-Truncated", String(MAX_EXPORT_ROWS));
+        if (format === "xlsx") {
+          res.type(
+            "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+          );
+          return res.send(Buffer.from(await toXlsx(spec, result.rows, name)));
         }
+        res.type("text/csv; charset=utf-8");
+        return res.send(toCsv(spec, result.rows));
+      } catch (err) {
+        console.error(`/api/admin/${name}/export error`, err);
+        return res.status(500).json({ error: String(err) });
       }
     }
-    if (!doc) {
-      const snap2 = await db.collection("payments").where("ticketCode", "==", String(code)).limit(1).get();
-      if (!snap2.empty) doc = snap2.docs[0];
-    }
-    if (!doc) {
-      const snap3 = await db.collection("payments").where("ticketCodes", "array-contains", String(code)).limit(1).get();
-      if (!snap3.empty) doc = snap3.docs[0];
-    }
-
-    if (!doc) return res.status(404).json({ error: "ticket not found" });
-    const data = doc.data();
-
-    // prefer per-code scanned map; fall back to legacy scannedAt for single-ticket docs
-    const key = encodeURIComponent(String(code));
-    const scannedMap = data.scannedMap || {};
-    const scannedEntry = scannedMap[key];
-    const scanned = !!scannedEntry || !!data.scannedAt;
-    const scannedAtRaw = scannedEntry || data.scannedAt || null;
-    const scannedAt = scannedAtRaw && scannedAtRaw.toDate ? scannedAtRaw.toDate().toISOString() : scannedAtRaw;
+  );
+}
 
-    return res.json({ ok: true, found: true, scanned, scannedAt, user: data.user || null, ticketCode: data.ticketCode || code });
+// POST /api/admin/reconcile  - run payment reconciliation now and return its report
+app.post("/api/admin/reconcile", requireRole("admin"), async (req, res) => {
+  try {
+    const report = await runReconciliation(db, {
+      verify: fetchKashierSession,
+      source: `manual:${req.staff.id}`,
+    });
+    if (report.fulfilledIds.length) outbox.kick();
+    return res.json({ ok: true, report });
   } catch (err) {
-    console.error("/api/ticket/check error", err);
+    console.error("/api/admin/reconcile error", err);
     return res.status(500).json({ error: String(err) });
   }
 });
 
-// POST /api/ticket/check  - mark ticket as scanned (idempotent)
-app.post("/api/ticket/check", async (req, res) => {
-  try {
-    const { code } = req.body || {};
-    if (!code) return res.status(400).json({ error: "missing code" });
-
-    // find by merchantOrderId, ticketCode, or in ticketCodes array
-    let doc = null;
-    const snap = await db.collection("payments").where("merchantOrderId", "==", String(code)).limit(1).get();
-    if (!snap.empty) doc = snap.docs[0];
-    if (doc) {
-      const tmp = doc.data();
-      if (Array.isArray(tmp.ticketCodes) && tmp.ticketCodes.length > 0) {
-        const foundInCodes = tmp.ticketCodes.includes(String(code));
-        const matchesPrimary = (tmp.ticketCode && String(tmp.ticketCode) === String(code));
-        if (!foundInCodes && !matchesPrimary) {
-          doc = null;
-        }
-      }
+// GET /api/admin/reconcile/reports?limit=10  - latest reconciliation reports
+app.get(
+  "/api/admin/reconcile/reports",
+  requireRole("support"),
+  validate(schemas.REPORTS_QUERY, "query"),
+  async (req, res) => {
+    try {
+      const limit = req.query.limit || 10;
+      const docs = await repo.reconcileReports.latest(limit);
+      const reports = docs.map((d) => {
+        const r = d.data();
+        return Object.assign({}, r, {
+          id: d.id,
+          startedAt: r.startedAt.toDate().toISOString(),
+          finishedAt: r.finishedAt.toDate().toISOString(),
+        });
+      });
+      return res.json({ ok: true, reports });
+    } catch (err) {
+      console.error("/api/admin/reconcile/reports error", err);
+      return res.status(500).json({ error: String(err) });
     }
-    if (!doc) {
-      const snap2 = await db.collection("payments").where("ticketCode", "==", String(code)).limit(1).get();
-      if (!snap2.empty) doc = snap2.docs[0];
+  }
+);
+
+// GET /api/admin/outbox?state=dead  - list failed email jobs
+app.get(
+  "/api/admin/outbox",
+  requireRole("admin"),
+  validate(schemas.OUTBOX_QUERY, "query"),
+  async (req, res) => {
+    try {
+      const state = req.query.state || "dead";
+      const limit = req.query.limit || 50;
+      const docs = await repo.outbox.listByState(state, limit);
+      const jobs = docs.map((d) => {
+        const job = d.data();
+        return {
+          id: d.id,
+          kind: job.kind,
+          state: job.state,
+          attempts: job.attempts,
+          lastError: job.lastError || null,
+          target: job.target || null,
+          email: (job.payload && job.payload.email) || null,
+          createdAt: job.createdAt ? job.createdAt.toDate().toISOString() : null,
+          nextAttemptAt: job.nextAttemptAt
+            ? job.nextAttemptAt.toDate().toISOString()
+            : null,
+        };
+      });
+      return res.json({ ok: true, jobs });
+    } catch (err) {
+      console.error("/api/admin/outbox error", err);
+      return res.status(500).json({ error: String(err) });
     }
-    if (!doc) {
-      const snap3 = await db.collection("payments").where("ticketCodes", "array-contains", String(code)).limit(1).get();
-      if (!snap3.empty) doc = snap3.docs[0];
+  }
+);
+
+// POST /api/admin/outbox/redrive  { ids: [...] } or { all: true }
+// Re-queue dead jobs with a fresh attempt budget
+app.post(
+  "/api/admin/outbox/redrive",
+  requireRole("admin"),
+  validate(schemas.OUTBOX_REDRIVE),
+  async (req, res) => {
+    try {
+      const { ids, all } = req.body;
+      let targets = Array.isArray(ids) ? ids : [];
+      if (all) {
+        const docs = await repo.outbox.listByState("dead", 200);
+        targets = docs.map((d) => d.id);
+      }
+      if (!targets.length)
+        return res.status(400).json({ error: "missing ids or all" });
+      const redriven = await redriveJobs(db, targets);
+      if (redriven.length) outbox.kick();
+      return res.json({ ok: true, redriven });
+    } catch (err) {
+      console.error("/api/admin/outbox/redrive error", err);
+      return res.status(500).json({ error: String(err) });
     }
-
-    if (!doc) return res.status(404).json({ error: "ticket not found" });
-    const data = doc.data();
-
-    const key = encodeURIComponent(String(code));
-    const scannedMap = data.scannedMap || {};
-    // If this specific code is already scanned, return that info
-    if (scannedMap && scannedMap[key]) {
-      const existing = scannedMap[key];
-      const existingAt = existing && existing.toDate ? existing.toDate().toISOString() : existing;
-      return res.json({ ok: false, message: "already scanned", scannedAt: existingAt });
+  }
+);
+
+// GET /api/admin/emails/:template/preview?format=html|text&version=N
+// Render an email template with sample data (override fields with ?data=
+// JSON). QR images are inlined as data: URLs so the HTML opens in a browser.
+app.get(
+  "/api/admin/emails/:template/preview",
+  requireRole("support"),
+  validate(schemas.EMAIL_PREVIEW_PARAMS, "params"),
+  validate(schemas.EMAIL_PREVIEW_QUERY, "query"),
+  async (req, res) => {
+    const { template } = req.params;
+    let overrides = {};
+    if (req.query.data) {
+      try {
+        overrides = JSON.parse(req.query.data);
+      } catch (err) {
+        return res.status(400).json({ error: "data must be JSON" });
+      }
+      if (
+        !overrides ||
+        typeof overrides !== "object" ||
+        Array.isArray(overrides)
+      )
+        return res.status(400).json({ error: "data must be a JSON object" });
     }
-
-    // mark only this code as scanned (idempotent per code)
-    const updateData = {};
-    updateData[`scannedMap.${key}`] = admin.firestore.FieldValue.serverTimestamp();
-    // for backward compatibility with single-ticket records, also set scannedAt
-    if (!data.ticketCodes || (Array.isArray(data.ticketCodes) && data.ticketCodes.length <= 1)) {
-      updateData.scannedAt = admin.firestore.FieldValue.serverTimestamp();
+    try {
+      const email = await renderEmail(
+        Object.assign({}, SAMPLE_PAYLOADS[template], overrides, { template }),
+        { version: req.query.version, inline: "data" }
+      );
+      res.set("X-Email-Subject", encodeURIComponent(email.subject));
+      res.set("X-Email-Template", `${email.template}.v${email.version}`);
+      if (req.query.format === "text")
+        return res.type("text/plain").send(email.text);
+      return res.type("html").send(email.html);
+    } catch (err) {
+      console.error("/api/admin/emails/:template/preview error", err);
+      return res.status(400).json({ error: String(err.message || err) });
     }
-
-    await doc.ref.update(updateData);
-    return res.json({ ok: true, message: "checked in", user: data.user || null, ticketCode: data.ticketCode || code });
-  } catch (err) {
-    console.error("POST /api/ticket/check error", err);
-    return res.status(500).json({ error: String(err) });
   }
-});
+);
 
 const port = process.env.PORT || 5000; // Railway will provide the port
 app.listen(port, () => console.log(`Backend listening on port ${port}`));
 
 // health endpoint
 app.get("/health", (req, res) => {
-  res.json({ ok: true, appsScriptConfigured: !!APPSCRIPT_URL });
+  res.json({
+    ok: true,
+    emailProvider: EMAIL_PROVIDER,
+    appsScriptConfigured: !!APPSCRIPT_URL,
+  });
 });
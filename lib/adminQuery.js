@@ -0,0 +1,216 @@
+import admin from "firebase-admin";
+import ExcelJS from "exceljs";
+import { PAYMENTS, REGISTRATIONS } from "./repository.js";
+
+// List/export queries for the admin API. Each spec describes a collection:
+// which query parameters map to equality filters, and which columns a row
+// has. All lists are ordered by `createdAt` (then document id, so the order
+// is total) and paginated with an opaque cursor.
+//
+// Filtering on more than one field together with the date range/sort needs
+// composite indexes; Firestore's error message links to creating them.
+
+export const MAX_PAGE = 200;
+export const MAX_EXPORT_ROWS = 10000;
+
+function iso(value) {
+  if (!value) return null;
+  if (value.toDate) return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+export const REGISTRATIONS_SPEC = {
+  collection: REGISTRATIONS,
+  // query param -> field (equality filters)
+  filters: {
+    workshop: "workshopId",
+    status: "status",
+    email: "emailNormalized",
+  },
+  columns: [
+    ["id", (id) => id],
+    ["createdAt", (id, d) => iso(d.createdAt)],
+    ["workshopId", (id, d) => d.workshopId || null],
+    ["status", (id, d) => d.status || "confirmed"],
+    ["name", (id, d) => d.name || null],
+    ["email", (id, d) => d.email || null],
+    ["phone", (id, d) => d.phone || null],
+    ["age", (id, d) => d.age || null],
+    ["governorate", (id, d) => d.governorate || null],
+    ["emailSent", (id, d) => !!d.email_sent],
+  ],
+};
+
+export const PAYMENTS_SPEC = {
+  collection: PAYMENTS,
+  filters: {
+    event: "eventId",
+    package: "packageId",
+    workshop: "workshopId",
+    status: "status",
+    email: "customerEmail",
+  },
+  columns: [
+    ["id", (id) => id],
+    ["createdAt", (id, d) => iso(d.createdAt)],
+    ["merchantOrderId", (id, d) => d.merchantOrderId || null],
+    ["sessionId", (id, d) => d.sessionId || null],
+    ["status", (id, d) => d.status || null],
+    ["eventId", (id, d) => d.eventId || null],
+    ["packageId", (id, d) => d.packageId || null],
+    ["workshopId", (id, d) => d.workshopId || null],
+    ["quantity", (id, d) => d.quantity || null],
+    ["amount", (id, d) => (d.amount ? Number(d.amount) : null)],
+    ["promoCode", (id, d) => (d.promo && d.promo.code) || null],
+    ["discount", (id, d) => (d.promo ? Number(d.promo.discount) : null)],
+    ["currency", (id, d) => d.currency || null],
+    ["name", (id, d) => (d.user && d.user.name) || null],
+    ["email", (id, d) => (d.user && d.user.email) || d.customerEmail || null],
+    ["phone", (id, d) => (d.user && d.user.phone) || null],
+    [
+      "tickets",
+      (id, d) => (Array.isArray(d.ticketCodes) ? d.ticketCodes.length : 0),
+    ],
+    ["receiptSent", (id, d) => !!d.receiptSent],
+  ],
+};
+
+// The cursor keeps createdAt to the nanosecond: rounded to milliseconds,
+// startAfter would land before the last row of the page (repeating it
+// ascending) or skip rows of the same millisecond (descending).
+function encodeCursor(doc) {
+  const createdAt = doc.get("createdAt");
+  return Buffer.from(
+    JSON.stringify({
+      s: createdAt ? createdAt.seconds : 0,
+      n: createdAt ? createdAt.nanoseconds : 0,
+      id: doc.id,
+    })
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { s, n, id } = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    if (!Number.isInteger(s) || !Number.isInteger(n) || !id) return null;
+    return [new admin.firestore.Timestamp(s, n), String(id)];
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+// Build the Firestore query for `params` (the request's query string).
+// Returns { query } or { error }.
+export function buildListQuery(db, spec, params = {}) {
+  let query = db.collection(spec.collection);
+  for (const [param, field] of Object.entries(spec.filters)) {
+    if (params[param] === undefined || params[param] === "") continue;
+    const value =
+      param === "email"
+        ? String(params[param]).trim().toLowerCase()
+        : String(params[param]);
+    query = query.where(field, "==", value);
+  }
+
+  const from = parseDate(params.from);
+  const to = parseDate(params.to);
+  if (from === undefined || to === undefined)
+    return { error: "from/to must be ISO dates" };
+  if (from) query = query.where("createdAt", ">=", from);
+  if (to) query = query.where("createdAt", "<=", to);
+
+  const sort = params.sort || "-createdAt";
+  if (!["createdAt", "-createdAt"].includes(sort))
+    return { error: "sort must be createdAt or -createdAt" };
+  const dir = sort.startsWith("-") ? "desc" : "asc";
+  query = query
+    .orderBy("createdAt", dir)
+    .orderBy(admin.firestore.FieldPath.documentId(), dir);
+
+  if (params.cursor) {
+    const after = decodeCursor(params.cursor);
+    if (!after) return { error: "invalid cursor" };
+    query = query.startAfter(...after);
+  }
+  return { query };
+}
+
+export function toRow(spec, doc) {
+  const data = doc.data();
+  const row = {};
+  for (const [name, get] of spec.columns) row[name] = get(doc.id, data);
+  return row;
+}
+
+// One page of results: { rows, nextCursor } or { error }
+export async function listPage(db, spec, params) {
+  const built = buildListQuery(db, spec, params);
+  if (built.error) return built;
+  const limit = Math.min(Math.max(Number(params.limit) || 50, 1), MAX_PAGE);
+  const snap = await built.query.limit(limit).get();
+  const rows = snap.docs.map((doc) => toRow(spec, doc));
+  const nextCursor =
+    snap.docs.length === limit
+      ? encodeCursor(snap.docs[snap.docs.length - 1])
+      : null;
+  return { rows, nextCursor };
+}
+
+// Every row matching `params`, up to MAX_EXPORT_ROWS: { rows, truncated } or
+// { error }
+export async function listAll(db, spec, params) {
+  const rows = [];
+  let cursor = params.cursor;
+  for (;;) {
+    const page = await listPage(
+      db,
+      spec,
+      Object.assign({}, params, { cursor, limit: MAX_PAGE })
+    );
+    if (page.error) return page;
+    rows.push(...page.rows);
+    if (!page.nextCursor) return { rows, truncated: false };
+    if (rows.length >= MAX_EXPORT_ROWS)
+      return { rows: rows.slice(0, MAX_EXPORT_ROWS), truncated: true };
+    cursor = page.nextCursor;
+  }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let s = String(value);
+  // keep spreadsheet apps from evaluating user-supplied text as formulas
+  if (/^[=+\-@\t\r]/.test(s) && typeof value === "string") s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(spec, rows) {
+  const names = spec.columns.map(([name]) => name);
+  const lines = [names.join(",")];
+  for (const row of rows)
+    lines.push(names.map((n) => csvCell(row[n])).join(","));
+  // BOM so Excel opens UTF-8 (Arabic names) correctly
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+export async function toXlsx(spec, rows, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = spec.columns.map(([name]) => ({
+    header: name,
+    key: name,
+    width: 20,
+  }));
+  sheet.addRows(rows);
+  sheet.getRow(1).font = { bold: true };
+  return workbook.xlsx.writeBuffer();
+}
@@ -0,0 +1,39 @@
+// Use environment variables for APPSCRIPT_URL and APPSCRIPT_TOKEN
+export const APPSCRIPT_URL = process.env.APPSCRIPT_URL;
+export const APPSCRIPT_TOKEN = process.env.APPSCRIPT_TOKEN;
+
+// POST a payload to the Apps Script endpoint. Returns { ok, status, text,
+// errMsg }; a `{ error: ... }` JSON body counts as a failure. Throws if the
+// request itself fails.
+export async function sendToAppsScript(payload) {
+  if (!APPSCRIPT_URL)
+    return { ok: false, status: null, text: "", errMsg: "APPSCRIPT_URL not set" };
+
+  // Apps Script expects a JSON body
+  const body = Object.assign({}, payload);
+  if (APPSCRIPT_TOKEN) body.token = APPSCRIPT_TOKEN;
+
+  const resp = await fetch(APPSCRIPT_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const text = await resp.text();
+  // Try to parse JSON response and treat `{ error: ... }` as failure
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    // not JSON, ignore
+  }
+  if (!resp.ok || (parsed && parsed.error)) {
+    const errMsg = parsed && parsed.error ? parsed.error : text;
+    return {
+      ok: false,
+      status: resp.status,
+      text,
+      errMsg: errMsg || "apps script error",
+    };
+  }
+  return { ok: true, status: resp.status, text };
+}
@@ -0,0 +1,226 @@
+import admin from "firebase-admin";
+import { issueTicketCode, verifyTicketCode, scanKey } from "./tickets.js";
+import { qrUrl } from "./qr.js";
+import { enqueueEmail } from "./outbox.js";
+import { ticketEmailPayload } from "./fulfillment.js";
+import { recordAudit } from "./audit.js";
+import { PAYMENTS } from "./repository.js";
+
+// Named attendees and ticket transfers. Every ticket of a purchase starts out
+// with the buyer. The buyer (through the manage token in their ticket email)
+// or support staff can name an attendee for a ticket, who then gets an email
+// with just that ticket. Giving a ticket to someone else is a transfer: the
+// old code is voided and a new one issued, so a QR code still in the
+// previous holder's inbox no longer gets in. State on the payments document:
+//
+//   attendees.<code key>   { name, email, assignedAt }
+//   ticketHistory          [{ type: "assigned" | "transferred", ticket,
+//                             code, fromCode, holder, previousHolder, by,
+//                             reason, at }]
+//
+// `ticket` is the 1-based position in ticketCodes; a transfer replaces the
+// code in place, so it stays the same across the history. `by` is "buyer" or
+// the staff id. Both are also recorded in the audit trail (lib/audit.js)
+// with the { actor, source } passed as `audit`.
+
+const titleOf = (data) => data.packageTitle || data.packageId || "";
+const iso = (v) => (v && v.toDate ? v.toDate().toISOString() : v || null);
+
+function buyerOf(data) {
+  const user = data.user || {};
+  return {
+    name: user.name || "",
+    email: user.email || data.customerEmail || null,
+  };
+}
+
+// Codes issued by a payment; single-ticket records may only have ticketCode
+function issuedCodes(data) {
+  if (Array.isArray(data.ticketCodes) && data.ticketCodes.length)
+    return data.ticketCodes;
+  return data.ticketCode ? [data.ticketCode] : [];
+}
+
+// The named attendee of `code` ({ name, email }), or null while the buyer
+// holds it
+export function attendeeOf(data, code) {
+  const entry = (data.attendees || {})[scanKey(code)];
+  return entry ? { name: entry.name, email: entry.email } : null;
+}
+
+// The tickets of a payment as shown to the buyer
+export function ticketsView(data) {
+  const voided = data.voidedCodes || [];
+  const scanned = data.scannedMap || {};
+  const history = (data.ticketHistory || []).map((h) =>
+    Object.assign({}, h, { at: iso(h.at) })
+  );
+  return issuedCodes(data).map((code, i) => ({
+    number: i + 1,
+    code,
+    attendee: attendeeOf(data, code),
+    cancelled: voided.includes(code),
+    scanned: !!scanned[scanKey(code)],
+    history: history.filter((h) => h.ticket === i + 1),
+  }));
+}
+
+function queueTicketEmail(db, t, ref, data, holder, code) {
+  const buyer = buyerOf(data);
+  enqueueEmail(
+    db,
+    {
+      kind: "attendee",
+      payload: Object.assign(
+        ticketEmailPayload(data, titleOf(data), holder, [code]),
+        holder.email !== buyer.email ? { sent_by: buyer.name } : {}
+      ),
+      target: { collection: PAYMENTS, id: ref.id },
+    },
+    t
+  );
+}
+
+// Run `fn(t, data, codes, index)` in a transaction on payments doc `ref`,
+// once `code` is known to be one of its usable tickets
+function withTicket(db, ref, code, fn) {
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) return { error: "payment not found", code: 404 };
+    const data = snap.data();
+    // voided codes include the ones replaced by a transfer
+    if ((data.voidedCodes || []).includes(code))
+      return { error: "ticket cancelled", code: 409 };
+    const codes = issuedCodes(data);
+    const index = codes.indexOf(code);
+    if (index < 0) return { error: "ticket not found", code: 404 };
+    const scanned =
+      (data.scannedMap || {})[scanKey(code)] ||
+      (codes.length === 1 && data.scannedAt);
+    if (scanned) return { error: "ticket already used", code: 409 };
+    return fn(t, data, codes, index);
+  });
+}
+
+// Name `holder` ({ name, email }) as the attendee of `code`, which must still
+// be with the buyer, and email them their ticket. Returns { ok, ticket } or
+// { error, code }.
+export function assignTicket(db, ref, code, holder, by, audit) {
+  return withTicket(db, ref, code, (t, data, codes, index) => {
+    if (attendeeOf(data, code))
+      return {
+        error: "ticket already has an attendee; transfer it instead",
+        code: 409,
+      };
+    const at = new Date();
+    t.update(ref, {
+      [`attendees.${scanKey(code)}`]: Object.assign({}, holder, {
+        assignedAt: at,
+      }),
+      ticketHistory: admin.firestore.FieldValue.arrayUnion({
+        type: "assigned",
+        ticket: index + 1,
+        code,
+        holder,
+        by,
+        at,
+      }),
+    });
+    queueTicketEmail(db, t, ref, data, holder, code);
+    recordAudit(t, ref, "ticket.assigned", audit, {
+      before: { attendee: null },
+      after: { attendee: holder },
+      details: { ticket: index + 1 },
+    });
+    return { ok: true, ticket: { number: index + 1, code, attendee: holder } };
+  });
+}
+
+// Hand `code` to `holder`: void it, issue a replacement in its place, email
+// the new holder their ticket and tell the previous one their code no longer
+// works. Returns { ok, ticket, voidedCode } or { error, code }.
+export function transferTicket(
+  db,
+  ref,
+  code,
+  holder,
+  { by, reason, audit }
+) {
+  return withTicket(db, ref, code, (t, data, codes, index) => {
+    const buyer = buyerOf(data);
+    const previous = attendeeOf(data, code) || buyer;
+    // the replacement is scoped like the original
+    const verified = verifyTicketCode(code);
+    const newCode = issueTicketCode({
+      eventId: (verified.ok && verified.eventId) || data.eventId || undefined,
+      packageId: (verified.ok && verified.packageId) || data.packageId,
+    });
+    const ticketCodes = codes.slice();
+    ticketCodes[index] = newCode;
+    const qrUrls = ticketCodes.map((c) => qrUrl(c));
+    const at = new Date();
+
+    const update = {
+      ticketCodes,
+      qrUrls,
+      voidedCodes: admin.firestore.FieldValue.arrayUnion(code),
+      [`attendees.${scanKey(newCode)}`]: Object.assign({}, holder, {
+        assignedAt: at,
+      }),
+      ticketHistory: admin.firestore.FieldValue.arrayUnion({
+        type: "transferred",
+        ticket: index + 1,
+        code: newCode,
+        fromCode: code,
+        holder,
+        previousHolder: previous,
+        by,
+        reason: reason || null,
+        at,
+      }),
+    };
+    if (attendeeOf(data, code))
+      update[`attendees.${scanKey(code)}`] =
+        admin.firestore.FieldValue.delete();
+    if (index === 0) {
+      update.ticketCode = newCode;
+      update.qrUrl = qrUrls[0];
+    }
+    t.update(ref, update);
+    recordAudit(t, ref, "ticket.transferred", audit, {
+      before: { holder: previous },
+      after: { holder },
+      details: { ticket: index + 1, reason: reason || null },
+    });
+
+    queueTicketEmail(db, t, ref, data, holder, newCode);
+    // no need to tell the buyer about a transfer they made themselves
+    const notify =
+      previous.email &&
+      previous.email !== holder.email &&
+      !(by === "buyer" && previous === buyer);
+    if (notify)
+      enqueueEmail(
+        db,
+        {
+          kind: "transfer",
+          payload: {
+            template: "transfer",
+            name: previous.name || "",
+            email: previous.email,
+            program_id: data.order || "",
+            program_title: titleOf(data),
+            program_name: titleOf(data),
+            ticketCodes: [code],
+          },
+          target: { collection: PAYMENTS, id: ref.id },
+        },
+        t
+      );
+    return {
+      ok: true,
+      ticket: { number: index + 1, code: newCode, attendee: holder },
+      voidedCode: code,
+    };
+  });
+}
@@ -0,0 +1,129 @@
+import admin from "firebase-admin";
+
+// Append-only audit trail of payment and ticket state changes. Each change
+// to a payments document is recorded as an entry in the document's `audit`
+// subcollection, written in the same transaction or batch as the change:
+//
+//   {
+//     type: "webhook.received",
+//     actor: { type: "kashier", ip },
+//     source: "POST /api/payment/webhook",
+//     before: { status: "CREATED" },      // the fields that changed
+//     after: { status: "SUCCESS" },
+//     details: { webhookEventId },        // context, depending on the type
+//     at: Timestamp,
+//   }
+//
+// Types: session.created, webhook.received, verified, expired, fulfilled,
+// fulfillment.rejected, transition.rejected (lib/paymentState.js),
+// email.sent, email.failed, scanned, scan.conflict, ticket.assigned,
+// ticket.transferred, refund.failed and refunded.
+//
+// Actors are { type: "customer", ip }, { type: "buyer", ip } (through the
+// manage link), { type: "staff", id, role, deviceId }, { type: "kashier",
+// ip } or { type: "system", id }. Tickets are referred to by number (their
+// 1-based position in ticketCodes), never by code.
+//
+// Entries are only ever added, under generated ids; nothing updates or
+// deletes them.
+
+export const AUDIT = "audit";
+
+// Firestore refuses undefined values
+function clean(fields) {
+  if (!fields) return null;
+  const out = {};
+  for (const [k, v] of Object.entries(fields))
+    out[k] = v === undefined ? null : v;
+  return out;
+}
+
+export function staffActor(staff) {
+  return {
+    type: "staff",
+    id: staff.id,
+    role: staff.role || null,
+    deviceId: staff.deviceId || null,
+  };
+}
+
+// { actor, source } for a request: `actor` if given, else the signed-in
+// staff member, else the customer's address
+export function requestContext(req, actor) {
+  return {
+    actor:
+      actor ||
+      (req.staff
+        ? staffActor(req.staff)
+        : { type: "customer", ip: req.ip || null }),
+    source: `${req.method} ${req.baseUrl}${
+      req.route ? req.route.path : req.path
+    }`,
+  };
+}
+
+// { actor, source } for background jobs ("reconciler", "outbox")
+export function systemContext(id) {
+  return { actor: { type: "system", id }, source: id };
+}
+
+// 1-based position of `code` in the payment's tickets, or null
+export function ticketNumber(data, code) {
+  const codes = Array.isArray(data.ticketCodes)
+    ? data.ticketCodes
+    : [data.ticketCode];
+  const index = codes.indexOf(code);
+  return index < 0 ? null : index + 1;
+}
+
+// Record an entry of `type` for the document `ref`. `context` is { actor,
+// source }, `change` is { before, after, details }. With a transaction or
+// batch as `writer` the entry is written as part of it and its ref returned;
+// without one it is written on its own and a promise returned.
+export function recordAudit(writer, ref, type, context, change = {}) {
+  const entryRef = ref.collection(AUDIT).doc();
+  const entry = {
+    type,
+    actor: (context && context.actor) || null,
+    source: (context && context.source) || null,
+    before: clean(change.before),
+    after: clean(change.after),
+    details: clean(change.details),
+    at: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (writer) {
+    writer.set(entryRef, entry);
+    return entryRef;
+  }
+  return entryRef.set(entry).then(() => entryRef);
+}
+
+// Apply `update` to `ref` and record the entry in one batch
+export function updateAudited(db, ref, update, type, context, change) {
+  const batch = db.batch();
+  batch.update(ref, update);
+  recordAudit(batch, ref, type, context, change);
+  return batch.commit();
+}
+
+// Timestamps anywhere in `value` as ISO strings
+function plain(value) {
+  if (value && typeof value.toDate === "function")
+    return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = plain(v);
+    return out;
+  }
+  return value;
+}
+
+// The entries of `ref`, oldest first
+export async function auditTrail(ref) {
+  const snap = await ref.collection(AUDIT).orderBy("at").get();
+  return snap.docs.map((doc) =>
+    Object.assign({ id: doc.id }, plain(doc.data()))
+  );
+}
@@ -0,0 +1,181 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import admin from "firebase-admin";
+import { createRepository } from "./repository.js";
+
+// Staff authentication. Requests carry `Authorization: Bearer <token>` where
+// the token is either
+//
+// - a JWT issued by POST /api/auth/login (signed with STAFF_JWT_SECRET), or
+// - a scoped API token ("stk_..."), stored hashed in `staff_tokens`, for
+//   scanner devices and scripts that can't log in interactively, or
+// - ADMIN_TOKEN, a break-glass admin credential used to create the first
+//   staff accounts.
+//
+// Staff accounts live in `staff`: { email, name, role, passwordHash, active }.
+// API tokens carry their own role, which may be narrower than their owner's.
+// JWTs and API tokens are checked against the account on every request, so
+// deactivating an account or lowering its role takes effect right away
+// rather than when its JWTs expire.
+
+export const ROLES = ["scanner", "support", "admin"];
+const ROLE_RANK = { scanner: 1, support: 2, admin: 3 };
+const TOKEN_PREFIX = "stk_";
+const JWT_SECRET = process.env.STAFF_JWT_SECRET || null;
+const JWT_TTL = process.env.STAFF_JWT_TTL || "12h";
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const candidate = crypto
+    .scryptSync(String(password), salt, 64)
+    .toString("hex");
+  return safeEqual(candidate, hash);
+}
+
+// A role may only hand out tokens at or below its own level
+export function roleCovers(role, required) {
+  return (ROLE_RANK[role] || 0) >= (ROLE_RANK[required] || Infinity);
+}
+
+export function jwtConfigured() {
+  return !!JWT_SECRET;
+}
+
+export function issueStaffJwt(staffId, staff, deviceId) {
+  if (!JWT_SECRET) throw new Error("STAFF_JWT_SECRET not set");
+  return jwt.sign(
+    {
+      sub: staffId,
+      name: staff.name || "",
+      role: staff.role,
+      device: deviceId || null,
+    },
+    JWT_SECRET,
+    { expiresIn: JWT_TTL, issuer: "tedx-backend" }
+  );
+}
+
+// Creates a new API token for a staff member. The plaintext token is only
+// returned here; Firestore keeps its hash as the document id.
+export async function createApiToken(
+  db,
+  staffId,
+  staff,
+  { role, label, deviceId }
+) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const ref = createRepository(db).staff.tokenRef(sha256(token));
+  await ref.set({
+    staffId,
+    name: staff.name || "",
+    role,
+    label: label || null,
+    deviceId: deviceId || null,
+    revoked: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { token, tokenId: ref.id };
+}
+
+// Resolve a bearer token to { id, name, role, deviceId, via } or null
+async function resolveStaff(db, token, req) {
+  const headerDevice = req.get("X-Device-Id") || null;
+
+  if (process.env.ADMIN_TOKEN && safeEqual(token, process.env.ADMIN_TOKEN))
+    return {
+      id: "admin-token",
+      name: "admin token",
+      role: "admin",
+      deviceId: headerDevice,
+      via: "admin-token",
+    };
+
+  const repo = createRepository(db);
+  if (token.startsWith(TOKEN_PREFIX)) {
+    const snap = await repo.staff.tokenRef(sha256(token)).get();
+    if (!snap.exists) return null;
+    const t = snap.data();
+    if (t.revoked) return null;
+    const owner = await repo.staff.get(t.staffId);
+    if (!owner || owner.data().active === false) return null;
+    // a token never outranks its owner's current role
+    if (!roleCovers(owner.data().role, t.role)) return null;
+    return {
+      id: t.staffId,
+      name: t.name,
+      role: t.role,
+      // tokens bound to a device always report that device
+      deviceId: t.deviceId || headerDevice,
+      via: "api-token",
+      tokenId: snap.id,
+    };
+  }
+
+  if (!JWT_SECRET) return null;
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET, { issuer: "tedx-backend" });
+  } catch (err) {
+    return null;
+  }
+  // the role comes from the account, not from the (possibly stale) claims
+  const snap = await repo.staff.get(claims.sub);
+  const staff = snap ? snap.data() : null;
+  if (!staff || staff.active === false || !ROLE_RANK[staff.role]) return null;
+  return {
+    id: claims.sub,
+    name: staff.name || claims.name,
+    role: staff.role,
+    deviceId: claims.device || headerDevice,
+    via: "jwt",
+  };
+}
+
+// Browsers' EventSource can't set headers, so streaming routes also take the
+// bearer token as ?access_token=. Only use this where needed: URLs end up in
+// logs.
+export function tokenFromQuery(req, res, next) {
+  if (!req.get("Authorization") && typeof req.query.access_token === "string")
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  next();
+}
+
+// Returns `requireRole(...roles)`, a middleware factory that lets through
+// staff with one of `roles` (admins are always allowed) and sets `req.staff`.
+export function staffAuth(db) {
+  return (...roles) =>
+    async (req, res, next) => {
+      const auth = req.get("Authorization") || "";
+      const token = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+      if (!token) return res.status(401).json({ error: "unauthorized" });
+      let staff;
+      try {
+        staff = await resolveStaff(db, token, req);
+      } catch (err) {
+        console.error("staff auth lookup failed", err);
+        return res.status(500).json({ error: "auth lookup failed" });
+      }
+      if (!staff) return res.status(401).json({ error: "unauthorized" });
+      if (staff.role !== "admin" && !roles.includes(staff.role))
+        return res.status(403).json({ error: "forbidden" });
+      req.staff = staff;
+      return next();
+    };
+}
@@ -0,0 +1,75 @@
+// iCalendar (RFC 5545) files for calendar invites. `entries` are
+//
+//   { uid, title, startsAt: Date, endsAt: Date, location, description, url }
+//
+// with everything but uid, title and startsAt optional; events without an
+// end are given DEFAULT_DURATION_MS.
+
+const DEFAULT_DURATION_MS = 2 * 60 * 60 * 1000;
+
+// 20261120T080000Z
+function icsDate(d) {
+  return d
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting
+// with a space, without splitting a UTF-8 character
+function fold(line) {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch);
+    const limit = parts.length ? 74 : 75;
+    if (size + len > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += len;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+export function buildCalendar(entries, now = new Date()) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//TEDx//Tickets//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  for (const entry of entries) {
+    const end =
+      entry.endsAt ||
+      new Date(entry.startsAt.getTime() + DEFAULT_DURATION_MS);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${entry.uid}`,
+      `DTSTAMP:${icsDate(now)}`,
+      `DTSTART:${icsDate(entry.startsAt)}`,
+      `DTEND:${icsDate(end)}`,
+      `SUMMARY:${escapeText(entry.title)}`
+    );
+    if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+    if (entry.description)
+      lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+    if (entry.url) lines.push(`URL:${entry.url}`);
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,76 @@
+import { createRepository } from "./repository.js";
+
+// Server-side package catalog. Packages live in the `packages` collection,
+// keyed by package id:
+//
+//   {
+//     title: "Friends bundle",
+//     price: 1500,              // per purchase, in major currency units
+//     currency: "EGP",
+//     ticketsPerPurchase: 5,
+//     maxQuantity: 4,           // optional, defaults to MAX_QUANTITY
+//     saleStart: Timestamp,     // optional
+//     saleEnd: Timestamp,       // optional
+//     eventId: "tedx-2026",     // optional, defaults to EVENT_ID
+//     sessions: ["day1"],       // optional, sessions the tickets grant
+//     active: true,
+//   }
+//
+// The browser only ever sends a package id and a quantity; prices and ticket
+// counts always come from here.
+
+export const MAX_QUANTITY = 10;
+
+export function toDate(value) {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+export async function getPackage(db, packageId) {
+  if (!packageId) return null;
+  const snap = await createRepository(db).packages.get(packageId);
+  if (!snap) return null;
+  const data = snap.data();
+  return {
+    id: snap.id,
+    title: data.title || snap.id,
+    price: Number(data.price),
+    currency: data.currency || "EGP",
+    ticketsPerPurchase: Math.max(1, Number(data.ticketsPerPurchase) || 1),
+    maxQuantity: Number(data.maxQuantity) || MAX_QUANTITY,
+    saleStart: toDate(data.saleStart),
+    saleEnd: toDate(data.saleEnd),
+    eventId: data.eventId || null,
+    sessions: Array.isArray(data.sessions) ? data.sessions.map(String) : null,
+    active: data.active !== false,
+    raw: data,
+  };
+}
+
+// Returns null when the package can be sold right now, otherwise the reason
+// it can't.
+export function packageUnavailableReason(pkg, now = new Date()) {
+  if (!pkg) return "unknown package";
+  if (!pkg.active) return "package not active";
+  if (!(pkg.price > 0)) return "package has no price";
+  if (pkg.saleStart && now < pkg.saleStart) return "sale not started";
+  if (pkg.saleEnd && now > pkg.saleEnd) return "sale ended";
+  return null;
+}
+
+export function parseQuantity(pkg, quantity) {
+  const q = quantity === undefined || quantity === null ? 1 : Number(quantity);
+  if (!Number.isInteger(q) || q < 1 || q > pkg.maxQuantity) return null;
+  return q;
+}
+
+// Amount in major units, rounded to piastres
+export function priceFor(pkg, quantity) {
+  return Math.round(pkg.price * quantity * 100) / 100;
+}
+
+export function ticketCountFor(pkg, quantity = 1) {
+  return pkg.ticketsPerPurchase * (Number(quantity) || 1);
+}
@@ -0,0 +1,358 @@
+import { EventEmitter } from "events";
+import admin from "firebase-admin";
+import {
+  EVENT_ID,
+  scanKey,
+  verifyTicketCode,
+  isLegacyTicketCode,
+} from "./tickets.js";
+import { getEvent } from "./events.js";
+import { recordAudit, ticketNumber } from "./audit.js";
+
+// Check-in state lives on the payments document that issued the ticket:
+//
+//   scannedMap.<code key>              first admission of the code, any gate
+//   scannedBy.<code key>               who did that first admission
+//   admissions.<code key>.<session>    { at, staffId, name, role, deviceId }
+//
+// A scan without a session context is the original one-scan-per-code
+// check-in. A scan at a session gate admits the ticket once per session, so a
+// two-day pass gets in on both days.
+
+const iso = (v) => (v && v.toDate ? v.toDate().toISOString() : v || null);
+
+// Committed admissions are announced here as "admitted" events, for the live
+// dashboard (lib/dashboard.js). Each process only sees its own scans.
+export const checkins = new EventEmitter();
+
+// `first` is whether this was the code's first admission at any gate;
+// `replaced` that an offline scan displaced an admission already counted
+function announce(code, data, gate, staff, extra) {
+  checkins.emit(
+    "admitted",
+    Object.assign(
+      {
+        eventId: ticketEventId(code, data),
+        sessionId: gate.sessionId || null,
+        packageId: data.packageId || null,
+        packageTitle: data.packageTitle || null,
+        deviceId: staff.deviceId || null,
+        staffId: staff.id,
+      },
+      extra
+    )
+  );
+}
+
+// Signed ticket codes are checked before any Firestore lookup, so forged or
+// guessed codes never reach the database. Legacy `order-...` codes are only
+// accepted while ALLOW_LEGACY_TICKETS=true. Returns an error message or null.
+export function rejectTicketCode(code) {
+  if (isLegacyTicketCode(code))
+    return process.env.ALLOW_LEGACY_TICKETS === "true"
+      ? null
+      : "ticket not found";
+  const verified = verifyTicketCode(code);
+  if (!verified.ok) {
+    console.warn("rejected ticket code", { reason: verified.reason });
+    return "ticket not found";
+  }
+  return null;
+}
+
+// What an admission records about who let the ticket in
+function stamp(staff, at) {
+  return {
+    staffId: staff.id,
+    name: staff.name || null,
+    role: staff.role,
+    deviceId: staff.deviceId || null,
+    at,
+  };
+}
+
+function isVoided(data, code) {
+  return Array.isArray(data.voidedCodes) && data.voidedCodes.includes(code);
+}
+
+// Event a ticket belongs to: the one signed into its code, else the one
+// recorded on the payment (legacy codes)
+function ticketEventId(code, data) {
+  const verified = verifyTicketCode(code);
+  return (verified.ok && verified.eventId) || data.eventId || EVENT_ID;
+}
+
+// Check the gate context { eventId, sessionId } against the ticket. Returns
+// { event, session } or { error }.
+async function resolveGate(db, code, data, { eventId, sessionId }) {
+  const ticketEvent = ticketEventId(code, data);
+  if (eventId && eventId !== ticketEvent)
+    return { error: "ticket is for another event" };
+  if (!sessionId) return { event: null, session: null };
+
+  const event = await getEvent(db, eventId || ticketEvent);
+  const session = event && event.sessions.find((s) => s.id === sessionId);
+  if (!session) return { error: "unknown session" };
+  const granted = data.ticketSessions;
+  if (Array.isArray(granted) && !granted.includes(sessionId))
+    return { error: "ticket not valid for this session" };
+  return { event, session };
+}
+
+// Read-only view of a ticket's check-in state, for GET /api/ticket/check
+export async function ticketStatus(db, doc, code, gate = {}) {
+  const data = doc.data();
+  const key = scanKey(code);
+  // prefer the per-code scanned map; fall back to legacy scannedAt for
+  // single-ticket docs
+  const scannedEntry = (data.scannedMap || {})[key];
+  const admissions = {};
+  for (const [session, entry] of Object.entries(
+    (data.admissions || {})[key] || {}
+  ))
+    admissions[decodeURIComponent(session)] = iso(entry.at);
+
+  const status = {
+    cancelled: isVoided(data, code),
+    scanned: !!scannedEntry || !!data.scannedAt,
+    scannedAt: iso(scannedEntry || data.scannedAt),
+    eventId: ticketEventId(code, data),
+    sessions: data.ticketSessions || null,
+    admissions,
+  };
+  if (gate.eventId || gate.sessionId) {
+    const resolved = await resolveGate(db, code, data, gate);
+    status.valid = !resolved.error && !status.cancelled;
+    if (resolved.error) status.reason = resolved.error;
+    if (gate.sessionId) status.admitted = !!admissions[gate.sessionId];
+  }
+  return status;
+}
+
+// Admit `code` (issued by payments doc `ref`) at the gate { eventId,
+// sessionId }, recording `staff` and an audit entry with `audit` ({ actor,
+// source }; lib/audit.js). Runs in a transaction so two scanners can't both
+// admit the same ticket. Returns
+//   { ok: true, data }                         admitted
+//   { ok: false, message, scannedAt, data }    already admitted here
+//   { ok: false, error, code }                 not valid at this gate
+export async function admitTicket(db, ref, code, gate, staff, audit) {
+  const key = scanKey(code);
+  const initial = (await ref.get()).data() || {};
+  // the event config is not part of the transaction; it doesn't change
+  // during a scan
+  const resolved = await resolveGate(db, code, initial, gate);
+  if (resolved.error) return { ok: false, error: resolved.error, code: 409 };
+
+  const result = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    const data = snap.data() || {};
+    if (isVoided(data, code))
+      return { ok: false, error: "ticket cancelled", code: 409 };
+    // granted sessions could have changed since the first read
+    const granted = data.ticketSessions;
+    if (
+      gate.sessionId &&
+      Array.isArray(granted) &&
+      !granted.includes(gate.sessionId)
+    )
+      return {
+        ok: false,
+        error: "ticket not valid for this session",
+        code: 409,
+      };
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const by = stamp(staff, now);
+    const scannedEntry = (data.scannedMap || {})[key];
+    const update = {};
+
+    if (gate.sessionId) {
+      const sessionKey = scanKey(gate.sessionId);
+      const existing = ((data.admissions || {})[key] || {})[sessionKey];
+      if (existing)
+        return {
+          ok: false,
+          message: "already scanned",
+          scannedAt: iso(existing.at),
+          data,
+        };
+      update[`admissions.${key}.${sessionKey}`] = by;
+    } else if (scannedEntry) {
+      return {
+        ok: false,
+        message: "already scanned",
+        scannedAt: iso(scannedEntry),
+        data,
+      };
+    }
+
+    // the first admission of a code, at any gate, also marks it scanned
+    if (!scannedEntry) {
+      update[`scannedMap.${key}`] = now;
+      update[`scannedBy.${key}`] = by;
+      // for backward compatibility with single-ticket records, also set
+      // scannedAt
+      if (!Array.isArray(data.ticketCodes) || data.ticketCodes.length <= 1)
+        update.scannedAt = now;
+    }
+    t.update(ref, update);
+    recordAudit(t, ref, "scanned", audit, {
+      before: { scanned: !!scannedEntry },
+      after: { scanned: true },
+      details: {
+        ticket: ticketNumber(data, code),
+        eventId: gate.eventId,
+        sessionId: gate.sessionId,
+        offline: false,
+      },
+    });
+    return { ok: true, data, first: !scannedEntry };
+  });
+  if (result.ok)
+    announce(code, result.data, gate, staff, {
+      first: result.first,
+      replaced: false,
+      offline: false,
+      at: new Date().toISOString(),
+    });
+  return result;
+}
+
+const millis = (v) =>
+  v && v.toMillis ? v.toMillis() : v instanceof Date ? v.getTime() : 0;
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Whether admission `a` wins over `b` for the same slot: the earlier one,
+// then the lower device id, then the lower scan id
+function precedes(a, b) {
+  return (
+    (millis(a.at) - millis(b.at) ||
+      compare(a.deviceId || "", b.deviceId || "") ||
+      compare(a.scanId || "", b.scanId || "")) < 0
+  );
+}
+
+function admissionView(entry) {
+  return {
+    staffId: entry.staffId || null,
+    deviceId: entry.deviceId || null,
+    at: iso(entry.at),
+    offline: !!entry.offline,
+  };
+}
+
+// Record a check-in a scanner made offline at device time `scan.at` (see
+// lib/scannerSync.js). The ticket may have been admitted to the same slot
+// (code + session) elsewhere in the meantime. The earliest admission wins,
+// ties broken by device id and then scan id, whatever order they reach the
+// server in; the other one is appended to `scanConflicts`. Uploading the
+// same scan again is a no-op. Admissions and conflicts are recorded in the
+// audit trail with `audit` ({ actor, source }). Returns { status, ... } with
+// status
+//   "admitted"    recorded; `displaced` if it replaced a later admission
+//   "duplicate"   this scan was already recorded
+//   "conflict"    an earlier admission wins; see `winner`
+//   "rejected"    not valid at this gate; see `reason`
+export async function admitOfflineScan(
+  db,
+  ref,
+  code,
+  gate,
+  staff,
+  scan,
+  audit
+) {
+  const key = scanKey(code);
+  const initial = (await ref.get()).data() || {};
+  const resolved = await resolveGate(db, code, initial, gate);
+  if (resolved.error) return { status: "rejected", reason: resolved.error };
+
+  let admitted = null;
+  const result = await db.runTransaction(async (t) => {
+    const data = (await t.get(ref)).data() || {};
+    if (isVoided(data, code))
+      return { status: "rejected", reason: "ticket cancelled" };
+    const granted = data.ticketSessions;
+    if (
+      gate.sessionId &&
+      Array.isArray(granted) &&
+      !granted.includes(gate.sessionId)
+    )
+      return { status: "rejected", reason: "ticket not valid for this session" };
+
+    const entry = Object.assign(stamp(staff, scan.at), {
+      scanId: scan.id,
+      offline: true,
+      syncedAt: new Date(),
+    });
+    const scannedAt = (data.scannedMap || {})[key];
+    // first admission at any gate; older records only have scannedMap
+    const first =
+      (data.scannedBy || {})[key] || (scannedAt ? { at: scannedAt } : null);
+    const sessionKey = gate.sessionId && scanKey(gate.sessionId);
+    const existing = gate.sessionId
+      ? ((data.admissions || {})[key] || {})[sessionKey]
+      : first;
+    if (existing && existing.scanId === scan.id) return { status: "duplicate" };
+
+    const update = {};
+    const wins = !existing || precedes(entry, existing);
+    // a scan that lost before and is uploaded again is only recorded once
+    const recorded = (data.scanConflicts || []).some(
+      (c) => c.loser && c.loser.scanId === scan.id
+    );
+    if (existing && !recorded)
+      update.scanConflicts = admin.firestore.FieldValue.arrayUnion({
+        code,
+        sessionId: gate.sessionId || null,
+        winner: wins ? entry : existing,
+        loser: wins ? existing : entry,
+        at: new Date(),
+      });
+    if (wins) {
+      admitted = { data, first: !first, replaced: !!existing };
+      if (gate.sessionId) update[`admissions.${key}.${sessionKey}`] = entry;
+      if (!first || precedes(entry, first)) {
+        update[`scannedMap.${key}`] = scan.at;
+        update[`scannedBy.${key}`] = entry;
+        if (!Array.isArray(data.ticketCodes) || data.ticketCodes.length <= 1)
+          update.scannedAt = scan.at;
+      }
+    }
+    if (Object.keys(update).length) t.update(ref, update);
+    const details = {
+      ticket: ticketNumber(data, code),
+      eventId: gate.eventId,
+      sessionId: gate.sessionId,
+      offline: true,
+      scanId: scan.id,
+      scannedAt: scan.at,
+    };
+    if (wins)
+      recordAudit(t, ref, "scanned", audit, {
+        before: { scanned: !!first },
+        after: { scanned: true },
+        details: Object.assign(details, {
+          displaced: existing ? admissionView(existing) : null,
+        }),
+      });
+    else if (!recorded)
+      recordAudit(t, ref, "scan.conflict", audit, {
+        details: Object.assign(details, { winner: admissionView(existing) }),
+      });
+
+    if (!wins) return { status: "conflict", winner: admissionView(existing) };
+    return existing
+      ? { status: "admitted", displaced: admissionView(existing) }
+      : { status: "admitted" };
+  });
+  if (result.status === "admitted")
+    announce(code, admitted.data, gate, staff, {
+      first: admitted.first,
+      replaced: admitted.replaced,
+      offline: true,
+      at: scan.at.toISOString(),
+    });
+  return result;
+}
@@ -0,0 +1,260 @@
+import { EVENT_ID, scanKey } from "./tickets.js";
+import { checkins } from "./checkin.js";
+
+// Live check-in dashboard. Totals for an event:
+//
+//   {
+//     eventId, issued, admitted,
+//     packages: { <packageId>: { title, issued, admitted } },
+//     sessions: { <sessionId>: admitted },
+//     gates: { <deviceId>: admissions },
+//     rate: { windowMinutes, scans, perMinute: [{ minute, scans }] },
+//     at,
+//   }
+//
+// `admitted` counts tickets let in at least once; gates count every
+// admission, one per session for multi-day tickets. Scanners without a
+// device id are grouped under "unknown".
+//
+// The snapshot is computed from the payments documents. Streams start from
+// it and then apply the check-ins this process makes (lib/checkin.js
+// `checkins`) as they happen; they are recomputed every DASHBOARD_RESYNC_MS,
+// which picks up tickets issued meanwhile and scans made by other instances.
+
+const RATE_WINDOW_MINUTES = Number(
+  process.env.DASHBOARD_RATE_WINDOW_MINUTES || 15
+);
+const RESYNC_MS = Number(process.env.DASHBOARD_RESYNC_MS || 60 * 1000);
+const HEARTBEAT_MS = 25 * 1000;
+// totals are pushed at most this often while scans stream in
+const TOTALS_THROTTLE_MS = 1000;
+const MINUTE = 60 * 1000;
+
+// Timestamp, Date or ISO string to ms
+function millis(v) {
+  if (!v) return null;
+  if (v.toMillis) return v.toMillis();
+  return new Date(v).getTime() || null;
+}
+
+function issuedCodes(data) {
+  if (Array.isArray(data.ticketCodes) && data.ticketCodes.length)
+    return data.ticketCodes;
+  return data.ticketCode ? [data.ticketCode] : [];
+}
+
+function emptyTotals(eventId) {
+  return {
+    eventId,
+    issued: 0,
+    admitted: 0,
+    packages: {},
+    sessions: {},
+    gates: {},
+    // admission times (ms) inside the rate window
+    recent: [],
+  };
+}
+
+function packageOf(totals, id, title) {
+  const key = id || "unknown";
+  if (!totals.packages[key])
+    totals.packages[key] = { title: title || key, issued: 0, admitted: 0 };
+  return totals.packages[key];
+}
+
+function countAdmission(totals, { sessionId, deviceId, at }) {
+  if (sessionId)
+    totals.sessions[sessionId] = (totals.sessions[sessionId] || 0) + 1;
+  const gate = deviceId || "unknown";
+  totals.gates[gate] = (totals.gates[gate] || 0) + 1;
+  if (at && at > Date.now() - RATE_WINDOW_MINUTES * MINUTE)
+    totals.recent.push(at);
+}
+
+// Totals for `eventId` from the payments documents
+export async function computeTotals(repo, eventId = EVENT_ID) {
+  const totals = emptyTotals(eventId);
+  for (const doc of await repo.payments.listByEvent(eventId)) {
+    const data = doc.data();
+    const voided = data.voidedCodes || [];
+    const codes = issuedCodes(data).filter((c) => !voided.includes(c));
+    if (!codes.length) continue;
+    const pkg = packageOf(totals, data.packageId, data.packageTitle);
+    for (const code of codes) {
+      const key = scanKey(code);
+      pkg.issued++;
+      totals.issued++;
+      const scanned =
+        (data.scannedMap || {})[key] ||
+        (codes.length === 1 ? data.scannedAt : null);
+      if (!scanned) continue;
+      pkg.admitted++;
+      totals.admitted++;
+
+      const sessions = Object.entries((data.admissions || {})[key] || {});
+      // a code admitted at session gates counts once per session; one
+      // scanned without a session counts its single scan
+      if (sessions.length)
+        for (const [session, entry] of sessions)
+          countAdmission(totals, {
+            sessionId: decodeURIComponent(session),
+            deviceId: entry.deviceId,
+            at: millis(entry.at),
+          });
+      else {
+        const by = (data.scannedBy || {})[key] || {};
+        countAdmission(totals, {
+          deviceId: by.deviceId,
+          at: millis(by.at || scanned),
+        });
+      }
+    }
+  }
+  return totals;
+}
+
+// JSON view of `totals`, with the scan rate per minute over the window
+export function totalsView(totals, now = Date.now()) {
+  const since = now - RATE_WINDOW_MINUTES * MINUTE;
+  totals.recent = totals.recent.filter((t) => t > since);
+  // one bucket per clock minute, oldest first; the last is the current one
+  const current = Math.floor(now / MINUTE);
+  const buckets = new Array(RATE_WINDOW_MINUTES).fill(0);
+  for (const t of totals.recent) {
+    const i = RATE_WINDOW_MINUTES - 1 - (current - Math.floor(t / MINUTE));
+    if (i >= 0) buckets[i]++;
+  }
+  return {
+    eventId: totals.eventId,
+    issued: totals.issued,
+    admitted: totals.admitted,
+    packages: totals.packages,
+    sessions: totals.sessions,
+    gates: totals.gates,
+    rate: {
+      windowMinutes: RATE_WINDOW_MINUTES,
+      scans: totals.recent.length,
+      perMinute: buckets.map((scans, i) => ({
+        minute: new Date(
+          (current - RATE_WINDOW_MINUTES + 1 + i) * MINUTE
+        ).toISOString(),
+        scans,
+      })),
+    },
+    at: new Date(now).toISOString(),
+  };
+}
+
+// Apply a check-in event from lib/checkin.js
+function applyCheckin(totals, event) {
+  // an offline scan that displaced an earlier-counted one doesn't change the
+  // numbers; the next resync fixes which gate it is credited to
+  if (event.replaced) return;
+  if (event.first) {
+    packageOf(totals, event.packageId, event.packageTitle).admitted++;
+    totals.admitted++;
+  }
+  countAdmission(totals, {
+    sessionId: event.sessionId,
+    deviceId: event.deviceId,
+    at: millis(event.at),
+  });
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Server-Sent Events streams of live totals, one shared state per event
+// with at least one client connected
+export function createDashboard(repo) {
+  const streams = new Map();
+
+  function broadcast(stream, event, data) {
+    for (const res of stream.clients) send(res, event, data);
+  }
+
+  function pushTotals(stream) {
+    if (stream.pending) return;
+    stream.pending = setTimeout(() => {
+      stream.pending = null;
+      if (stream.totals)
+        broadcast(stream, "totals", totalsView(stream.totals));
+    }, TOTALS_THROTTLE_MS);
+  }
+
+  async function resync(stream) {
+    try {
+      stream.totals = await computeTotals(repo, stream.eventId);
+      broadcast(stream, "totals", totalsView(stream.totals));
+    } catch (err) {
+      console.error("dashboard: resync failed", stream.eventId, err);
+    }
+  }
+
+  checkins.on("admitted", (event) => {
+    const stream = streams.get(event.eventId);
+    if (!stream || !stream.totals) return;
+    applyCheckin(stream.totals, event);
+    broadcast(stream, "checkin", event);
+    pushTotals(stream);
+  });
+
+  function close(stream) {
+    clearInterval(stream.resync);
+    clearInterval(stream.heartbeat);
+    clearTimeout(stream.pending);
+    if (streams.get(stream.eventId) === stream) streams.delete(stream.eventId);
+  }
+
+  function open(eventId) {
+    const stream = { eventId, clients: new Set(), totals: null };
+    streams.set(eventId, stream);
+    stream.ready = computeTotals(repo, eventId).then((totals) => {
+      stream.totals = totals;
+    });
+    stream.resync = setInterval(() => resync(stream), RESYNC_MS);
+    stream.heartbeat = setInterval(() => {
+      for (const client of stream.clients) client.write(": ping\n\n");
+    }, HEARTBEAT_MS);
+    stream.resync.unref();
+    stream.heartbeat.unref();
+    return stream;
+  }
+
+  // Stream `eventId` to the response `res`. The client gets "totals" first
+  // and then "checkin" events and updated "totals" as scans come in. Rejects
+  // (before anything is written) if the totals can't be computed.
+  async function subscribe(eventId, req, res) {
+    const stream = streams.get(eventId) || open(eventId);
+    try {
+      await stream.ready;
+    } catch (err) {
+      if (!stream.clients.size) close(stream);
+      throw err;
+    }
+    if (req.destroyed) {
+      if (!stream.clients.size) close(stream);
+      return;
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // no buffering by reverse proxies
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    stream.clients.add(res);
+    send(res, "totals", totalsView(stream.totals));
+
+    req.on("close", () => {
+      stream.clients.delete(res);
+      if (!stream.clients.size) close(stream);
+    });
+  }
+
+  return { subscribe };
+}
@@ -0,0 +1,74 @@
+import fs from "fs";
+import admin from "firebase-admin";
+import { createMemoryDb } from "./store/memory.js";
+
+// Storage backend, chosen with STORAGE_BACKEND:
+//
+// - "firestore" (default): Google Firestore through firebase-admin
+// - "memory": the in-process store in lib/store/memory.js, for running the
+//   backend locally or in tests without Google credentials. Data is lost on
+//   restart; STORAGE_SEED can point at a JSON file of initial documents,
+//   shaped { "<collection>": { "<doc id>": { ...fields } } }.
+//
+// Both expose the same (Firestore) API, so routes and lib modules don't
+// care which one they get.
+
+export const STORAGE_BACKEND = (
+  process.env.STORAGE_BACKEND || "firestore"
+).toLowerCase();
+
+// Initialize Firebase Admin.
+// On Railway you can provide the service account JSON as the
+// environment variable `GOOGLE_SERVICE_ACCOUNT` (one-line JSON string).
+// If not present we fall back to default credentials.
+function openFirestore() {
+  if (process.env.GOOGLE_SERVICE_ACCOUNT) {
+    try {
+      const svc = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT);
+      admin.initializeApp({ credential: admin.credential.cert(svc) });
+      console.log(
+        "Initialized firebase-admin using GOOGLE_SERVICE_ACCOUNT env"
+      );
+    } catch (err) {
+      console.error(
+        "Failed to parse GOOGLE_SERVICE_ACCOUNT JSON, falling back to default credentials:",
+        err
+      );
+      admin.initializeApp();
+    }
+  } else {
+    admin.initializeApp();
+    console.log("Initialized firebase-admin with default credentials");
+  }
+  return admin.firestore();
+}
+
+// Returns the database, or null if it could not be opened
+export function openDatabase() {
+  if (STORAGE_BACKEND === "memory") {
+    console.warn("Using in-memory storage; data is lost on restart");
+    let seed = {};
+    if (process.env.STORAGE_SEED) {
+      try {
+        seed = JSON.parse(fs.readFileSync(process.env.STORAGE_SEED, "utf8"));
+      } catch (err) {
+        console.error("Failed to load STORAGE_SEED", err);
+        return null;
+      }
+    }
+    return createMemoryDb(seed);
+  }
+  if (STORAGE_BACKEND !== "firestore") {
+    console.error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}"`);
+    return null;
+  }
+  try {
+    return openFirestore();
+  } catch (e) {
+    console.error(
+      "Failed to initialize firebase-admin or obtain firestore instance:",
+      e
+    );
+    return null;
+  }
+}
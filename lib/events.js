@@ -0,0 +1,110 @@
+import { toDate } from "./catalog.js";
+import { EVENT_ID } from "./tickets.js";
+import { createRepository } from "./repository.js";
+
+// Events, keyed by event id in the `events` collection:
+//
+//   {
+//     title: "TEDx 2026",
+//     startsAt: Timestamp,
+//     endsAt: Timestamp,
+//     timezone: "Africa/Cairo",
+//     venues: {
+//       hall: { name: "Main hall", address: "..." },
+//     },
+//     sessions: {
+//       day1: { title: "Day 1", startsAt: Timestamp, endsAt: Timestamp, venueId: "hall" },
+//       day2: { title: "Day 2", startsAt: Timestamp, endsAt: Timestamp, venueId: "hall" },
+//     },
+//     active: true,
+//   }
+//
+// A package belongs to an event through its `eventId` (EVENT_ID when unset)
+// and lists the session ids its tickets grant in `sessions`; without
+// `sessions` a ticket is valid for every session of its event. Tickets carry
+// the event id in their signed code and the granted sessions on the payment
+// (`ticketSessions`).
+
+function toSession(id, data = {}) {
+  return {
+    id,
+    title: data.title || id,
+    startsAt: toDate(data.startsAt),
+    endsAt: toDate(data.endsAt),
+    venueId: data.venueId || null,
+  };
+}
+
+function toEvent(snap) {
+  const data = snap.data();
+  const sessions = Object.entries(data.sessions || {})
+    .map(([id, s]) => toSession(id, s))
+    .sort((a, b) => (a.startsAt || 0) - (b.startsAt || 0));
+  return {
+    id: snap.id,
+    title: data.title || snap.id,
+    startsAt: toDate(data.startsAt),
+    endsAt: toDate(data.endsAt),
+    timezone: data.timezone || "Africa/Cairo",
+    venues: data.venues || {},
+    sessions,
+    active: data.active !== false,
+  };
+}
+
+export async function getEvent(db, eventId) {
+  if (!eventId) return null;
+  const snap = await createRepository(db).events.get(eventId);
+  return snap ? toEvent(snap) : null;
+}
+
+export async function listEvents(db) {
+  const docs = await createRepository(db).events.list();
+  return docs
+    .map(toEvent)
+    .filter((e) => e.active)
+    .sort((a, b) => (a.startsAt || 0) - (b.startsAt || 0));
+}
+
+// Packages on sale for `eventId`
+export async function listEventPackages(db, eventId) {
+  const docs = await createRepository(db).packages.listByEvent(eventId);
+  return docs
+    .filter((d) => d.data().active !== false)
+    .map((d) => {
+      const p = d.data();
+      return {
+        id: d.id,
+        title: p.title || d.id,
+        price: Number(p.price),
+        currency: p.currency || "EGP",
+        ticketsPerPurchase: Math.max(1, Number(p.ticketsPerPurchase) || 1),
+        sessions: Array.isArray(p.sessions) ? p.sessions : null,
+      };
+    });
+}
+
+// What tickets of `pkg` are valid for: { eventId, sessions } where sessions
+// null means every session of the event
+export function ticketScope(pkg) {
+  return {
+    eventId: (pkg && pkg.eventId) || EVENT_ID,
+    sessions: pkg && Array.isArray(pkg.sessions) ? pkg.sessions : null,
+  };
+}
+
+// JSON shape of an event for the API
+export function eventView(event) {
+  const iso = (d) => (d ? d.toISOString() : null);
+  return Object.assign({}, event, {
+    startsAt: iso(event.startsAt),
+    endsAt: iso(event.endsAt),
+    sessions: event.sessions.map((s) =>
+      Object.assign({}, s, {
+        startsAt: iso(s.startsAt),
+        endsAt: iso(s.endsAt),
+        venue: event.venues[s.venueId] || null,
+      })
+    ),
+  });
+}
@@ -0,0 +1,354 @@
+import admin from "firebase-admin";
+import { getPackage, ticketCountFor } from "./catalog.js";
+import { issueTicketCode, createManageToken } from "./tickets.js";
+import { qrUrl } from "./qr.js";
+import { enqueueEmail } from "./outbox.js";
+import { preparePromoRedemption } from "./promos.js";
+import { ticketScope } from "./events.js";
+import { recordAudit, systemContext } from "./audit.js";
+import { canTransition, rejectTransition } from "./paymentState.js";
+import { refundPayment } from "./refunds.js";
+import { PAYMENTS, REGISTRATIONS } from "./repository.js";
+import {
+  workshopRef,
+  registrationRef,
+  confirmPaidRegistration,
+  registrationEmailPayload,
+} from "./workshops.js";
+
+// Ticket issuing for a verified, successful payment. Shared by the Kashier
+// webhook and POST /api/payment/fulfill, which can race: the whole decision
+// runs in one transaction on the payments doc, so tickets are issued and the
+// receipt is queued exactly once whichever path gets there first. Payments
+// for paid workshops confirm their registration instead (lib/workshops.js),
+// or are refunded if the registration was cancelled before they arrived.
+
+// prefer the packageId stored server-side at session creation; older records
+// only carry it in metaData
+function packageIdOf(data, payment) {
+  return (
+    data.packageId ||
+    (payment && (payment.metaData?.packageId || payment.metaData?.package)) ||
+    data.metaData?.packageId ||
+    data.metaData?.package ||
+    data.response?.metaData?.packageId ||
+    data.response?.metaData?.package ||
+    ""
+  );
+}
+
+// Ticket email for `recipient` ({ name, email, phone, age }) carrying
+// `ticketCodes` of the payment `data`. Also used for attendee emails
+// (lib/attendees.js).
+export function ticketEmailPayload(
+  data,
+  programTitle,
+  recipient,
+  ticketCodes
+) {
+  // ticketLink should point to a frontend verification page; set
+  // FRONTEND_BASE env to your frontend origin
+  const base = process.env.FRONTEND_BASE || "";
+  const qrUrls = ticketCodes.map((c) => qrUrl(c));
+  const ticketLinks = ticketCodes.map(
+    (c) => `${base}/ticket-verify?code=${encodeURIComponent(c)}`
+  );
+  return {
+    template: "ticket",
+    // for backward compatibility include single fields too
+    ticketCode: ticketCodes[0],
+    qrUrl: qrUrls[0],
+    ticketLink: ticketLinks[0],
+    // arrays for multi-ticket support
+    ticketCodes,
+    qrUrls,
+    ticketLinks,
+    name: recipient.name || "",
+    email: recipient.email,
+    phone: recipient.phone || "",
+    age: recipient.age || null,
+    program_id: data.order || "",
+    program_title: programTitle || "",
+    program_name: programTitle || "",
+    group_link: data.metaData?.group_link || "",
+  };
+}
+
+// Link to the page where the buyer names attendees and transfers tickets
+function manageLink(token) {
+  const base = process.env.FRONTEND_BASE || "";
+  return `${base}/tickets/manage?token=${encodeURIComponent(token)}`;
+}
+
+// Inside the fulfillment transaction: refuse a payment whose status can't
+// follow the stored one or whose amount doesn't match. Returns the result to
+// return, or null to go ahead.
+function refusePayment(t, docRef, data, payment, audit) {
+  // e.g. a late success for an authorization that was voided meanwhile
+  if (!canTransition(data.status, payment.status)) {
+    rejectTransition(t, docRef, data.status, payment.status, audit, {
+      action: "fulfilled",
+    });
+    return { fulfilled: false, error: "illegal status transition" };
+  }
+
+  // The amount Kashier charged must match what we priced the session at
+  if (
+    data.amount &&
+    payment.amount !== undefined &&
+    Number(payment.amount) !== Number(data.amount)
+  ) {
+    console.error("fulfill: amount mismatch", {
+      expected: data.amount,
+      paid: payment.amount,
+      merchantOrderId: data.merchantOrderId,
+    });
+    t.update(docRef, {
+      status: payment.status,
+      verification: payment,
+      verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+      amountMismatch: true,
+    });
+    recordAudit(t, docRef, "fulfillment.rejected", audit, {
+      before: { status: data.status },
+      after: { status: payment.status },
+      details: {
+        reason: "amount mismatch",
+        expected: data.amount,
+        paid: payment.amount,
+      },
+    });
+    return { fulfilled: false, error: "amount mismatch" };
+  }
+  return null;
+}
+
+// Issue tickets for `docRef` given the verified Kashier `payment` (already
+// known to be in a success state) and queue the ticket email. `source`
+// records which path did it ("webhook", "fulfill", ...); `audit` is the
+// { actor, source } of the audit entry (lib/audit.js).
+//
+// Returns one of
+//   { fulfilled: true, ticketCodes, emailQueued }
+//   { fulfilled: false, already: true, ticketCodes }
+//   { fulfilled: false, error: "amount mismatch" }
+//   { fulfilled: false, error: "illegal status transition" }
+//   { fulfilled: false, error: "registration cancelled", refund,
+//     emailQueued }
+// where `refund` is the result of refundPayment (lib/refunds.js).
+export async function fulfillPayment(
+  db,
+  docRef,
+  payment,
+  source,
+  audit = systemContext(source)
+) {
+  const initial = (await docRef.get()).data() || {};
+  if (initial.registrationId) {
+    const result = await fulfillRegistration(
+      db,
+      docRef,
+      payment,
+      source,
+      audit
+    );
+    if (result.error !== "registration cancelled") return result;
+    // The seat went back when the hold was cancelled, so the money goes
+    // back too. If the refund fails the payment stays paid and unfulfilled,
+    // and reconciliation tries again.
+    const refund = await refundPayment(
+      db,
+      docRef,
+      { reason: "workshop registration cancelled" },
+      audit
+    ).catch((err) => ({ error: String(err) }));
+    if (refund.error)
+      console.warn("fulfill: refund of cancelled registration failed", {
+        paymentId: docRef.id,
+        error: refund.error,
+      });
+    return Object.assign(result, { refund, emailQueued: !!refund.emailQueued });
+  }
+  const packageId = packageIdOf(initial, payment);
+  const pkg = await getPackage(db, packageId);
+
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(docRef);
+    const data = snap.data() || {};
+    // promo code usage is counted now that the payment went through
+    const redeemPromo = await preparePromoRedemption(db, t, data);
+    const verified = {
+      status: payment.status,
+      verification: payment,
+      verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    // Idempotency: tickets already issued (or a receipt already sent/queued
+    // by an older version of this code)
+    if (
+      data.fulfilledAt ||
+      (Array.isArray(data.ticketCodes) && data.ticketCodes.length) ||
+      data.receiptSent ||
+      data.receiptJobId
+    )
+      return {
+        fulfilled: false,
+        already: true,
+        ticketCodes: data.ticketCodes || [],
+      };
+
+    const refused = refusePayment(t, docRef, data, payment, audit);
+    if (refused) return refused;
+
+    // ticket count comes from the catalog; unknown packages get one ticket per purchase
+    const ticketCount = pkg ? ticketCountFor(pkg, data.quantity || 1) : 1;
+    // random, HMAC-signed codes scoped to the package's event; see
+    // lib/tickets.js and lib/events.js
+    const scope = ticketScope(pkg);
+    const ticketCodes = Array.from({ length: ticketCount }, () =>
+      issueTicketCode({
+        eventId: scope.eventId,
+        packageId: (pkg && pkg.id) || packageId,
+      })
+    );
+    // QR images are served by this backend (GET /api/ticket/:code/qr.png)
+    const qrUrls = ticketCodes.map((c) => qrUrl(c));
+    // lets the buyer name attendees and transfer tickets; see
+    // lib/attendees.js
+    const manage = createManageToken();
+
+    t.update(
+      docRef,
+      Object.assign(
+        verified,
+        {
+          ticketCode: ticketCodes[0],
+          ticketCodes,
+          qrUrl: qrUrls[0],
+          qrUrls,
+          eventId: scope.eventId,
+          // sessions the tickets admit to; null = all sessions of the event
+          ticketSessions: scope.sessions,
+          manageTokenHash: manage.hash,
+          fulfilledAt: admin.firestore.FieldValue.serverTimestamp(),
+          fulfilledBy: source,
+        },
+        redeemPromo ? redeemPromo(docRef.id) : {}
+      )
+    );
+
+    const user = data.user || {};
+    const email = user.email || data.response?.customer?.email || null;
+    if (email)
+      enqueueEmail(
+        db,
+        {
+          kind: "receipt",
+          payload: Object.assign(
+            ticketEmailPayload(
+              data,
+              (pkg && pkg.title) || packageId,
+              Object.assign({}, user, { email, age: user.age || data.age }),
+              ticketCodes
+            ),
+            { manageLink: manageLink(manage.token) }
+          ),
+          target: { collection: PAYMENTS, id: docRef.id },
+        },
+        t
+      );
+    recordAudit(t, docRef, "fulfilled", audit, {
+      before: { status: data.status },
+      after: { status: payment.status, tickets: ticketCount },
+      details: {
+        eventId: scope.eventId,
+        promoCode: data.promo ? data.promo.code : null,
+        receiptQueued: !!email,
+      },
+    });
+    return { fulfilled: true, ticketCodes, emailQueued: !!email };
+  });
+}
+
+// Workshop payments: confirm the registration whose seat the payment held
+// and queue its confirmation email, which carries the group link. Returns
+// the same results as fulfillPayment, with no ticket codes.
+async function fulfillRegistration(db, docRef, payment, source, audit) {
+  return db.runTransaction(async (t) => {
+    const data = (await t.get(docRef)).data() || {};
+    const regSnap = await t.get(registrationRef(db, data.registrationId));
+    const wSnap = await t.get(workshopRef(db, data.workshopId));
+
+    if (data.fulfilledAt)
+      return { fulfilled: false, already: true, ticketCodes: [] };
+    const refused = refusePayment(t, docRef, data, payment, audit);
+    if (refused) return refused;
+    if (!regSnap.exists) {
+      console.error("fulfill: registration not found", {
+        registrationId: data.registrationId,
+        merchantOrderId: data.merchantOrderId,
+      });
+      return { fulfilled: false, error: "registration not found" };
+    }
+
+    const registration = regSnap.data();
+    if (registration.status === "cancelled") {
+      t.update(docRef, {
+        status: payment.status,
+        verification: payment,
+        verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      recordAudit(t, docRef, "fulfillment.rejected", audit, {
+        before: { status: data.status },
+        after: { status: payment.status },
+        details: {
+          reason: "registration cancelled",
+          registrationId: regSnap.id,
+        },
+      });
+      return { fulfilled: false, error: "registration cancelled" };
+    }
+    const workshop = wSnap.exists ? wSnap.data() : null;
+    const { overbooked } = confirmPaidRegistration(t, db, {
+      registrationId: regSnap.id,
+      registration,
+      workshop,
+      paymentId: docRef.id,
+    });
+    if (overbooked)
+      console.warn("fulfill: paid registration overbooks its workshop", {
+        registrationId: regSnap.id,
+        workshopId: data.workshopId,
+      });
+
+    t.update(docRef, {
+      status: payment.status,
+      verification: payment,
+      verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+      fulfilledAt: admin.firestore.FieldValue.serverTimestamp(),
+      fulfilledBy: source,
+    });
+    const queued = !!registration.email;
+    if (queued)
+      enqueueEmail(
+        db,
+        {
+          kind: "registration",
+          payload: registrationEmailPayload(registration, workshop),
+          target: { collection: REGISTRATIONS, id: regSnap.id },
+        },
+        t
+      );
+    recordAudit(t, docRef, "fulfilled", audit, {
+      before: { status: data.status, registration: registration.status },
+      after: { status: payment.status, registration: "confirmed" },
+      details: {
+        workshopId: data.workshopId,
+        registrationId: regSnap.id,
+        overbooked,
+        receiptQueued: queued,
+      },
+    });
+    return { fulfilled: true, ticketCodes: [], emailQueued: queued };
+  });
+}
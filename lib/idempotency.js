@@ -0,0 +1,149 @@
+import crypto from "crypto";
+import admin from "firebase-admin";
+import { createRepository } from "./repository.js";
+
+// Express middleware implementing the `Idempotency-Key` header. The first
+// request with a given key runs normally and its response is stored in the
+// `idempotency_keys` collection; repeats of that key get the stored response
+// replayed instead of running the handler again.
+//
+// - a repeat while the first request is still running gets a 409. The first
+//   request holds the key for IDEMPOTENCY_LEASE_SECONDS (`lockedAt`); a
+//   repeat after that takes the key over, so a request that crashed doesn't
+//   lock its key until the TTL. Only the current holder stores a response.
+// - reusing a key with a different request body gets a 422
+// - 5xx responses are not stored, so the client can retry with the same key
+//
+// Documents carry `expiresAt` so a Firestore TTL policy can clean them up.
+
+export const IDEMPOTENCY_HEADER = "Idempotency-Key";
+const TTL_MS = 24 * 60 * 60 * 1000;
+const LEASE_MS = Number(process.env.IDEMPOTENCY_LEASE_SECONDS || 120) * 1000;
+
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function toDate(value) {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+// Decide what a repeat of a stored key gets, in a transaction so only one
+// repeat takes over an expired lease: { take: true } to run the request,
+// { stored } to replay, or { status, error }
+async function claimStored(db, ref, { scope, requestHash, lockId }) {
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    const stored = snap.exists ? snap.data() : null;
+    if (stored && stored.requestHash !== requestHash)
+      return {
+        status: 422,
+        error: "Idempotency-Key reused with a different request",
+      };
+    if (stored && stored.state === "completed") return { stored };
+    // entries from before leases only have createdAt
+    const lockedAt = stored && toDate(stored.lockedAt || stored.createdAt);
+    if (stored && lockedAt && Date.now() - lockedAt.getTime() < LEASE_MS)
+      return {
+        status: 409,
+        error: "a request with this Idempotency-Key is in progress",
+      };
+    // no entry (the first request failed with a 5xx) or an expired lease
+    t.set(ref, {
+      scope,
+      state: "in_progress",
+      requestHash,
+      lockId,
+      lockedAt: new Date(),
+      createdAt: stored
+        ? stored.createdAt
+        : admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: new Date(Date.now() + TTL_MS),
+    });
+    return { take: true, takeover: !!stored };
+  });
+}
+
+export function idempotency(db, scope) {
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (!key || !db) return next();
+    if (key.length > 255)
+      return res.status(400).json({ error: "Idempotency-Key too long" });
+
+    const ref = createRepository(db).idempotencyKeys.ref(
+      hash(`${scope}:${key}`)
+    );
+    const requestHash = hash(JSON.stringify(req.body || {}));
+    const lockId = crypto.randomUUID();
+
+    try {
+      await ref.create({
+        scope,
+        state: "in_progress",
+        requestHash,
+        lockId,
+        lockedAt: new Date(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: new Date(Date.now() + TTL_MS),
+      });
+    } catch (err) {
+      // 6 = ALREADY_EXISTS
+      if (!err || err.code !== 6) {
+        console.error("idempotency: failed to store key, continuing", err);
+        return next();
+      }
+      let claim;
+      try {
+        claim = await claimStored(db, ref, { scope, requestHash, lockId });
+      } catch (readErr) {
+        console.error("idempotency: failed to read key", readErr);
+        return res.status(500).json({ error: String(readErr) });
+      }
+      if (claim.error)
+        return res.status(claim.status).json({ error: claim.error });
+      if (claim.stored) {
+        const { stored } = claim;
+        console.log("idempotency: replaying stored response", { scope });
+        res.set("Idempotent-Replayed", "true");
+        if (stored.contentType) res.type(stored.contentType);
+        return res.status(stored.statusCode).send(stored.body);
+      }
+      if (claim.takeover)
+        console.warn("idempotency: lease expired, taking over key", { scope });
+    }
+
+    // Capture the serialized body; res.json() ends up in res.send() with a
+    // string, which is what gets stored
+    let body = null;
+    const send = res.send.bind(res);
+    res.send = (chunk) => {
+      if (typeof chunk === "string") body = chunk;
+      else if (Buffer.isBuffer(chunk)) body = chunk.toString("utf8");
+      return send(chunk);
+    };
+
+    res.on("finish", () => {
+      // a repeat may have taken the key over meanwhile; it stores its own
+      const done = db.runTransaction(async (t) => {
+        const snap = await t.get(ref);
+        if (!snap.exists || snap.data().lockId !== lockId) return;
+        if (res.statusCode >= 500) t.delete(ref);
+        else
+          t.update(ref, {
+            state: "completed",
+            statusCode: res.statusCode,
+            contentType: res.get("Content-Type") || null,
+            body,
+            completedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+      });
+      done.catch((err) =>
+        console.error("idempotency: failed to store response", err)
+      );
+    });
+
+    return next();
+  };
+}
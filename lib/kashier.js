@@ -0,0 +1,119 @@
+// Kashier API calls, made with Node's built-in fetch (Node 18+).
+// KASHIER_MODE=live talks to the live endpoints, anything else to the test
+// ones.
+
+// Helper: verify session via Kashier GET API
+export async function fetchKashierSession(sessionId) {
+  const base =
+    process.env.KASHIER_MODE === "live"
+      ? "https://api.kashier.io"
+      : "https://test-api.kashier.io";
+  const url = `${base}/v3/payment/sessions/${sessionId}/payment`;
+  const resp = await fetch(url, {
+    method: "GET",
+    headers: {
+      Authorization: process.env.KASHIER_SECRET,
+      "api-key": process.env.KASHIER_API_KEY,
+      "Content-Type": "application/json",
+    },
+  });
+  const data = await resp.json();
+  if (!resp.ok)
+    throw new Error(
+      `Kashier verify failed: ${resp.status} ${JSON.stringify(data)}`
+    );
+  return data; // data.data is the payment object per Kashier docs
+}
+
+// Helper: refund (part of) a paid order via the Kashier orders API.
+// `amount` is in major units.
+export async function refundKashierOrder(kashierOrderId, amount, reason) {
+  const base =
+    process.env.KASHIER_MODE === "live"
+      ? "https://fep.kashier.io"
+      : "https://test-fep.kashier.io";
+  const url = `${base}/v3/orders/${encodeURIComponent(kashierOrderId)}/`;
+  const resp = await fetch(url, {
+    method: "PUT",
+    headers: {
+      Authorization: process.env.KASHIER_SECRET,
+      "api-key": process.env.KASHIER_API_KEY,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      apiOperation: "REFUND",
+      reason: reason || "refund",
+      transaction: { amount: Number(amount) },
+    }),
+  });
+  const data = await resp.json();
+  if (!resp.ok || (data && data.status && data.status !== "SUCCESS"))
+    throw new Error(
+      `Kashier refund failed: ${resp.status} ${JSON.stringify(data)}`
+    );
+  return data;
+}
+
+// Helper: Kashier session payload. Sessions stop accepting payment at
+// `expireAt` (default: in an hour).
+export function kashierSessionPayload({
+  amount,
+  currency,
+  order,
+  merchantRedirect,
+  description,
+  customer,
+  metaData,
+  expireAt = new Date(Date.now() + 1000 * 60 * 60),
+}) {
+  return {
+    expireAt: expireAt.toISOString(),
+    maxFailureAttempts: 3,
+    paymentType: "credit",
+    amount: String(amount),
+    currency,
+    order, // merchantOrderId / order
+    merchantRedirect: merchantRedirect, // frontend must send a raw URL; encode only once here if needed
+    display: "en",
+    type: "one-time",
+    allowedMethods: "card,wallet",
+    merchantId: process.env.KASHIER_MERCHANT_ID,
+    failureRedirect: false,
+    defaultMethod: "card",
+    description,
+    customer,
+    // Disable saved-card retrieval to avoid Kashier UI attempting a browser GET
+    // to the cards endpoint (which lacks Authorization headers and returns 400).
+    retrieveSavedCard: false,
+    saveCard: "optional",
+    serverWebhook: `${process.env.SERVER_BASE}/api/payment/webhook`,
+    metaData,
+  };
+}
+
+// Helper: create a Kashier payment session. Returns { ok, data, sessionId }
+// where `data` is Kashier's response.
+export async function createKashierSession(payload) {
+  const endpoint =
+    process.env.KASHIER_MODE === "live"
+      ? "https://api.kashier.io/v3/payment/sessions"
+      : "https://test-api.kashier.io/v3/payment/sessions";
+
+  console.log("Creating Kashier session", { endpoint });
+  console.log("Kashier payload", JSON.stringify(payload));
+  const resp = await fetch(endpoint, {
+    method: "POST",
+    headers: {
+      Authorization: process.env.KASHIER_SECRET,
+      "api-key": process.env.KASHIER_API_KEY,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(payload),
+  });
+
+  const data = await resp.json();
+  console.log("Kashier response", { status: resp.status, data });
+  const sessionId =
+    data.sessionId || data._id || (data.data && data.data._id) || null;
+  return { ok: resp.ok, data, sessionId };
+}
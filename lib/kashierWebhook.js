@@ -0,0 +1,115 @@
+import crypto from "crypto";
+
+// Kashier signs webhooks with HMAC-SHA256 over a query string built from the
+// fields listed in `data.signatureKeys` (sorted, strictly URI-encoded) and
+// sends the hex digest in the `x-kashier-signature` header.
+export const SIGNATURE_HEADER = "x-kashier-signature";
+
+function strictEncode(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+export function buildSignaturePayload(data) {
+  const keys = [...data.signatureKeys].sort();
+  return keys
+    .filter((k) => data[k] !== undefined)
+    .map((k) =>
+      data[k] === null
+        ? strictEncode(k)
+        : `${strictEncode(k)}=${strictEncode(String(data[k]))}`
+    )
+    .join("&");
+}
+
+// Returns { ok: true } for a valid signature. Otherwise `fallback` tells the
+// caller whether the event can't be checked here because no secret is
+// configured, and should be re-verified with Kashier instead, or whether it
+// must be rejected outright. With a secret, an event that can't be checked
+// (no signature, no signatureKeys) is rejected.
+export function verifyKashierSignature(evt, signature, secret) {
+  if (!secret) return { ok: false, fallback: true, reason: "no secret" };
+  if (!signature)
+    return { ok: false, fallback: false, reason: "missing signature" };
+
+  const data = evt && evt.data;
+  if (!data || !Array.isArray(data.signatureKeys) || !data.signatureKeys.length)
+    return { ok: false, fallback: false, reason: "no signatureKeys" };
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(buildSignaturePayload(data))
+    .digest("hex");
+  const a = Buffer.from(expected, "utf8");
+  const b = Buffer.from(String(signature).trim().toLowerCase(), "utf8");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b))
+    return { ok: false, fallback: false, reason: "signature mismatch" };
+  return { ok: true };
+}
+
+// The fields of `data` covered by the signature (listed in signatureKeys).
+// Only these can be trusted once the signature checks out; everything else
+// in the event, including its top level, can be changed by whoever sends it.
+export function signedFields(evt) {
+  const data = (evt && evt.data) || {};
+  const keys = Array.isArray(data.signatureKeys) ? data.signatureKeys : [];
+  const out = {};
+  for (const k of keys)
+    if (k !== "signatureKeys" && data[k] !== undefined) out[k] = data[k];
+  return out;
+}
+
+// Stable identifier used for replay protection. Kashier does not send a
+// dedicated event id, so combine the signed transaction id with the signed
+// status (a payment and its refund are separate events).
+export function kashierEventId(evt) {
+  const signed = signedFields(evt);
+  const txn =
+    signed.transactionId ||
+    signed.kashierOrderId ||
+    signed.orderReference ||
+    null;
+  if (!txn) return null;
+  return `${txn}:${signed.status || "event"}`;
+}
+
+export function kashierEventTimestamp(evt) {
+  const signed = signedFields(evt);
+  const raw = signed.creationDate || signed.createdAt || null;
+  if (!raw) return null;
+  const t = new Date(raw).getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+// Which payment a webhook is about: { sessionId, merchantOrderId,
+// kashierOrderId } from `fields` (the signed fields, or the whole of `data`
+// for events re-verified with Kashier). Returns { error } when an unsigned
+// top-level id names a different payment.
+export function kashierPaymentIds(evt, fields) {
+  const ids = {
+    sessionId: fields.sessionId || null,
+    merchantOrderId: fields.merchantOrderId || fields.order || null,
+    kashierOrderId: fields.kashierOrderId || fields.orderReference || null,
+  };
+  const topLevel = {
+    sessionId: [evt.sessionId, evt._id],
+    merchantOrderId: [evt.merchantOrderId, evt.order],
+    kashierOrderId: [evt.kashierOrderId, evt.orderReference],
+  };
+  for (const [name, values] of Object.entries(topLevel))
+    for (const value of values)
+      if (value && ids[name] && String(value) !== String(ids[name]))
+        return { error: `${name} does not match the signed data` };
+  return ids;
+}
+
+// Webhook payloads use SUCCESS/FAILURE while the payment API reports
+// PAID/FAILED; store the latter so both paths agree.
+export function normalizeKashierStatus(status) {
+  const s = String(status || "").toUpperCase();
+  if (s === "SUCCESS") return "PAID";
+  if (s === "FAILURE") return "FAILED";
+  return s || null;
+}
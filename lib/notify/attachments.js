@@ -0,0 +1,72 @@
+import { createRepository } from "../repository.js";
+import { workshopRef } from "../workshops.js";
+import { buildCalendar } from "../calendar.js";
+import {
+  ticketDetails,
+  renderTicketPdf,
+  ticketCalendarEntries,
+  workshopCalendarEntries,
+} from "../ticketDocs.js";
+import { templateOf } from "./render.js";
+
+// Files attached to confirmation emails, built when the email is sent:
+//
+// - ticket emails: the tickets in the email as a PDF (one page per code) and
+//   a calendar invite for the event or the sessions they grant
+// - workshop confirmations: a calendar invite, if the workshop has a start
+//
+// Attachments are { filename, contentType, content: Buffer }. Set
+// EMAIL_ATTACHMENTS=false to send emails without them.
+
+const ENABLED = process.env.EMAIL_ATTACHMENTS !== "false";
+
+function calendarFile(entries) {
+  return {
+    filename: "invite.ics",
+    contentType: "text/calendar; charset=utf-8; method=PUBLISH",
+    content: Buffer.from(buildCalendar(entries)),
+  };
+}
+
+async function ticketAttachments(db, payload) {
+  const codes = payload.ticketCodes || [];
+  if (!codes.length) return [];
+  const doc = await createRepository(db).tickets.findByCode(codes[0]);
+  if (!doc) return [];
+  const details = await ticketDetails(db, doc.data(), codes);
+  const files = [
+    {
+      filename: codes.length > 1 ? "tickets.pdf" : "ticket.pdf",
+      contentType: "application/pdf",
+      content: await renderTicketPdf(details),
+    },
+  ];
+  const entries = ticketCalendarEntries(details);
+  if (entries.length) files.push(calendarFile(entries));
+  return files;
+}
+
+async function registrationAttachments(db, payload) {
+  if (!payload.program_id) return [];
+  const snap = await workshopRef(db, payload.program_id).get();
+  if (!snap.exists) return [];
+  const entries = workshopCalendarEntries(
+    payload.program_id,
+    snap.data(),
+    payload.email
+  );
+  return entries.length ? [calendarFile(entries)] : [];
+}
+
+// Attachments for an outbox payload; [] for templates that have none
+export async function emailAttachments(db, payload) {
+  if (!ENABLED || !db) return [];
+  switch (templateOf(payload)) {
+    case "ticket":
+      return ticketAttachments(db, payload);
+    case "registration":
+      return registrationAttachments(db, payload);
+    default:
+      return [];
+  }
+}
@@ -0,0 +1,129 @@
+import nodemailer from "nodemailer";
+import { sendToAppsScript } from "../appsScript.js";
+import { renderEmail } from "./render.js";
+import { emailAttachments } from "./attachments.js";
+
+// Email delivery. Every email is rendered here from templates/email (see
+// render.js) and handed to the provider picked by EMAIL_PROVIDER:
+//
+// - "appsscript" (default): POST to the Apps Script endpoint. The rendered
+//   subject/html/text and base64 inline images are sent alongside the
+//   original payload fields, so the script only has to pass them to
+//   MailApp.sendEmail. Attachments go as [{ filename, mimeType, base64 }].
+// - "smtp": nodemailer over SMTP_URL, or SMTP_HOST/SMTP_PORT/SMTP_USER/
+//   SMTP_PASS.
+// - "log": print the email to the console instead of sending it, for local
+//   runs.
+//
+// Providers take the rendered email and return { ok, status, text, errMsg },
+// the shape the outbox expects. `email.attachments` are the files from
+// attachments.js (ticket PDFs, calendar invites).
+
+export const EMAIL_PROVIDER = (
+  process.env.EMAIL_PROVIDER || "appsscript"
+).toLowerCase();
+const EMAIL_FROM = process.env.EMAIL_FROM || "TEDx <no-reply@localhost>";
+
+async function appsScriptProvider(email, payload) {
+  const inlineImages = {};
+  for (const img of email.images)
+    inlineImages[img.cid] = img.content.toString("base64");
+  return sendToAppsScript(
+    Object.assign({}, payload, {
+      subject: email.subject,
+      htmlBody: email.html,
+      textBody: email.text,
+      inlineImages,
+      attachments: email.attachments.map((file) => ({
+        filename: file.filename,
+        mimeType: file.contentType,
+        base64: file.content.toString("base64"),
+      })),
+      templateVersion: `${email.template}.v${email.version}`,
+    })
+  );
+}
+
+function smtpProvider() {
+  const transport = process.env.SMTP_URL
+    ? nodemailer.createTransport(process.env.SMTP_URL)
+    : nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: Number(process.env.SMTP_PORT) === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+  return async (email) => {
+    try {
+      const info = await transport.sendMail({
+        from: EMAIL_FROM,
+        to: email.to,
+        subject: email.subject,
+        text: email.text,
+        html: email.html,
+        attachments: email.images
+          .map((img) => ({
+            cid: img.cid,
+            filename: img.filename,
+            content: img.content,
+            contentType: "image/png",
+          }))
+          .concat(email.attachments),
+      });
+      return { ok: true, status: null, text: info.messageId || "" };
+    } catch (err) {
+      return {
+        ok: false,
+        status: err.responseCode || null,
+        text: "",
+        errMsg: String(err.message || err),
+      };
+    }
+  };
+}
+
+async function logProvider(email) {
+  const files = email.attachments.map(
+    (file) => `${file.filename} (${file.content.length} bytes)`
+  );
+  console.log(
+    `email: ${email.template}.v${email.version} to ${email.to}\n` +
+      `Subject: ${email.subject}\n` +
+      (files.length ? `Attachments: ${files.join(", ")}\n` : "") +
+      `\n${email.text}`
+  );
+  return { ok: true, status: null, text: "logged" };
+}
+
+function createProvider(name) {
+  switch (name) {
+    case "appsscript":
+      return appsScriptProvider;
+    case "smtp":
+      return smtpProvider();
+    case "log":
+      return logProvider;
+    default:
+      throw new Error(`unknown EMAIL_PROVIDER "${name}"`);
+  }
+}
+
+let provider = null;
+
+// Render and deliver the email for an outbox payload. Returns the
+// provider's result plus the template and version that were used. `db` is
+// needed for attachments; without it the email is sent without them.
+export async function sendEmail(payload, { db } = {}) {
+  if (!provider) provider = createProvider(EMAIL_PROVIDER);
+  const email = await renderEmail(payload);
+  if (!email.to)
+    return { ok: false, status: null, text: "", errMsg: "missing recipient" };
+  email.attachments = await emailAttachments(db, payload);
+  const result = await provider(email, payload);
+  return Object.assign(result, {
+    template: email.template,
+    templateVersion: email.version,
+  });
+}
@@ -0,0 +1,198 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Mustache from "mustache";
+import { renderQr } from "../qr.js";
+
+// Email rendering from the versioned templates in templates/email:
+//
+//   <name>.v<N>.html   HTML part
+//   <name>.v<N>.txt    plain-text part; its first line is "Subject: ..."
+//
+// Templates are Mustache. A new version is a new pair of files, so emails
+// already queued or sent can be traced back to the exact template that
+// rendered them. The latest version is used unless one is asked for.
+//
+// Outbox payloads keep the loose shape the Apps Script used to consume;
+// VIEWS maps each of them to the data its template sees.
+
+const TEMPLATE_DIR = fileURLToPath(
+  new URL("../../templates/email/", import.meta.url)
+);
+
+// QR images are attached inline and referenced as cid:<id>
+const qrCid = (i) => `ticket-qr-${i}@tedx`;
+
+function tickets(payload) {
+  const codes = Array.isArray(payload.ticketCodes)
+    ? payload.ticketCodes
+    : payload.ticketCode
+    ? [payload.ticketCode]
+    : [];
+  const links = payload.ticketLinks || [];
+  return codes.map((code, i) => ({
+    code,
+    number: i + 1,
+    link: links[i] || payload.ticketLink || "",
+    cid: qrCid(i),
+  }));
+}
+
+function base(payload) {
+  return {
+    name: payload.name || "",
+    email: payload.email || "",
+    programTitle: payload.program_title || payload.program_name || "",
+    groupLink: payload.group_link || "",
+  };
+}
+
+const VIEWS = {
+  registration: (p) => base(p),
+  waitlist: (p) =>
+    Object.assign(base(p), { waitlistPosition: p.waitlist_position || null }),
+  ticket: (p) =>
+    Object.assign(base(p), {
+      tickets: tickets(p),
+      qr: true,
+      // set on attendee emails; manageLink only on the buyer's
+      sentBy: p.sent_by || "",
+      manageLink: p.manageLink || "",
+    }),
+  cancellation: (p) =>
+    Object.assign(base(p), {
+      tickets: tickets(p),
+      fullRefund: !!p.full_refund,
+      refundAmount: p.refund_amount || null,
+      currency: p.currency || "EGP",
+      reason: p.reason || "",
+    }),
+  transfer: (p) => Object.assign(base(p), { tickets: tickets(p) }),
+};
+
+export const TEMPLATES = Object.keys(VIEWS);
+
+// Payloads without a `template` are registration confirmations
+export function templateOf(payload) {
+  return (payload && payload.template) || "registration";
+}
+
+// Available versions of `name`, ascending
+export function templateVersions(name) {
+  const re = new RegExp(`^${name}\\.v(\\d+)\\.html$`);
+  return fs
+    .readdirSync(TEMPLATE_DIR)
+    .map((f) => re.exec(f))
+    .filter(Boolean)
+    .map((m) => Number(m[1]))
+    .sort((a, b) => a - b);
+}
+
+const cache = new Map();
+
+function load(name, version) {
+  const key = `${name}.v${version}`;
+  if (!cache.has(key)) {
+    const read = (ext) =>
+      fs.readFileSync(path.join(TEMPLATE_DIR, `${key}.${ext}`), "utf8");
+    const [first, ...rest] = read("txt").split("\n");
+    if (!first.startsWith("Subject:"))
+      throw new Error(`${key}.txt must start with a Subject: line`);
+    cache.set(key, {
+      subject: first.slice("Subject:".length).trim(),
+      text: rest.join("\n").replace(/^\n+/, ""),
+      html: read("html"),
+    });
+  }
+  return cache.get(key);
+}
+
+// Render the email for an outbox `payload`. Returns
+//   { template, version, to, subject, html, text, images }
+// where `images` are the inline QR PNGs ({ cid, filename, content }).
+// With `inline: "data"` the HTML embeds QR images as data: URLs instead of
+// cid references, for previews in a browser.
+export async function renderEmail(payload, { version, inline = "cid" } = {}) {
+  const name = templateOf(payload);
+  if (!VIEWS[name]) throw new Error(`unknown email template "${name}"`);
+  const versions = templateVersions(name);
+  const v = version ? Number(version) : versions[versions.length - 1];
+  if (!versions.includes(v))
+    throw new Error(`email template ${name} has no version ${version}`);
+
+  const view = VIEWS[name](payload);
+  const images = [];
+  if (view.qr)
+    for (const ticket of view.tickets) {
+      const png = await renderQr(ticket.code, "png", { size: 300 });
+      images.push({
+        cid: ticket.cid,
+        filename: `ticket-${ticket.number}.png`,
+        content: png,
+      });
+      ticket.qrSrc =
+        inline === "data"
+          ? `data:image/png;base64,${png.toString("base64")}`
+          : `cid:${ticket.cid}`;
+    }
+
+  const tpl = load(name, v);
+  // subject and text part are not HTML, so nothing is escaped there
+  const plain = { escape: (s) => String(s) };
+  return {
+    template: name,
+    version: v,
+    to: payload.email || null,
+    subject: Mustache.render(tpl.subject, view, {}, plain),
+    text: Mustache.render(tpl.text, view, {}, plain),
+    html: Mustache.render(tpl.html, view),
+    images,
+  };
+}
+
+// Sample payloads for previews, one per template
+export const SAMPLE_PAYLOADS = {
+  registration: {
+    name: "Salma Ahmed",
+    email: "salma@example.com",
+    program_title: "Public speaking",
+    group_link: "https://chat.whatsapp.com/example",
+  },
+  waitlist: {
+    template: "waitlist",
+    name: "Salma Ahmed",
+    email: "salma@example.com",
+    program_title: "Public speaking",
+    waitlist_position: 3,
+  },
+  ticket: {
+    template: "ticket",
+    name: "Omar Hassan",
+    email: "omar@example.com",
+    program_title: "Standard ticket",
+    ticketCodes: ["T1.preview.sample-ticket-1", "T1.preview.sample-ticket-2"],
+    ticketLinks: [
+      "https://example.com/ticket-verify?code=1",
+      "https://example.com/ticket-verify?code=2",
+    ],
+    manageLink: "https://example.com/tickets/manage?token=sample",
+  },
+  cancellation: {
+    template: "cancellation",
+    name: "Omar Hassan",
+    email: "omar@example.com",
+    program_title: "Standard ticket",
+    ticketCodes: ["T1.preview.sample-ticket-1"],
+    refund_amount: 500,
+    currency: "EGP",
+    full_refund: true,
+    reason: "",
+  },
+  transfer: {
+    template: "transfer",
+    name: "Omar Hassan",
+    email: "omar@example.com",
+    program_title: "Standard ticket",
+    ticketCodes: ["T1.preview.sample-ticket-1"],
+  },
+};
@@ -0,0 +1,294 @@
+import admin from "firebase-admin";
+import { sendEmail } from "./notify/index.js";
+import { recordAudit, systemContext } from "./audit.js";
+import { PAYMENTS, createRepository } from "./repository.js";
+
+// Durable email outbox. Routes enqueue a job in the `email_outbox`
+// collection (ideally inside the same transaction as the write that needs
+// the email) and a background worker renders and delivers it through the
+// configured provider (lib/notify):
+//
+//   pending --send ok--> sent
+//      |  \--send failed--> retry --(backoff)--> sending --> ...
+//      |                      \--maxAttempts reached--> dead
+//      \--claimed by worker--> sending
+//
+// A job stuck in "sending" (process died mid-delivery) becomes claimable
+// again once its lease (nextAttemptAt) runs out. Dead jobs can be re-driven
+// from the admin API, which puts them back into "pending".
+//
+// Each job may point at a target document whose email status fields follow
+// the job's lifecycle; see TARGET_FIELDS. Emails about a payment that are
+// sent or dead-lettered are also recorded in its audit trail (lib/audit.js).
+
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 8);
+const BASE_DELAY_MS = Number(process.env.OUTBOX_BASE_DELAY_MS || 30 * 1000);
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const LEASE_MS = 2 * 60 * 1000;
+const BATCH_SIZE = 10;
+
+const serverTimestamp = () => admin.firestore.FieldValue.serverTimestamp();
+
+// Status fields written on the target document for each stage of a job
+const TARGET_FIELDS = {
+  registration: {
+    queued: (jobId) => ({
+      email_requested: true,
+      email_sent: false,
+      email_job_id: jobId,
+    }),
+    sent: (text) => ({
+      email_requested: false,
+      email_sent: true,
+      email_response: text,
+      email_error: admin.firestore.FieldValue.delete(),
+      emailedAt: serverTimestamp(),
+    }),
+    failed: (error) => ({ email_error: error }),
+    dead: (error) => ({
+      email_requested: false,
+      email_sent: false,
+      email_error: error,
+    }),
+  },
+  receipt: {
+    queued: (jobId) => ({ receiptSent: false, receiptJobId: jobId }),
+    sent: (text) => ({
+      receiptSent: true,
+      receiptResponse: text,
+      receiptError: admin.firestore.FieldValue.delete(),
+      receiptSentAt: serverTimestamp(),
+    }),
+    failed: (error) => ({ receiptError: error }),
+    dead: (error) => ({ receiptSent: false, receiptError: error }),
+  },
+  cancellation: {
+    queued: () => ({ cancellationEmailSent: false }),
+    sent: () => ({
+      cancellationEmailSent: true,
+      cancellationEmailSentAt: serverTimestamp(),
+    }),
+    failed: (error) => ({ cancellationEmailError: error }),
+    dead: (error) => ({ cancellationEmailError: error }),
+  },
+};
+
+export function backoffDelay(attempts) {
+  return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+function targetRef(db, target) {
+  return createRepository(db).outbox.targetRef(target);
+}
+
+async function updateTarget(db, job, stage, arg) {
+  const fields = TARGET_FIELDS[job.kind] && TARGET_FIELDS[job.kind][stage];
+  const ref = targetRef(db, job.target);
+  if (!fields || !ref) return;
+  try {
+    await ref.update(fields(arg));
+  } catch (err) {
+    console.error("outbox: failed to update target", job.target, err);
+  }
+}
+
+async function auditDelivery(db, job, jobId, type, details) {
+  if (!job.target || job.target.collection !== PAYMENTS) return;
+  try {
+    await recordAudit(
+      null,
+      targetRef(db, job.target),
+      type,
+      systemContext("outbox"),
+      {
+        details: Object.assign(
+          {
+            kind: job.kind,
+            jobId,
+            to: (job.payload && job.payload.email) || null,
+            attempts: job.attempts,
+          },
+          details
+        ),
+      }
+    );
+  } catch (err) {
+    console.error("outbox: failed to record audit entry", job.target, err);
+  }
+}
+
+// Enqueue an email. `kind` selects which status fields the target document
+// gets ("registration", "receipt" or "cancellation"; other kinds such as
+// "attendee" and "transfer" leave it alone). Pass a transaction to
+// make the job part of a larger atomic write. Returns the job ref.
+export function enqueueEmail(db, { kind, payload, target }, transaction) {
+  const ref = createRepository(db).outbox.ref();
+  const job = {
+    kind,
+    payload,
+    target: target || null,
+    state: "pending",
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    nextAttemptAt: new Date(),
+    lastError: null,
+    createdAt: serverTimestamp(),
+  };
+  const fields = TARGET_FIELDS[kind] && TARGET_FIELDS[kind].queued;
+  const tRef = targetRef(db, target);
+  if (transaction) {
+    transaction.set(ref, job);
+    if (fields && tRef) transaction.update(tRef, fields(ref.id));
+    return ref;
+  }
+  const batch = db.batch();
+  batch.set(ref, job);
+  if (fields && tRef) batch.update(tRef, fields(ref.id));
+  return batch.commit().then(() => ref);
+}
+
+// Claim a due job by moving it to "sending" with a lease. Returns the job
+// data, or null if another worker got there first or it is no longer due.
+async function claim(db, ref) {
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) return null;
+    const job = snap.data();
+    const due = job.nextAttemptAt && job.nextAttemptAt.toDate() <= new Date();
+    if (!["pending", "retry", "sending"].includes(job.state) || !due)
+      return null;
+    t.update(ref, {
+      state: "sending",
+      nextAttemptAt: new Date(Date.now() + LEASE_MS),
+      attempts: (job.attempts || 0) + 1,
+      lastAttemptAt: serverTimestamp(),
+    });
+    return Object.assign({}, job, { attempts: (job.attempts || 0) + 1 });
+  });
+}
+
+async function deliver(db, ref, job) {
+  let result;
+  try {
+    result = await sendEmail(job.payload, { db });
+  } catch (err) {
+    result = { ok: false, errMsg: String(err) };
+  }
+
+  if (result.ok) {
+    await ref.update({
+      state: "sent",
+      sentAt: serverTimestamp(),
+      response: result.text,
+      template: result.template,
+      templateVersion: result.templateVersion,
+      lastError: null,
+    });
+    await updateTarget(db, job, "sent", result.text);
+    await auditDelivery(db, job, ref.id, "email.sent", {
+      template: `${result.template}.v${result.templateVersion}`,
+    });
+    return "sent";
+  }
+
+  const error = String(result.errMsg || "send failed");
+  if (job.attempts >= (job.maxAttempts || MAX_ATTEMPTS)) {
+    console.error("outbox: job dead-lettered", ref.id, error);
+    await ref.update({
+      state: "dead",
+      lastError: error,
+      deadAt: serverTimestamp(),
+    });
+    await updateTarget(db, job, "dead", error);
+    await auditDelivery(db, job, ref.id, "email.failed", { error });
+    return "dead";
+  }
+
+  const delay = backoffDelay(job.attempts);
+  console.warn("outbox: send failed, retrying", ref.id, { delay, error });
+  await ref.update({
+    state: "retry",
+    lastError: error,
+    nextAttemptAt: new Date(Date.now() + delay),
+  });
+  await updateTarget(db, job, "failed", error);
+  return "retry";
+}
+
+// Deliver every job that is due. Returns counts per outcome.
+export async function processOutbox(db) {
+  const due = await createRepository(db).outbox.listDue(
+    ["pending", "retry", "sending"],
+    new Date(),
+    BATCH_SIZE
+  );
+  const counts = { sent: 0, retry: 0, dead: 0 };
+  for (const doc of due) {
+    let job;
+    try {
+      job = await claim(db, doc.ref);
+    } catch (err) {
+      console.error("outbox: failed to claim job", doc.id, err);
+      continue;
+    }
+    if (!job) continue;
+    counts[await deliver(db, doc.ref, job)]++;
+  }
+  return counts;
+}
+
+// Put dead (or retrying) jobs back into the queue for immediate delivery
+// with a fresh attempt budget. Returns the ids that were re-driven.
+export async function redriveJobs(db, ids) {
+  const redriven = [];
+  for (const id of ids) {
+    const ref = createRepository(db).outbox.ref(id);
+    const ok = await db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (!snap.exists || !["dead", "retry"].includes(snap.data().state))
+        return false;
+      t.update(ref, {
+        state: "pending",
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        redrivenAt: serverTimestamp(),
+      });
+      return true;
+    });
+    if (ok) {
+      redriven.push(ref.id);
+      const job = (await ref.get()).data();
+      await updateTarget(db, job, "queued", ref.id);
+    }
+  }
+  return redriven;
+}
+
+// Poll the outbox on an interval. `kick()` runs a pass right away, e.g.
+// after enqueueing, without waiting for the next tick.
+export function startOutboxWorker(db, intervalMs = 15000) {
+  let running = false;
+  let again = false;
+  const run = async () => {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        again = false;
+        const counts = await processOutbox(db);
+        if (counts.sent || counts.retry || counts.dead)
+          console.log("outbox: processed", counts);
+      } while (again);
+    } catch (err) {
+      console.error("outbox: worker pass failed", err);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return { kick: () => setImmediate(run), stop: () => clearInterval(timer) };
+}
@@ -0,0 +1,122 @@
+import { recordAudit } from "./audit.js";
+
+// Payment status state machine. Kashier reports statuses in any order (a
+// late or replayed webhook, a status poll racing the webhook), so a status
+// is only stored if TRANSITIONS allows the move from the stored one:
+//
+// - CREATED and PENDING sessions can fail, be cancelled, expire or be paid
+// - FAILED, CANCELLED and EXPIRED sessions can still be paid late
+// - AUTHORIZED -> CAPTURED -> PAID; an authorization can also be VOIDED
+// - paid payments can only be (partially) refunded; REFUNDED and VOIDED
+//   are final
+//
+// So a paid payment never goes back to PENDING or FAILED. Staying in the
+// same status is allowed (a re-verification only refreshes `verification`).
+// A payment without a status counts as CREATED; one with a status this
+// module doesn't know (stored before it existed) as PENDING. Unknown new
+// statuses are refused.
+
+const LATE_PAYMENT = ["AUTHORIZED", "CAPTURED", "PAID"];
+
+const TRANSITIONS = {
+  CREATED: ["PENDING", "FAILED", "CANCELLED", "EXPIRED", ...LATE_PAYMENT],
+  PENDING: ["FAILED", "CANCELLED", "EXPIRED", ...LATE_PAYMENT],
+  // a failed attempt can be retried on the same session
+  FAILED: ["PENDING", "CANCELLED", "EXPIRED", ...LATE_PAYMENT],
+  CANCELLED: LATE_PAYMENT,
+  EXPIRED: LATE_PAYMENT,
+  AUTHORIZED: ["CAPTURED", "PAID", "VOIDED", "PARTIALLY_REFUNDED", "REFUNDED"],
+  CAPTURED: ["PAID", "PARTIALLY_REFUNDED", "REFUNDED"],
+  PAID: ["PARTIALLY_REFUNDED", "REFUNDED"],
+  PARTIALLY_REFUNDED: ["REFUNDED"],
+  REFUNDED: [],
+  VOIDED: [],
+};
+
+// Sessions still waiting for Kashier; a failed one can be retried until it
+// expires
+export const OPEN_STATES = ["CREATED", "PENDING", "FAILED"];
+
+// Paid: tickets are issued for these
+export const SUCCESS_STATES = ["PAID", "CAPTURED", "AUTHORIZED"];
+
+export function paymentState(status) {
+  return String(status || "CREATED").toUpperCase();
+}
+
+export function isSuccess(status) {
+  return SUCCESS_STATES.includes(paymentState(status));
+}
+
+// Nothing left to learn from Kashier about these
+export const SETTLED_STATES = [
+  ...SUCCESS_STATES,
+  "PARTIALLY_REFUNDED",
+  "REFUNDED",
+  "VOIDED",
+];
+
+export function isSettled(status) {
+  return SETTLED_STATES.includes(paymentState(status));
+}
+
+export function canTransition(from, to) {
+  const a = paymentState(from);
+  const b = paymentState(to);
+  if (!TRANSITIONS[b]) return false;
+  if (a === b) return true;
+  return (TRANSITIONS[a] || TRANSITIONS.PENDING).includes(b);
+}
+
+// Log a refused transition and record it in the payment's audit trail
+// (as part of `writer`, a transaction or batch, if given)
+export function rejectTransition(writer, ref, from, to, context, details) {
+  console.warn("payment: illegal status transition refused", {
+    paymentId: ref.id,
+    from: paymentState(from),
+    to: paymentState(to),
+    source: context && context.source,
+  });
+  return recordAudit(writer, ref, "transition.rejected", context, {
+    before: { status: from || null },
+    details: Object.assign({ attempted: to || null }, details),
+  });
+}
+
+// Apply `update` (which sets `status`) to payment `ref` and record an audit
+// entry of `type`, in one transaction, if the stored status may move to the
+// new one. Otherwise nothing is changed and the refusal is recorded instead.
+// Resolves to { applied, from, to }; `from` is the stored status.
+export async function applyPaymentStatus(
+  db,
+  ref,
+  update,
+  type,
+  context,
+  change = {}
+) {
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    const from = snap.exists ? snap.data().status || null : null;
+    const to = update.status;
+    if (!canTransition(from, to)) {
+      rejectTransition(
+        t,
+        ref,
+        from,
+        to,
+        context,
+        Object.assign({ action: type }, change.details)
+      );
+      return { applied: false, from, to };
+    }
+    t.update(ref, update);
+    const moved = from !== to;
+    recordAudit(t, ref, type, context, {
+      before: moved ? Object.assign({ status: from }, change.before) : null,
+      after: moved ? Object.assign({ status: to }, change.after) : null,
+      details: change.details,
+    });
+    return { applied: true, from, to };
+  });
+}
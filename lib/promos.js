@@ -0,0 +1,316 @@
+import crypto from "crypto";
+import admin from "firebase-admin";
+import {
+  toDate,
+  getPackage,
+  packageUnavailableReason,
+  parseQuantity,
+  priceFor,
+} from "./catalog.js";
+import { createRepository } from "./repository.js";
+import { paymentState } from "./paymentState.js";
+
+// Promo codes. They live in the `promo_codes` collection, keyed by the code
+// in upper case:
+//
+//   {
+//     type: "percent",          // or "fixed" (major units off the total)
+//     value: 20,
+//     packages: ["standard"],   // optional, restricts the code to packages
+//     maxUses: 100,             // optional, across all buyers
+//     maxUsesPerEmail: 1,       // optional
+//     validFrom: Timestamp,     // optional
+//     validUntil: Timestamp,    // optional
+//     active: true,
+//     uses: 0,                  // maintained here
+//   }
+//
+// Codes are checked when a payment session is created, and the discounted
+// price is what Kashier charges. Creating the session reserves a use
+// (reservePromo): `uses` goes up right away, and so does the buyer's count
+// under `promo_codes/<code>/redemptions/<email hash>` for the per-email cap,
+// so buyers paying at the same time can't overrun a cap. The use is given
+// back if the session expires or is cancelled unpaid, or if the payment is
+// refunded in full (preparePromoRelease). The payment's `promo` records
+// `reservedAt`, `redeemedAt` and `releasedAt`.
+
+export function normalizePromoCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+function promoRef(db, code) {
+  return createRepository(db).promos.ref(normalizePromoCode(code));
+}
+
+function redemptionRef(db, code, email) {
+  const key = crypto
+    .createHash("sha256")
+    .update(String(email || "").toLowerCase())
+    .digest("hex");
+  return createRepository(db).promos.redemptionRef(
+    normalizePromoCode(code),
+    key
+  );
+}
+
+function paymentEmail(payment) {
+  return payment.customerEmail || (payment.user && payment.user.email) || null;
+}
+
+// Payment statuses that give back a reserved use
+const RELEASING_STATES = ["EXPIRED", "CANCELLED"];
+
+function toPromo(snap) {
+  const data = snap.data();
+  return {
+    code: snap.id,
+    type: data.type === "fixed" ? "fixed" : "percent",
+    value: Number(data.value) || 0,
+    packages: Array.isArray(data.packages) ? data.packages.map(String) : null,
+    maxUses: Number(data.maxUses) || null,
+    maxUsesPerEmail: Number(data.maxUsesPerEmail) || null,
+    validFrom: toDate(data.validFrom),
+    validUntil: toDate(data.validUntil),
+    active: data.active !== false,
+    uses: Number(data.uses) || 0,
+  };
+}
+
+export async function getPromo(db, code) {
+  if (!normalizePromoCode(code)) return null;
+  const snap = await promoRef(db, code).get();
+  return snap.exists ? toPromo(snap) : null;
+}
+
+// Discount in major units for a `subtotal`, rounded to piastres and never
+// more than the subtotal
+export function discountFor(promo, subtotal) {
+  const raw =
+    promo.type === "fixed" ? promo.value : (subtotal * promo.value) / 100;
+  return Math.min(subtotal, Math.round(Math.max(0, raw) * 100) / 100);
+}
+
+// Check `code` for buying `pkg` at `subtotal`. `email` (normalized) is
+// needed for codes with a per-email cap. Returns
+//   { promo, discount, amount }   amount = what the buyer pays
+// or { error }.
+export async function applyPromo(db, code, { pkg, subtotal, email }) {
+  const promo = await getPromo(db, code);
+  const now = new Date();
+  if (!promo || !promo.active) return { error: "invalid promo code" };
+  if (!(promo.value > 0)) return { error: "invalid promo code" };
+  if (promo.validFrom && now < promo.validFrom)
+    return { error: "promo code not valid yet" };
+  if (promo.validUntil && now > promo.validUntil)
+    return { error: "promo code expired" };
+  if (promo.packages && !promo.packages.includes(pkg.id))
+    return { error: "promo code does not apply to this package" };
+  if (promo.maxUses && promo.uses >= promo.maxUses)
+    return { error: "promo code fully redeemed" };
+  if (promo.maxUsesPerEmail) {
+    if (!email) return { error: "an email is required for this promo code" };
+    const used = await redemptionRef(db, promo.code, email).get();
+    if (used.exists && (used.data().uses || 0) >= promo.maxUsesPerEmail)
+      return { error: "promo code already used" };
+  }
+
+  const discount = discountFor(promo, subtotal);
+  const amount = Math.round((subtotal - discount) * 100) / 100;
+  // Kashier can't take a zero payment
+  if (!(amount > 0))
+    return { error: "promo code covers the full price; not supported" };
+  return { promo, discount, amount };
+}
+
+// Price `quantity` of `packageId`, with an optional promo code. Used by the
+// preview endpoint and by session creation, so both quote the same amount.
+// Returns { pkg, quantity, subtotal, discount, amount, promo } (promo is the
+// applyPromo result or null) or { error }.
+export async function quoteCheckout(
+  db,
+  { packageId, quantity: rawQuantity, promoCode, email }
+) {
+  const pkg = await getPackage(db, packageId);
+  const unavailable = packageUnavailableReason(pkg);
+  if (unavailable) return { error: unavailable };
+  const quantity = parseQuantity(pkg, rawQuantity);
+  if (!quantity) return { error: `invalid quantity (1-${pkg.maxQuantity})` };
+
+  const subtotal = priceFor(pkg, quantity);
+  const quote = { pkg, quantity, subtotal, discount: 0, amount: subtotal };
+  if (!promoCode) return Object.assign(quote, { promo: null });
+  const promo = await applyPromo(db, promoCode, { pkg, subtotal, email });
+  if (promo.error) return { error: promo.error };
+  return Object.assign(quote, {
+    discount: promo.discount,
+    amount: promo.amount,
+    promo,
+  });
+}
+
+// What is stored as `promo` on the payments document
+export function promoRecord({ promo, discount }) {
+  return {
+    code: promo.code,
+    type: promo.type,
+    value: promo.value,
+    discount,
+  };
+}
+
+// Reserve a use of promo `code` by `email` (normalized) for a new payment
+// session. The caps are checked again in the transaction, so the last use
+// of a code can't go to two buyers. Resolves to { reservedAt } or { error }.
+export async function reservePromo(db, code, email) {
+  const ref = promoRef(db, code);
+  const emailRef = email ? redemptionRef(db, code, email) : null;
+  return db.runTransaction(async (t) => {
+    const promoSnap = await t.get(ref);
+    const emailSnap = emailRef ? await t.get(emailRef) : null;
+    if (!promoSnap.exists) return { error: "invalid promo code" };
+    const promo = toPromo(promoSnap);
+    const emailUses =
+      emailSnap && emailSnap.exists ? Number(emailSnap.data().uses) || 0 : 0;
+    if (promo.maxUses && promo.uses >= promo.maxUses)
+      return { error: "promo code fully redeemed" };
+    if (promo.maxUsesPerEmail && emailUses >= promo.maxUsesPerEmail)
+      return { error: "promo code already used" };
+
+    const inc = admin.firestore.FieldValue.increment(1);
+    t.update(ref, { uses: inc });
+    if (emailRef)
+      t.set(
+        emailRef,
+        {
+          code: promo.code,
+          uses: inc,
+          lastReservedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+    return { reservedAt: new Date() };
+  });
+}
+
+// Give back a reservation made by reservePromo for a session that was never
+// stored, e.g. because Kashier refused to create it
+export async function cancelPromoReservation(db, code, email) {
+  return db.runTransaction(async (t) => {
+    const release = await preparePromoRelease(db, t, {
+      promo: { code, reservedAt: new Date() },
+      customerEmail: email,
+    });
+    if (release) release(null);
+  });
+}
+
+// Whether the payment's promo use is still held: reserved and not given
+// back. Payments from before reservations only hold one once redeemed.
+function holdsUse(record) {
+  return !!(record.reservedAt || record.redeemedAt) && !record.releasedAt;
+}
+
+// Count the redemption of a payment's promo code. Runs inside the
+// fulfillment transaction `t`: this does the reads (Firestore wants all
+// reads before writes) and returns a function doing the writes, which
+// returns the fields to merge into the payments document. A payment whose
+// reservation is still held was counted when its session was created. One
+// without (created before reservations, or paid late after its session
+// expired and gave the use back) is counted now, even if a cap filled up in
+// the meantime, and flagged with `overCap`.
+export async function preparePromoRedemption(db, t, payment) {
+  const record = payment.promo;
+  if (!record || !record.code || record.redeemedAt) return null;
+  const email = paymentEmail(payment);
+  const ref = promoRef(db, record.code);
+  const emailRef = email ? redemptionRef(db, record.code, email) : null;
+  const promoSnap = await t.get(ref);
+  const emailSnap = emailRef ? await t.get(emailRef) : null;
+  const counted = holdsUse(record);
+
+  return (paymentId) => {
+    const promo = promoSnap.exists ? toPromo(promoSnap) : null;
+    const emailUses =
+      emailSnap && emailSnap.exists ? emailSnap.data().uses || 0 : 0;
+    const overCap =
+      !counted &&
+      !!promo &&
+      ((promo.maxUses && promo.uses >= promo.maxUses) ||
+        (promo.maxUsesPerEmail && emailUses >= promo.maxUsesPerEmail));
+    const inc = admin.firestore.FieldValue.increment(1);
+    if (promoSnap.exists && !counted) t.update(ref, { uses: inc });
+    if (emailRef)
+      t.set(
+        emailRef,
+        Object.assign(
+          {
+            code: record.code,
+            paymentIds: admin.firestore.FieldValue.arrayUnion(paymentId),
+            lastRedeemedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+          counted ? {} : { uses: inc }
+        ),
+        { merge: true }
+      );
+    const fields = {
+      "promo.redeemedAt": admin.firestore.FieldValue.serverTimestamp(),
+      "promo.overCap": !!overCap,
+    };
+    if (record.releasedAt)
+      fields["promo.releasedAt"] = admin.firestore.FieldValue.delete();
+    return fields;
+  };
+}
+
+// Give back the use a payment's promo code holds (its reservation, or its
+// redemption once paid). Runs inside transaction `t` like
+// preparePromoRedemption; the returned function takes the payment id and
+// returns the fields to merge into the payments document. Null if the
+// payment holds no use.
+export async function preparePromoRelease(db, t, payment) {
+  const record = payment.promo;
+  if (!record || !record.code || !holdsUse(record)) return null;
+  const email = paymentEmail(payment);
+  const ref = promoRef(db, record.code);
+  const emailRef = email ? redemptionRef(db, record.code, email) : null;
+  const promoSnap = await t.get(ref);
+  const emailSnap = emailRef ? await t.get(emailRef) : null;
+
+  return (paymentId) => {
+    const dec = admin.firestore.FieldValue.increment(-1);
+    if (promoSnap.exists) t.update(ref, { uses: dec });
+    if (emailSnap && emailSnap.exists)
+      t.update(
+        emailRef,
+        paymentId
+          ? {
+              uses: dec,
+              paymentIds: admin.firestore.FieldValue.arrayRemove(paymentId),
+            }
+          : { uses: dec }
+      );
+    return {
+      "promo.releasedAt": admin.firestore.FieldValue.serverTimestamp(),
+    };
+  };
+}
+
+// Give back the reserved use of an unpaid session that has just expired or
+// been cancelled (`status`, the status it moved to). The status is read
+// again in the transaction, so a payment that arrived meanwhile keeps its
+// use. Resolves to whether a use was given back.
+export async function releasePromoReservation(db, ref, status) {
+  if (!RELEASING_STATES.includes(paymentState(status))) return false;
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) return false;
+    const payment = snap.data();
+    if (!RELEASING_STATES.includes(paymentState(payment.status))) return false;
+    const release = await preparePromoRelease(db, t, payment);
+    if (!release) return false;
+    t.update(ref, release(ref.id));
+    return true;
+  });
+}
@@ -0,0 +1,44 @@
+import QRCode from "qrcode";
+
+// QR codes for tickets are rendered here rather than by a third-party
+// service, so ticket codes never leave our infrastructure.
+
+export const QR_FORMATS = ["png", "svg"];
+const ECC_LEVELS = ["L", "M", "Q", "H"];
+const MIN_SIZE = 100;
+const MAX_SIZE = 1000;
+const DEFAULT_SIZE = 400;
+
+// Normalize user-supplied options; invalid values fall back to defaults
+export function qrOptions({ size, ecc, margin } = {}) {
+  const n = Number(size);
+  const m = Number(margin);
+  return {
+    width: Number.isFinite(n)
+      ? Math.min(MAX_SIZE, Math.max(MIN_SIZE, Math.round(n)))
+      : DEFAULT_SIZE,
+    errorCorrectionLevel: ECC_LEVELS.includes(String(ecc).toUpperCase())
+      ? String(ecc).toUpperCase()
+      : "M",
+    margin: Number.isInteger(m) && m >= 0 && m <= 10 ? m : 2,
+  };
+}
+
+// Returns a Buffer for png, a string for svg
+export async function renderQr(text, format, opts) {
+  const options = qrOptions(opts);
+  if (format === "svg")
+    return QRCode.toString(
+      String(text),
+      Object.assign({ type: "svg" }, options)
+    );
+  return QRCode.toBuffer(String(text), Object.assign({ type: "png" }, options));
+}
+
+// Public URL of a ticket's QR image on this server (SERVER_BASE is the same
+// origin Kashier uses for webhooks)
+export function qrUrl(code, { format = "png", size = DEFAULT_SIZE } = {}) {
+  return `${process.env.SERVER_BASE || ""}/api/ticket/${encodeURIComponent(
+    code
+  )}/qr.${format}?size=${size}`;
+}
@@ -0,0 +1,346 @@
+import crypto from "crypto";
+import Redis from "ioredis";
+
+// Rate limits and lockouts for public endpoints. Each limited route names a
+// policy in POLICIES:
+//
+//   {
+//     limits: [{ by: "ip", max: 20, windowSec: 600 }, ...],
+//     lockout: { by: "ip", status: 404, after: 10, windowSec: 900, lockSec: 1800 },
+//   }
+//
+// `by` is what a request is counted against:
+//
+// - "ip": the client address (req.ip; set TRUST_PROXY behind a proxy)
+// - "staff": the signed-in staff member, else the client address
+// - "email": the `email` (or `customerEmail`, `user.email`) in the request
+// - "code": the ticket code in the request, by prefix (see codePrefix)
+//
+// Requests without that identifier aren't counted against it. Counters are
+// fixed windows starting at the first request. Going over `max` in a window
+// is answered with 429 and a Retry-After header until the window ends.
+//
+// A lockout counts responses with `status` (a number or a list) as failed
+// attempts, e.g. 404 "ticket not found" while someone guesses codes; `after`
+// of them within `windowSec` lock the identifier out of the policy's routes
+// for `lockSec`.
+//
+// RATE_LIMITS (JSON) overrides policies by name, e.g.
+// {"ticketCheck":{"limits":[{"by":"staff","max":300,"windowSec":60}]}}, or
+// turns one off with false. Counters live in the store picked by
+// RATE_LIMIT_STORE: "memory" (default, per process) or "redis" (shared by
+// all instances, RATE_LIMIT_REDIS_URL; any Redis-compatible server). If the
+// store fails, requests are let through.
+
+const POLICIES = {
+  // POST /api/register
+  register: {
+    limits: [
+      { by: "ip", max: 20, windowSec: 600 },
+      { by: "email", max: 5, windowSec: 3600 },
+    ],
+  },
+  // POST /api/register/cancel, GET /api/register/:registrationId/ics
+  registration: {
+    limits: [{ by: "ip", max: 30, windowSec: 600 }],
+    lockout: {
+      by: "ip",
+      status: 404,
+      after: 10,
+      windowSec: 900,
+      lockSec: 1800,
+    },
+  },
+  // POST /api/payment/session
+  paymentSession: {
+    limits: [
+      { by: "ip", max: 10, windowSec: 600 },
+      { by: "email", max: 5, windowSec: 600 },
+    ],
+  },
+  // GET /api/payment/status
+  paymentStatus: {
+    limits: [{ by: "ip", max: 60, windowSec: 60 }],
+  },
+  // POST /api/promo/preview; invalid codes are answered with 400
+  promoPreview: {
+    limits: [{ by: "ip", max: 30, windowSec: 600 }],
+    lockout: {
+      by: "ip",
+      status: 400,
+      after: 10,
+      windowSec: 900,
+      lockSec: 1800,
+    },
+  },
+  // GET/POST /api/ticket/check; scanners at one venue share an address, so
+  // they are counted per staff member
+  ticketCheck: {
+    limits: [
+      { by: "staff", max: 120, windowSec: 60 },
+      { by: "code", max: 20, windowSec: 60 },
+    ],
+    lockout: {
+      by: "staff",
+      status: 404,
+      after: 20,
+      windowSec: 600,
+      lockSec: 900,
+    },
+  },
+  // GET /api/ticket/:code/pdf|ics
+  ticketFile: {
+    limits: [
+      { by: "ip", max: 60, windowSec: 60 },
+      { by: "code", max: 20, windowSec: 60 },
+    ],
+    lockout: {
+      by: "ip",
+      status: 404,
+      after: 20,
+      windowSec: 600,
+      lockSec: 1800,
+    },
+  },
+  // routes taking a manage token
+  ticketManage: {
+    limits: [{ by: "ip", max: 30, windowSec: 600 }],
+    lockout: {
+      by: "ip",
+      status: 404,
+      after: 10,
+      windowSec: 900,
+      lockSec: 1800,
+    },
+  },
+  // POST /api/auth/login
+  login: {
+    limits: [
+      { by: "ip", max: 20, windowSec: 900 },
+      { by: "email", max: 10, windowSec: 900 },
+    ],
+    lockout: { by: "ip", status: 401, after: 10, windowSec: 900, lockSec: 900 },
+  },
+};
+
+function loadOverrides() {
+  if (!process.env.RATE_LIMITS) return {};
+  try {
+    return JSON.parse(process.env.RATE_LIMITS);
+  } catch (err) {
+    console.error("RATE_LIMITS is not valid JSON; using the defaults", err);
+    return {};
+  }
+}
+
+const OVERRIDES = loadOverrides();
+
+function policyFor(name) {
+  if (!POLICIES[name]) throw new Error(`unknown rate limit policy "${name}"`);
+  if (OVERRIDES[name] === false) return null;
+  return Object.assign({}, POLICIES[name], OVERRIDES[name]);
+}
+
+export function createMemoryStore() {
+  const counters = new Map();
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, c] of counters) if (c.resetAt <= now) counters.delete(key);
+  }, 60 * 1000);
+  sweep.unref();
+
+  function live(key, now) {
+    const c = counters.get(key);
+    return c && c.resetAt > now ? c : null;
+  }
+
+  return {
+    // Count a hit on `key`: { count, resetAt } for the current window
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let c = live(key, now);
+      if (!c) {
+        c = { count: 0, resetAt: now + windowMs };
+        counters.set(key, c);
+      }
+      c.count++;
+      return { count: c.count, resetAt: c.resetAt };
+    },
+    // { count, resetAt } without counting, or null outside a window
+    async get(key) {
+      const c = live(key, Date.now());
+      return c ? { count: c.count, resetAt: c.resetAt } : null;
+    },
+  };
+}
+
+// INCR with the expiry set when the window starts; returns [count, ttl ms]
+const INCREMENT = `
+local n = redis.call("INCR", KEYS[1])
+if redis.call("PTTL", KEYS[1]) < 0 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[1])
+end
+return { n, redis.call("PTTL", KEYS[1]) }
+`;
+
+// The same interface over an ioredis client
+export function createRedisStore(client) {
+  return {
+    async increment(key, windowMs) {
+      const [count, ttl] = await client.eval(INCREMENT, 1, key, windowMs);
+      return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+    async get(key) {
+      const [[, count], [, ttl]] = await client
+        .multi()
+        .get(key)
+        .pttl(key)
+        .exec();
+      return count && ttl > 0
+        ? { count: Number(count), resetAt: Date.now() + ttl }
+        : null;
+    },
+  };
+}
+
+export const RATE_LIMIT_STORE = (
+  process.env.RATE_LIMIT_STORE || "memory"
+).toLowerCase();
+
+export function openRateLimitStore() {
+  if (RATE_LIMIT_STORE === "redis") {
+    if (!process.env.RATE_LIMIT_REDIS_URL) {
+      console.error(
+        "RATE_LIMIT_REDIS_URL not set; rate limits are kept in memory"
+      );
+      return createMemoryStore();
+    }
+    const client = new Redis(process.env.RATE_LIMIT_REDIS_URL, {
+      // fail fast (and let the request through) while Redis is unreachable
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false,
+    });
+    client.on("error", (err) =>
+      console.error("rate limit: redis error", String(err))
+    );
+    return createRedisStore(client);
+  }
+  if (RATE_LIMIT_STORE !== "memory")
+    console.error(
+      `Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}"; rate limits are kept in memory`
+    );
+  return createMemoryStore();
+}
+
+function digest(value) {
+  return crypto.createHash("sha256").update(value).digest("hex").slice(0, 32);
+}
+
+// Legacy codes (order-<ms timestamp>-<n>) are grouped by order time in
+// 100-second steps, so walking neighbouring timestamps or ticket numbers hits
+// one counter. Signed codes can't be guessed and count one by one.
+function codePrefix(code) {
+  const m = /^order-(\d+)(-\d+)?$/.exec(code);
+  return m ? `order-${m[1].slice(0, -5)}` : code;
+}
+
+function field(req, name) {
+  for (const source of [req.params, req.body, req.query]) {
+    const value = source && source[name];
+    if (typeof value === "string" && value) return value;
+  }
+  return null;
+}
+
+// The identifier a request is counted under for `by`, or null
+function identify(by, req) {
+  switch (by) {
+    case "ip":
+      return req.ip || null;
+    case "staff":
+      return req.staff ? `staff:${req.staff.id}` : req.ip || null;
+    case "email": {
+      const user = req.body && req.body.user;
+      const email =
+        field(req, "email") ||
+        field(req, "customerEmail") ||
+        (user && typeof user.email === "string" ? user.email : null);
+      return email ? digest(email.trim().toLowerCase()) : null;
+    }
+    case "code": {
+      const code = field(req, "code");
+      return code ? digest(codePrefix(code.trim())) : null;
+    }
+    default:
+      throw new Error(`unknown rate limit key "${by}"`);
+  }
+}
+
+function tooMany(res, resetAt, error) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
+
+async function recordFailure(store, prefix, lockout, id) {
+  const failures = await store.increment(
+    `${prefix}:fail:${id}`,
+    lockout.windowSec * 1000
+  );
+  if (failures.count >= lockout.after) {
+    await store.increment(`${prefix}:lock:${id}`, lockout.lockSec * 1000);
+    console.warn("rate limit: locked out", prefix, {
+      failures: failures.count,
+      lockSec: lockout.lockSec,
+    });
+  }
+}
+
+// Returns limit(policyName), the middleware for a policy
+export function createRateLimiter(store) {
+  return function limit(name) {
+    const policy = policyFor(name);
+    return async (req, res, next) => {
+      if (!policy) return next();
+      try {
+        const { lockout } = policy;
+        const lockId = lockout && identify(lockout.by, req);
+        if (lockId) {
+          const prefix = `ratelimit:${name}:${lockout.by}`;
+          const lock = await store.get(`${prefix}:lock:${lockId}`);
+          if (lock)
+            return tooMany(
+              res,
+              lock.resetAt,
+              "too many failed attempts; try again later"
+            );
+          const statuses = [].concat(lockout.status);
+          res.on("finish", () => {
+            if (statuses.includes(res.statusCode))
+              recordFailure(store, prefix, lockout, lockId).catch((err) =>
+                console.error("rate limit: store error", name, err)
+              );
+          });
+        }
+        for (const rule of policy.limits || []) {
+          const id = identify(rule.by, req);
+          if (!id) continue;
+          const hit = await store.increment(
+            `ratelimit:${name}:${rule.by}:${id}`,
+            rule.windowSec * 1000
+          );
+          if (hit.count > rule.max)
+            return tooMany(
+              res,
+              hit.resetAt,
+              "too many requests; try again later"
+            );
+        }
+      } catch (err) {
+        // an unavailable store shouldn't take the API down with it
+        console.error("rate limit: store error", name, err);
+      }
+      next();
+    };
+  };
+}
@@ -0,0 +1,320 @@
+import admin from "firebase-admin";
+import { fulfillPayment } from "./fulfillment.js";
+import { systemContext } from "./audit.js";
+import {
+  OPEN_STATES,
+  SUCCESS_STATES,
+  isSuccess,
+  applyPaymentStatus,
+} from "./paymentState.js";
+import { releaseHold } from "./workshops.js";
+import { createRepository } from "./repository.js";
+import { releasePromoReservation } from "./promos.js";
+
+// Reconciliation of payment sessions that never got a final status (no
+// webhook arrived and nobody polled /api/payment/status). Each run:
+//
+// - re-verifies open sessions (OPEN_STATES, FAILED ones included) older than
+//   RECONCILE_AFTER_MINUTES with Kashier and stores the status Kashier
+//   reports
+// - fulfills payments that turn out to be paid, and paid payments whose
+//   tickets were never issued (status stored, fulfillment lost); payments
+//   for workshop holds cancelled before they arrived are refunded instead,
+//   so a refund that failed is retried here
+// - marks sessions EXPIRED once their expireAt has passed without payment,
+//   giving back the promo code use they reserved (lib/promos.js)
+// - releases seats held for paid workshop registrations whose hold ran out
+//   without payment (lib/workshops.js)
+// - writes a report of every discrepancy to `reconciliation_reports`
+//
+// Status changes go through lib/paymentState.js, so a webhook that settled
+// the payment while the job ran isn't overwritten.
+
+const SESSION_TTL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+const AUDIT_CONTEXT = systemContext("reconciler");
+
+export const RECONCILE_AFTER_MS =
+  Number(process.env.RECONCILE_AFTER_MINUTES || 15) * 60 * 1000;
+
+function expiryOf(data) {
+  if (data.expireAt && data.expireAt.toDate) return data.expireAt.toDate();
+  const created = data.createdAt && data.createdAt.toDate();
+  return created ? new Date(created.getTime() + SESSION_TTL_MS) : null;
+}
+
+// `verify(sessionId)` is fetchKashierSession. Returns the stored report.
+export async function runReconciliation(db, { verify, source = "schedule" }) {
+  const repo = createRepository(db);
+  const startedAt = new Date();
+  const open = await repo.payments.listStale(
+    OPEN_STATES,
+    new Date(Date.now() - RECONCILE_AFTER_MS),
+    BATCH_SIZE
+  );
+
+  const counts = {
+    checked: 0,
+    paid: 0,
+    expired: 0,
+    updated: 0,
+    released: 0,
+    errors: 0,
+  };
+  const discrepancies = [];
+  const fulfilledIds = [];
+
+  for (const doc of open) {
+    counts.checked++;
+    const data = doc.data();
+    const ours = data.status || null;
+    const base = {
+      paymentId: doc.id,
+      merchantOrderId: data.merchantOrderId || null,
+      ours,
+    };
+    const expiry = expiryOf(data);
+    const expired = expiry && expiry < new Date();
+
+    let payment = null;
+    if (data.sessionId) {
+      try {
+        const verification = await verify(data.sessionId);
+        payment = verification.data || verification;
+      } catch (err) {
+        // Kashier may not know sessions that were never opened; only an
+        // error if the session is still live
+        if (!expired) {
+          counts.errors++;
+          discrepancies.push(
+            Object.assign(base, {
+              kashier: null,
+              action: "verify failed",
+              error: String(err),
+            })
+          );
+          continue;
+        }
+      }
+    }
+    const theirs = payment && payment.status ? String(payment.status) : null;
+
+    try {
+      if (theirs && isSuccess(theirs)) {
+        counts.paid++;
+        const result = await fulfillPayment(
+          db,
+          doc.ref,
+          payment,
+          "reconcile",
+          AUDIT_CONTEXT
+        );
+        if (result.fulfilled) fulfilledIds.push(doc.id);
+        // tickets were issued earlier but the status never caught up
+        const caughtUp = result.already
+          ? await applyPaymentStatus(
+              db,
+              doc.ref,
+              {
+                status: theirs,
+                verification: payment,
+                verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+              },
+              "verified",
+              AUDIT_CONTEXT
+            )
+          : null;
+        discrepancies.push(
+          Object.assign(base, {
+            kashier: theirs,
+            action: result.error
+              ? result.error
+              : result.fulfilled
+              ? "fulfilled"
+              : caughtUp.applied
+              ? "already fulfilled"
+              : "transition refused",
+          })
+        );
+      } else if (expired) {
+        const marked = await applyPaymentStatus(
+          db,
+          doc.ref,
+          {
+            status: "EXPIRED",
+            expiredAt: admin.firestore.FieldValue.serverTimestamp(),
+            verification: payment || data.verification || null,
+          },
+          "expired",
+          AUDIT_CONTEXT,
+          { details: { kashierStatus: theirs } }
+        );
+        if (marked.applied) {
+          counts.expired++;
+          await releasePromoReservation(db, doc.ref, marked.to);
+        }
+        discrepancies.push(
+          Object.assign(base, {
+            kashier: theirs,
+            action: marked.applied ? "expired" : "transition refused",
+          })
+        );
+      } else if (theirs && theirs !== ours) {
+        const update = await applyPaymentStatus(
+          db,
+          doc.ref,
+          {
+            status: theirs,
+            verification: payment,
+            verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+          "verified",
+          AUDIT_CONTEXT
+        );
+        if (update.applied) {
+          counts.updated++;
+          await releasePromoReservation(db, doc.ref, update.to);
+        }
+        discrepancies.push(
+          Object.assign(base, {
+            kashier: theirs,
+            action: update.applied ? "status updated" : "transition refused",
+          })
+        );
+      }
+    } catch (err) {
+      counts.errors++;
+      discrepancies.push(
+        Object.assign(base, {
+          kashier: theirs,
+          action: "error",
+          error: String(err),
+        })
+      );
+    }
+  }
+
+  // Paid but never fulfilled. Payments refused for an amount mismatch stay
+  // unfulfilled on purpose.
+  const unfulfilled = await repo.payments.listUnfulfilled(
+    SUCCESS_STATES,
+    new Date(Date.now() - RECONCILE_AFTER_MS),
+    BATCH_SIZE
+  );
+  for (const doc of unfulfilled) {
+    const data = doc.data();
+    if (data.amountMismatch) continue;
+    counts.checked++;
+    const base = {
+      paymentId: doc.id,
+      merchantOrderId: data.merchantOrderId || null,
+      ours: data.status,
+    };
+    try {
+      const result = await fulfillPayment(
+        db,
+        doc.ref,
+        data.verification || { status: data.status },
+        "reconcile",
+        AUDIT_CONTEXT
+      );
+      if (result.fulfilled) {
+        counts.paid++;
+        fulfilledIds.push(doc.id);
+      }
+      discrepancies.push(
+        Object.assign(base, {
+          kashier: null,
+          action:
+            result.refund && !result.refund.error
+              ? "refunded payment for cancelled registration"
+              : result.error
+              ? result.error
+              : result.fulfilled
+            ? "fulfilled unfulfilled payment"
+            : "already fulfilled",
+        })
+      );
+    } catch (err) {
+      counts.errors++;
+      discrepancies.push(
+        Object.assign(base, {
+          kashier: null,
+          action: "error",
+          error: String(err),
+        })
+      );
+    }
+  }
+
+  // Payments were settled above, so a hold whose payment went through is
+  // confirmed by now and releaseHold leaves it alone
+  const holds = await repo.registrations.listExpiredHolds(
+    new Date(),
+    BATCH_SIZE
+  );
+  for (const doc of holds) {
+    counts.checked++;
+    const data = doc.data();
+    try {
+      const released = await releaseHold(db, doc.id);
+      if (!released) continue;
+      counts.released++;
+      discrepancies.push({
+        registrationId: doc.id,
+        workshopId: data.workshopId || null,
+        paymentId: data.paymentId || null,
+        action: "hold released",
+      });
+    } catch (err) {
+      counts.errors++;
+      discrepancies.push({
+        registrationId: doc.id,
+        workshopId: data.workshopId || null,
+        paymentId: data.paymentId || null,
+        action: "error",
+        error: String(err),
+      });
+    }
+  }
+
+  const report = {
+    source,
+    startedAt,
+    finishedAt: new Date(),
+    counts,
+    discrepancies,
+    fulfilledIds,
+    // more sessions are waiting than one run handles
+    truncated: [open, unfulfilled, holds].some(
+      (docs) => docs.length === BATCH_SIZE
+    ),
+  };
+  // idle scheduled runs are not worth a report
+  if (!counts.checked && source === "schedule")
+    return Object.assign({ id: null }, report);
+  const ref = await repo.reconcileReports.add(report);
+  console.log("reconcile: finished", { reportId: ref.id, ...counts });
+  return Object.assign({ id: ref.id }, report);
+}
+
+// Run reconciliation on an interval. `onFulfilled` is called after a run
+// that fulfilled payments, e.g. to kick the email outbox.
+export function startReconciler(db, { verify, intervalMs, onFulfilled }) {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const report = await runReconciliation(db, { verify });
+      if (report.fulfilledIds.length && onFulfilled) onFulfilled(report);
+    } catch (err) {
+      console.error("reconcile: run failed", err);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return { stop: () => clearInterval(timer) };
+}
@@ -0,0 +1,212 @@
+import admin from "firebase-admin";
+import { refundKashierOrder } from "./kashier.js";
+import { enqueueEmail } from "./outbox.js";
+import { recordAudit, updateAudited, ticketNumber } from "./audit.js";
+import { canTransition } from "./paymentState.js";
+import { PAYMENTS } from "./repository.js";
+import { preparePromoRelease } from "./promos.js";
+import {
+  workshopRef,
+  registrationRef,
+  cancelPaidRegistration,
+} from "./workshops.js";
+
+// Refunds through Kashier. Used by POST /api/admin/payments/:id/refund and
+// by fulfillment, which refunds payments for workshop holds cancelled before
+// the payment arrived (lib/fulfillment.js).
+//
+// A refund is reserved on the payment (`refundPending`) before Kashier is
+// called, so two concurrent requests can't both refund the same balance. A
+// full refund voids every ticket, cancels a workshop registration (freeing
+// its seat) and gives back the promo code use; a partial one voids only the
+// listed tickets. The customer gets a cancellation email.
+
+function kashierOrderIdOf(data) {
+  return (
+    (data.verification &&
+      (data.verification.kashierOrderId || data.verification.orderId)) ||
+    (data.response && data.response._id) ||
+    null
+  );
+}
+
+// Refund `amount` (default: the remaining balance) of payment `ref`.
+// `context` is the { actor, source } of the audit entries (lib/audit.js).
+//
+// Resolves to { refunded, full, voidedCodes, emailQueued } or { error, code }.
+// Throws if recording the refund fails after Kashier refunded; the payment
+// keeps `refundPending` then, to be reconciled by hand rather than refunded
+// twice.
+export async function refundPayment(
+  db,
+  ref,
+  { amount, reason, ticketCodes } = {},
+  context
+) {
+  const actor = context.actor || {};
+  const by = actor.id || actor.type || null;
+  const reserved = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) return { error: "payment not found", code: 404 };
+    const data = snap.data();
+    if (!canTransition(data.status, "REFUNDED"))
+      return { error: `payment is ${data.status}`, code: 409 };
+    if (data.refundPending)
+      return { error: "a refund is already in progress", code: 409 };
+
+    const paid = Number(data.amount) || 0;
+    const remaining =
+      Math.round((paid - (Number(data.refundedAmount) || 0)) * 100) / 100;
+    const value = amount === undefined ? remaining : Number(amount);
+    if (!(value > 0) || value > remaining)
+      return {
+        error: `amount must be between 0 and ${remaining}`,
+        code: 400,
+      };
+    const full = value === remaining;
+
+    const issued = Array.isArray(data.ticketCodes) ? data.ticketCodes : [];
+    const alreadyVoided = data.voidedCodes || [];
+    let voiding = full ? issued : ticketCodes || [];
+    if (!Array.isArray(voiding) || voiding.some((c) => !issued.includes(c)))
+      return {
+        error: "ticketCodes must be tickets of this payment",
+        code: 400,
+      };
+    voiding = voiding.filter((c) => !alreadyVoided.includes(c));
+
+    const kashierOrderId = kashierOrderIdOf(data);
+    if (!kashierOrderId)
+      return { error: "no Kashier order id on payment", code: 409 };
+
+    t.update(ref, { refundPending: { amount: value, by } });
+    return { data, value, full, voiding, kashierOrderId };
+  });
+  if (reserved.error) return reserved;
+
+  let response;
+  try {
+    response = await refundKashierOrder(
+      reserved.kashierOrderId,
+      reserved.value,
+      reason
+    );
+  } catch (err) {
+    console.error("refund: Kashier refund failed", err);
+    await updateAudited(
+      db,
+      ref,
+      { refundPending: admin.firestore.FieldValue.delete() },
+      "refund.failed",
+      context,
+      {
+        details: {
+          amount: reserved.value,
+          reason: reason || null,
+          error: String(err.message || err),
+        },
+      }
+    );
+    return { error: "kashier refund failed", code: 502 };
+  }
+
+  const { data, value, full, voiding } = reserved;
+  const user = data.user || {};
+  const email = user.email || data.customerEmail || null;
+  const title =
+    data.packageTitle || data.workshopTitle || data.packageId || "";
+  try {
+    await db.runTransaction(async (t) => {
+      const current = (await t.get(ref)).data();
+      // a full refund gives up the workshop seat
+      const regSnap =
+        full && current.registrationId
+          ? await t.get(registrationRef(db, current.registrationId))
+          : null;
+      const wSnap =
+        regSnap && regSnap.exists && regSnap.data().workshopId
+          ? await t.get(workshopRef(db, regSnap.data().workshopId))
+          : null;
+      // and the promo code use
+      const releasePromo = full
+        ? await preparePromoRelease(db, t, current)
+        : null;
+
+      const refundedAmount =
+        Math.round(((Number(current.refundedAmount) || 0) + value) * 100) /
+        100;
+      const update = {
+        status: full ? "REFUNDED" : "PARTIALLY_REFUNDED",
+        refundedAmount,
+        refunds: admin.firestore.FieldValue.arrayUnion({
+          amount: value,
+          reason: reason || null,
+          ticketCodes: voiding,
+          by,
+          at: new Date(),
+          response,
+        }),
+        refundPending: admin.firestore.FieldValue.delete(),
+      };
+      if (voiding.length)
+        update.voidedCodes = admin.firestore.FieldValue.arrayUnion(
+          ...voiding
+        );
+      if (releasePromo) Object.assign(update, releasePromo(ref.id));
+      t.update(ref, update);
+      const cancelled =
+        regSnap && regSnap.exists
+          ? cancelPaidRegistration(t, db, {
+              registrationId: regSnap.id,
+              registration: regSnap.data(),
+              workshop: wSnap && wSnap.exists ? wSnap.data() : null,
+            })
+          : null;
+      recordAudit(t, ref, "refunded", context, {
+        before: {
+          status: current.status,
+          refundedAmount: Number(current.refundedAmount) || 0,
+        },
+        after: { status: update.status, refundedAmount },
+        details: {
+          amount: value,
+          full,
+          reason: reason || null,
+          tickets: voiding.map((c) => ticketNumber(current, c)),
+          registrationId: cancelled ? regSnap.id : null,
+          seatReleased: cancelled ? cancelled.released : false,
+        },
+      });
+      if (email)
+        enqueueEmail(
+          db,
+          {
+            kind: "cancellation",
+            payload: {
+              template: "cancellation",
+              name: user.name || "",
+              email,
+              program_id: data.order || "",
+              program_title: title,
+              program_name: title,
+              ticketCodes: voiding,
+              refund_amount: value,
+              currency: data.currency || "EGP",
+              full_refund: full,
+              reason: reason || "",
+            },
+            target: { collection: PAYMENTS, id: ref.id },
+          },
+          t
+        );
+    });
+  } catch (err) {
+    console.error("refund: Kashier refunded but recording failed", {
+      paymentId: ref.id,
+      amount: value,
+    });
+    throw err;
+  }
+
+  return { refunded: value, full, voidedCodes: voiding, emailQueued: !!email };
+}
@@ -0,0 +1,313 @@
+import crypto from "crypto";
+import admin from "firebase-admin";
+import { isLegacyTicketCode, hashManageToken } from "./tickets.js";
+import { recordAudit } from "./audit.js";
+
+// Data access for every collection: registrations, workshops, payments,
+// tickets, the catalog, promo codes, staff accounts, webhook events, email
+// jobs, idempotency keys, scanner syncs and reconciliation reports. Routes
+// and the lib/ modules go through this instead of building collection
+// queries themselves, so the lookups (and the fields they rely on) live in
+// one place. `db` is whatever lib/db.js opened: Firestore or the in-memory
+// store.
+//
+// Lookups return document snapshots (or null); callers write through
+// `snap.ref` or the helpers below. Helpers named `...Query` return a query
+// for the caller to run, e.g. inside a transaction with `t.get(query)`.
+
+export const PAYMENTS = "payments";
+export const REGISTRATIONS = "workshop_registrations";
+export const WORKSHOPS = "workshops";
+export const EVENTS = "events";
+export const PACKAGES = "packages";
+export const PROMOS = "promo_codes";
+export const STAFF = "staff";
+export const STAFF_TOKENS = "staff_tokens";
+export const WEBHOOK_EVENTS = "webhook_events";
+export const WEBHOOK_REPLAYS = "webhook_replays";
+export const OUTBOX = "email_outbox";
+export const IDEMPOTENCY_KEYS = "idempotency_keys";
+export const SCANNER_SYNCS = "scanner_syncs";
+export const RECONCILIATION_REPORTS = "reconciliation_reports";
+
+async function first(query) {
+  const snap = await query.limit(1).get();
+  return snap.empty ? null : snap.docs[0];
+}
+
+// One repository per `db`, so lib/ modules that are handed `db` can call
+// this freely
+const repositories = new WeakMap();
+
+export function createRepository(db) {
+  if (!repositories.has(db)) repositories.set(db, buildRepository(db));
+  return repositories.get(db);
+}
+
+function buildRepository(db) {
+  const payments = () => db.collection(PAYMENTS);
+  const registrations = () => db.collection(REGISTRATIONS);
+  const staff = () => db.collection(STAFF);
+  const packages = () => db.collection(PACKAGES);
+  const events = () => db.collection(EVENTS);
+  const outbox = () => db.collection(OUTBOX);
+
+  const paymentBy = (field, value) =>
+    value ? first(payments().where(field, "==", String(value))) : null;
+
+  return {
+    registrations: {
+      // a new registration's ref when `id` is omitted
+      ref: (id) =>
+        id ? registrations().doc(String(id)) : registrations().doc(),
+      async get(id) {
+        const snap = await registrations().doc(String(id)).get();
+        return snap.exists ? snap : null;
+      },
+      // Registrations of `emailNormalized` for a workshop in one of
+      // `statuses`
+      byEmailQuery: (workshopId, emailNormalized, statuses) =>
+        registrations()
+          .where("workshopId", "==", String(workshopId))
+          .where("emailNormalized", "==", emailNormalized)
+          .where("status", "in", statuses),
+      // The workshop's waitlist, first in line first
+      waitlistQuery: (workshopId) =>
+        registrations()
+          .where("workshopId", "==", String(workshopId))
+          .where("status", "==", "waitlisted")
+          .orderBy("waitlistSeq"),
+      // Unpaid holds that ran out by `now`, oldest first
+      async listExpiredHolds(now, limit) {
+        const snap = await registrations()
+          .where("status", "==", "pending_payment")
+          .where("holdExpiresAt", "<=", now)
+          .orderBy("holdExpiresAt")
+          .limit(limit)
+          .get();
+        return snap.docs;
+      },
+    },
+
+    workshops: {
+      ref: (id) => db.collection(WORKSHOPS).doc(String(id)),
+    },
+
+    events: {
+      async get(id) {
+        const snap = await events().doc(String(id)).get();
+        return snap.exists ? snap : null;
+      },
+      async list() {
+        return (await events().get()).docs;
+      },
+    },
+
+    packages: {
+      async get(id) {
+        const snap = await packages().doc(String(id)).get();
+        return snap.exists ? snap : null;
+      },
+      async listByEvent(eventId) {
+        const snap = await packages()
+          .where("eventId", "==", String(eventId))
+          .get();
+        return snap.docs;
+      },
+    },
+
+    promos: {
+      // `code` normalized (see lib/promos.js normalizePromoCode)
+      ref: (code) => db.collection(PROMOS).doc(code),
+      // One document per buyer, keyed by `key`, counts their uses
+      redemptionRef: (code, key) =>
+        db.collection(PROMOS).doc(code).collection("redemptions").doc(key),
+    },
+
+    payments: {
+      ref: (id) => payments().doc(String(id)),
+      async get(id) {
+        const snap = await payments().doc(String(id)).get();
+        return snap.exists ? snap : null;
+      },
+      // Returns the new document's ref. `audit` ({ type, context, change };
+      // see lib/audit.js) is recorded in the same write.
+      async create(data, audit) {
+        const ref = payments().doc();
+        const batch = db.batch();
+        batch.set(
+          ref,
+          Object.assign(
+            { createdAt: admin.firestore.FieldValue.serverTimestamp() },
+            data
+          )
+        );
+        if (audit)
+          recordAudit(batch, ref, audit.type, audit.context, audit.change);
+        await batch.commit();
+        return ref;
+      },
+      // Payments in one of `states` created by `before`, oldest first
+      async listStale(states, before, limit) {
+        const snap = await payments()
+          .where("status", "in", states)
+          .where("createdAt", "<=", before)
+          .orderBy("createdAt")
+          .limit(limit)
+          .get();
+        return snap.docs;
+      },
+      // Like listStale, but only payments whose tickets were never issued.
+      // Sessions are created with `fulfilledAt: null` so they can be
+      // queried.
+      async listUnfulfilled(states, before, limit) {
+        const snap = await payments()
+          .where("status", "in", states)
+          .where("fulfilledAt", "==", null)
+          .where("createdAt", "<=", before)
+          .orderBy("createdAt")
+          .limit(limit)
+          .get();
+        return snap.docs;
+      },
+      findByMerchantOrderId: (merchantOrderId) =>
+        paymentBy("merchantOrderId", merchantOrderId),
+      findBySessionId: (sessionId) => paymentBy("sessionId", sessionId),
+      // Kashier's own order id, stored on the session response
+      findByKashierOrderId: (kashierOrderId) =>
+        paymentBy("response._id", kashierOrderId),
+      // Every payment for `eventId`; payments from before events were
+      // recorded on them have no eventId and aren't included
+      async listByEvent(eventId) {
+        const snap = await payments()
+          .where("eventId", "==", String(eventId))
+          .get();
+        return snap.docs;
+      },
+      // The buyer's manage token (see lib/attendees.js)
+      findByManageToken: (token) =>
+        token ? paymentBy("manageTokenHash", hashManageToken(token)) : null,
+      // merchantOrderId wins when both are given
+      async findByOrderOrSession({ merchantOrderId, sessionId }) {
+        return (
+          (await paymentBy("merchantOrderId", merchantOrderId)) ||
+          (await paymentBy("sessionId", sessionId))
+        );
+      },
+    },
+
+    tickets: {
+      // The payments doc that issued `code`: by merchantOrderId (legacy
+      // single tickets), the primary ticketCode, the ticketCodes array, or
+      // voidedCodes for codes replaced by a transfer
+      async findByCode(code) {
+        code = String(code);
+        if (isLegacyTicketCode(code)) {
+          const doc = await paymentBy("merchantOrderId", code);
+          // a multi-ticket purchase found by merchantOrderId only counts if
+          // the code is one of its issued codes
+          const data = doc && doc.data();
+          const multi =
+            data && Array.isArray(data.ticketCodes) && data.ticketCodes.length;
+          if (
+            doc &&
+            (!multi ||
+              data.ticketCodes.includes(code) ||
+              String(data.ticketCode) === code)
+          )
+            return doc;
+        }
+        return (
+          (await paymentBy("ticketCode", code)) ||
+          (await first(
+            payments().where("ticketCodes", "array-contains", code)
+          )) ||
+          (await first(payments().where("voidedCodes", "array-contains", code)))
+        );
+      },
+    },
+
+    staff: {
+      // a new account's ref when `id` is omitted
+      ref: (id) => (id ? staff().doc(String(id)) : staff().doc()),
+      async get(id) {
+        const snap = await staff().doc(String(id)).get();
+        return snap.exists ? snap : null;
+      },
+      // `email` normalized (see lib/workshops.js normalizeEmail)
+      findByEmail: (email) =>
+        email ? first(staff().where("email", "==", String(email))) : null,
+      // API tokens are keyed by their hash (lib/auth.js)
+      tokenRef: (tokenId) => db.collection(STAFF_TOKENS).doc(String(tokenId)),
+    },
+
+    idempotencyKeys: {
+      ref: (id) => db.collection(IDEMPOTENCY_KEYS).doc(id),
+    },
+
+    scannerSyncs: {
+      record: (fields) =>
+        db.collection(SCANNER_SYNCS).add(
+          Object.assign(fields, {
+            receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+          })
+        ),
+    },
+
+    webhooks: {
+      // Every received event, good or bad, for later inspection. Returns
+      // the new document's ref.
+      record: (fields) =>
+        db.collection(WEBHOOK_EVENTS).add(
+          Object.assign(fields, {
+            receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+          })
+        ),
+      // Created once per accepted event id, so a replay fails to create it
+      replayRef: (eventId) =>
+        db
+          .collection(WEBHOOK_REPLAYS)
+          .doc(crypto.createHash("sha256").update(eventId).digest("hex")),
+    },
+
+    outbox: {
+      // a new job's ref when `id` is omitted
+      ref: (id) => (id ? outbox().doc(String(id)) : outbox().doc()),
+      async listByState(state, limit) {
+        const snap = await outbox()
+          .where("state", "==", state)
+          .limit(limit)
+          .get();
+        return snap.docs;
+      },
+      // Jobs in one of `states` due by `now`, earliest first
+      async listDue(states, now, limit) {
+        const snap = await outbox()
+          .where("state", "in", states)
+          .where("nextAttemptAt", "<=", now)
+          .orderBy("nextAttemptAt")
+          .limit(limit)
+          .get();
+        return snap.docs;
+      },
+      // The document a job reports its delivery to, or null
+      targetRef: (target) =>
+        target && target.collection && target.id
+          ? db.collection(target.collection).doc(target.id)
+          : null,
+    },
+
+    reconcileReports: {
+      // Returns the new report's ref
+      add: (report) => db.collection(RECONCILIATION_REPORTS).add(report),
+      async latest(limit) {
+        const snap = await db
+          .collection(RECONCILIATION_REPORTS)
+          .orderBy("startedAt", "desc")
+          .limit(limit)
+          .get();
+        return snap.docs;
+      },
+    },
+  };
+}
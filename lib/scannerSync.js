@@ -0,0 +1,198 @@
+import crypto from "crypto";
+import { EVENT_ID, scanKey } from "./tickets.js";
+import { getEvent } from "./events.js";
+import { attendeeOf } from "./attendees.js";
+import { admitOfflineScan, rejectTicketCode } from "./checkin.js";
+
+// Offline scanning. A scanner device downloads a manifest of an event's
+// tickets while it is online, checks codes against it while it isn't, and
+// uploads the check-ins it recorded once it is back.
+//
+// The manifest lists tickets by the SHA-256 of their code (base64url), never
+// the codes themselves, so a lost device doesn't leak usable tickets:
+//
+//   {
+//     v: 1, keyId, eventId, generatedAt, expiresAt,
+//     sessions: [{ id, title }],
+//     tickets: [{ h, sessions, scanned, admitted: [sessionId], name }],
+//     revoked: [h],            // cancelled or transferred codes
+//   }
+//
+// It is sent as a JSON string with an Ed25519 signature over that string, so
+// the device can check it came from this backend (public key from
+// manifestPublicKey) before trusting it. The key is SCANNER_SIGNING_KEY, a
+// PKCS#8 private key as PEM or base64 DER; without one a temporary key is
+// generated at startup and devices have to fetch the public key again after
+// every restart.
+//
+// Uploaded scans are applied by admitOfflineScan (lib/checkin.js), which
+// settles conflicts deterministically. Each upload is logged in
+// `scanner_syncs` with its counts and every scan that wasn't admitted.
+
+const MANIFEST_TTL_MS =
+  Number(process.env.SCANNER_MANIFEST_TTL_HOURS || 24) * 60 * 60 * 1000;
+// how far ahead of the server clock a device timestamp may be
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+export const MAX_SYNC_SCANS = 500;
+
+function b64url(buf) {
+  return Buffer.from(buf)
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function loadSigningKey() {
+  const raw = process.env.SCANNER_SIGNING_KEY;
+  if (!raw) return crypto.generateKeyPairSync("ed25519").privateKey;
+  return raw.includes("BEGIN")
+    ? crypto.createPrivateKey(raw)
+    : crypto.createPrivateKey({
+        key: Buffer.from(raw, "base64"),
+        format: "der",
+        type: "pkcs8",
+      });
+}
+
+const SIGNING_KEY = loadSigningKey();
+const PUBLIC_KEY = crypto.createPublicKey(SIGNING_KEY);
+const KEY_ID = crypto
+  .createHash("sha256")
+  .update(PUBLIC_KEY.export({ format: "der", type: "spki" }))
+  .digest("hex")
+  .slice(0, 16);
+
+export function manifestSigningConfigured() {
+  return !!process.env.SCANNER_SIGNING_KEY;
+}
+
+export function manifestPublicKey() {
+  return {
+    keyId: KEY_ID,
+    alg: "Ed25519",
+    publicKey: PUBLIC_KEY.export({ format: "pem", type: "spki" }),
+  };
+}
+
+// How a code appears in the manifest
+export function ticketHash(code) {
+  return b64url(crypto.createHash("sha256").update(String(code)).digest());
+}
+
+function issuedCodes(data) {
+  if (Array.isArray(data.ticketCodes) && data.ticketCodes.length)
+    return data.ticketCodes;
+  return data.ticketCode ? [data.ticketCode] : [];
+}
+
+// Build and sign the manifest for `eventId`
+export async function buildManifest(db, repo, eventId = EVENT_ID) {
+  const [event, docs] = await Promise.all([
+    getEvent(db, eventId),
+    repo.payments.listByEvent(eventId),
+  ]);
+  const tickets = [];
+  const revoked = [];
+  for (const doc of docs) {
+    const data = doc.data();
+    const codes = issuedCodes(data);
+    const voided = data.voidedCodes || [];
+    for (const code of voided) revoked.push(ticketHash(code));
+    for (const code of codes) {
+      if (voided.includes(code)) continue;
+      const key = scanKey(code);
+      const holder = attendeeOf(data, code) || data.user || {};
+      tickets.push({
+        h: ticketHash(code),
+        sessions: data.ticketSessions || null,
+        scanned:
+          !!(data.scannedMap || {})[key] ||
+          (codes.length === 1 && !!data.scannedAt),
+        admitted: Object.keys((data.admissions || {})[key] || {}).map(
+          decodeURIComponent
+        ),
+        name: holder.name || null,
+      });
+    }
+  }
+
+  const now = new Date();
+  const payload = JSON.stringify({
+    v: 1,
+    keyId: KEY_ID,
+    eventId,
+    generatedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + MANIFEST_TTL_MS).toISOString(),
+    sessions: event
+      ? event.sessions.map((s) => ({ id: s.id, title: s.title }))
+      : [],
+    tickets,
+    revoked,
+  });
+  return {
+    payload,
+    signature: b64url(crypto.sign(null, Buffer.from(payload), SIGNING_KEY)),
+    keyId: KEY_ID,
+    alg: "Ed25519",
+    count: tickets.length,
+  };
+}
+
+async function syncScan(db, repo, staff, scan, now, audit) {
+  if (scan.scannedAt.getTime() > now + MAX_CLOCK_SKEW_MS)
+    return { status: "rejected", reason: "scannedAt is in the future" };
+  const rejected = rejectTicketCode(scan.code);
+  if (rejected) return { status: "rejected", reason: rejected };
+  const doc = await repo.tickets.findByCode(scan.code);
+  if (!doc) return { status: "rejected", reason: "ticket not found" };
+  try {
+    return await admitOfflineScan(
+      db,
+      doc.ref,
+      scan.code,
+      { eventId: scan.eventId, sessionId: scan.sessionId },
+      staff,
+      { id: scan.id, at: scan.scannedAt },
+      audit
+    );
+  } catch (err) {
+    // the device keeps the scan and uploads it again
+    console.error("scanner sync: scan failed", scan.id, err);
+    return { status: "error", reason: "try again" };
+  }
+}
+
+// Apply `scans` ({ id, code, eventId, sessionId, scannedAt }) uploaded by a
+// device. They are applied in device-time order (then by scan id), one at a
+// time, and the outcome of each is returned in upload order along with
+// counts per status. `audit` is the { actor, source } of the audit entries.
+export async function syncScans(db, repo, staff, scans, audit) {
+  const now = Date.now();
+  const ordered = scans
+    .slice()
+    .sort(
+      (a, b) =>
+        a.scannedAt - b.scannedAt || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+    );
+  const outcomes = new Map();
+  for (const scan of ordered)
+    if (!outcomes.has(scan.id))
+      outcomes.set(scan.id, await syncScan(db, repo, staff, scan, now, audit));
+
+  const counts = {};
+  const results = scans.map((scan) => {
+    const outcome = outcomes.get(scan.id);
+    counts[outcome.status] = (counts[outcome.status] || 0) + 1;
+    return Object.assign({ id: scan.id }, outcome);
+  });
+  await repo.scannerSyncs.record({
+    staffId: staff.id,
+    deviceId: staff.deviceId || null,
+    counts,
+    issues: results.filter(
+      (r) => !["admitted", "duplicate"].includes(r.status)
+    ),
+  });
+  return { results, counts };
+}
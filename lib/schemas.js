@@ -0,0 +1,265 @@
+import { ROLES } from "./auth.js";
+import { MAX_PAGE } from "./adminQuery.js";
+import { TEMPLATES } from "./notify/render.js";
+import { MAX_SYNC_SCANS } from "./scannerSync.js";
+import { MIN_AGE, MAX_AGE, REDIRECT_ORIGINS } from "./validation.js";
+
+// Request schemas for the routes in index.js; see lib/validation.js for the
+// rule types.
+
+const person = {
+  name: { type: "string", min: 2, max: 100 },
+  email: { type: "email" },
+  phone: { type: "phone" },
+  age: { type: "integer", min: MIN_AGE, max: MAX_AGE },
+  governorate: { type: "governorate" },
+};
+
+// POST /api/register
+export const REGISTER = {
+  workshopId: { type: "id", required: true },
+  name: Object.assign({}, person.name, { required: true }),
+  email: { type: "email", required: true },
+  phone: person.phone,
+  age: person.age,
+  governorate: person.governorate,
+  // fallbacks for workshops without title/group_link
+  program_title: { type: "string", max: 200 },
+  group_link: { type: "url" },
+  // required for paid workshops: where Kashier sends the registrant back
+  merchantRedirect: { type: "url", origins: REDIRECT_ORIGINS },
+};
+
+// POST /api/register/cancel
+export const CANCEL_REGISTRATION = {
+  registrationId: { type: "id", required: true },
+  email: { type: "email", required: true },
+};
+
+// POST /api/payment/session; the package's maxQuantity is checked by
+// lib/catalog.js
+export const PAYMENT_SESSION = {
+  packageId: { type: "id", required: true },
+  quantity: { type: "integer", min: 1 },
+  merchantRedirect: { type: "url", required: true, origins: REDIRECT_ORIGINS },
+  description: { type: "string", max: 200 },
+  customerEmail: { type: "email" },
+  customerReference: { type: "string", max: 100 },
+  metaData: { type: "object" },
+  age: person.age,
+  user: { type: "object", fields: person },
+  promoCode: { type: "string", max: 50 },
+};
+
+// POST /api/promo/preview
+export const PROMO_PREVIEW = {
+  packageId: { type: "id", required: true },
+  quantity: { type: "integer", min: 1 },
+  promoCode: { type: "string", required: true, max: 50 },
+  email: { type: "email" },
+};
+
+// GET /api/payment/status (query) and POST /api/payment/fulfill
+export const PAYMENT_LOOKUP = {
+  merchantOrderId: { type: "string", max: 100 },
+  sessionId: { type: "string", max: 100 },
+};
+
+// GET/POST /api/ticket/check; eventId/sessionId name the gate
+export const TICKET_CHECK = {
+  code: { type: "string", required: true, max: 500 },
+  eventId: { type: "id" },
+  sessionId: { type: "id" },
+};
+
+// GET /api/scanner/manifest (query)
+export const SCANNER_MANIFEST = {
+  eventId: { type: "id" },
+};
+
+// POST /api/scanner/sync; scan ids are generated by the device
+export const SCANNER_SYNC = {
+  deviceId: { type: "string", max: 100 },
+  scans: {
+    type: "array",
+    required: true,
+    max: MAX_SYNC_SCANS,
+    items: {
+      type: "object",
+      fields: {
+        id: { type: "string", required: true, max: 100 },
+        code: { type: "string", required: true, max: 500 },
+        eventId: { type: "id" },
+        sessionId: { type: "id" },
+        scannedAt: { type: "date", required: true },
+      },
+    },
+  },
+};
+
+// GET /api/dashboard/snapshot, GET /api/dashboard/stream (query)
+export const DASHBOARD_QUERY = {
+  eventId: { type: "id" },
+};
+
+// GET /api/tickets/manage (query); the token is from the buyer's ticket email
+export const TICKET_MANAGE = {
+  token: { type: "string", required: true, max: 100 },
+};
+
+// The new holder of a ticket
+const holder = {
+  code: { type: "string", required: true, max: 500 },
+  name: Object.assign({}, person.name, { required: true }),
+  email: { type: "email", required: true },
+};
+
+// POST /api/tickets/assign, POST /api/tickets/transfer
+export const TICKET_ASSIGN = Object.assign({}, TICKET_MANAGE, holder);
+
+// POST /api/admin/payments/:id/tickets/transfer
+export const TICKET_TRANSFER = Object.assign({}, holder, {
+  reason: { type: "string", max: 500 },
+});
+
+// GET /api/events/:id
+export const EVENT_PARAMS = {
+  id: { type: "id", required: true },
+};
+
+// GET /api/ticket/:code/qr.:format (params) and its query options
+export const TICKET_QR = {
+  code: { type: "string", required: true, max: 500 },
+  format: { type: "enum", values: ["png", "svg"], required: true },
+};
+export const QR_QUERY = {
+  size: { type: "integer", min: 100, max: 1000 },
+  ecc: { type: "enum", values: ["L", "M", "Q", "H"] },
+  margin: { type: "integer", min: 0, max: 10 },
+};
+
+// GET /api/ticket/:code/pdf|ics
+export const TICKET_FILE = {
+  code: { type: "string", required: true, max: 500 },
+  file: { type: "enum", values: ["pdf", "ics"], required: true },
+};
+
+// GET /api/register/:registrationId/ics?email=
+export const REGISTRATION_PARAMS = {
+  registrationId: { type: "id", required: true },
+};
+export const REGISTRATION_ICS = {
+  email: { type: "email", required: true },
+};
+
+// /api/admin/payments/:id/... (params)
+export const PAYMENT_PARAMS = {
+  id: { type: "id", required: true },
+};
+
+// POST /api/admin/payments/:id/refund
+export const REFUND = {
+  amount: { type: "number", positive: true },
+  reason: { type: "string", max: 500 },
+  ticketCodes: {
+    type: "array",
+    items: { type: "string", max: 500 },
+  },
+};
+
+// POST /api/auth/login
+export const LOGIN = {
+  email: { type: "email", required: true },
+  password: { type: "string", required: true, max: 200 },
+  deviceId: { type: "string", max: 100 },
+};
+
+// POST /api/admin/staff
+export const STAFF = {
+  email: { type: "email", required: true },
+  name: { type: "string", max: 100 },
+  role: { type: "enum", values: ROLES, required: true },
+  password: { type: "string", min: 8, max: 200 },
+  active: { type: "boolean" },
+};
+
+// POST /api/admin/staff/:id/tokens (params), DELETE
+// /api/admin/staff/tokens/:tokenId (params)
+export const STAFF_PARAMS = {
+  id: { type: "id", required: true },
+};
+export const STAFF_TOKEN_PARAMS = {
+  tokenId: { type: "id", required: true },
+};
+
+// POST /api/admin/staff/:id/tokens
+export const STAFF_TOKEN = {
+  role: { type: "enum", values: ROLES },
+  label: { type: "string", max: 100 },
+  deviceId: { type: "string", max: 100 },
+};
+
+// POST /api/admin/outbox/redrive
+export const OUTBOX_REDRIVE = {
+  ids: { type: "array", max: 200, items: { type: "id" } },
+  all: { type: "boolean" },
+};
+
+// GET /api/admin/outbox, GET /api/admin/reconcile/reports
+export const OUTBOX_QUERY = {
+  state: {
+    type: "enum",
+    values: ["dead", "retry", "pending", "sending", "sent"],
+  },
+  limit: { type: "integer", min: 1, max: 200 },
+};
+export const REPORTS_QUERY = {
+  limit: { type: "integer", min: 1, max: 100 },
+};
+
+// GET /api/admin/registrations, GET /api/admin/payments (query); see
+// lib/adminQuery.js for the filters
+const listQuery = {
+  status: { type: "string", max: 50 },
+  email: { type: "email" },
+  from: { type: "date" },
+  to: { type: "date" },
+  sort: { type: "enum", values: ["-createdAt", "createdAt"] },
+  limit: { type: "integer", min: 1, max: MAX_PAGE },
+  cursor: { type: "string", max: 200 },
+};
+export const REGISTRATIONS_QUERY = Object.assign(
+  { workshop: { type: "id" } },
+  listQuery
+);
+export const PAYMENTS_QUERY = Object.assign(
+  {
+    event: { type: "id" },
+    package: { type: "id" },
+    workshop: { type: "id" },
+  },
+  listQuery
+);
+
+// GET /api/admin/{registrations,payments}/export (query): the same filters
+// plus the file format
+const exportFormat = {
+  format: { type: "enum", values: ["csv", "xlsx"] },
+};
+export const REGISTRATIONS_EXPORT = Object.assign(
+  {},
+  REGISTRATIONS_QUERY,
+  exportFormat
+);
+export const PAYMENTS_EXPORT = Object.assign({}, PAYMENTS_QUERY, exportFormat);
+
+// GET /api/admin/emails/:template/preview (params and query); `data` is a
+// JSON object of sample fields to override
+export const EMAIL_PREVIEW_PARAMS = {
+  template: { type: "enum", values: TEMPLATES, required: true },
+};
+export const EMAIL_PREVIEW_QUERY = {
+  format: { type: "enum", values: ["html", "text"] },
+  version: { type: "integer", min: 1 },
+  data: { type: "string", max: 5000 },
+};
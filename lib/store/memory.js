@@ -0,0 +1,513 @@
+import crypto from "crypto";
+import admin from "firebase-admin";
+
+// In-memory stand-in for the subset of the Firestore API this backend uses:
+// collections and subcollections, doc refs (get/set/update/create/delete),
+// add(), queries (where/orderBy/limit/startAfter), batches, transactions and
+// the FieldValue sentinels (serverTimestamp, delete, arrayUnion, arrayRemove,
+// increment). Dates are stored as Firestore Timestamps, so code reading
+// `.toDate()`/`.toMillis()` behaves the same on both backends.
+//
+// Everything lives in process memory and is lost on restart. It is meant
+// for local development, demos and small single-instance deployments.
+
+const { FieldValue, Timestamp, FieldPath } = admin.firestore;
+
+function firestoreError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+// gRPC status codes used by Firestore
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+const ABORTED = 10;
+
+// Firestore's default number of attempts for a transaction
+const MAX_ATTEMPTS = 5;
+
+function autoId() {
+  const chars =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  const bytes = crypto.randomBytes(20);
+  let id = "";
+  for (const b of bytes) id += chars[b % chars.length];
+  return id;
+}
+
+function isPlainObject(v) {
+  return (
+    v !== null &&
+    typeof v === "object" &&
+    Object.getPrototypeOf(v) === Object.prototype
+  );
+}
+
+// Deep copy, converting Dates to Timestamps. Timestamps are immutable and
+// shared.
+function clone(v) {
+  if (v instanceof Date) return Timestamp.fromDate(v);
+  if (v instanceof Timestamp || v instanceof FieldValue) return v;
+  if (Array.isArray(v)) return v.map(clone);
+  if (isPlainObject(v)) {
+    const out = {};
+    for (const [k, val] of Object.entries(v))
+      if (val !== undefined) out[k] = clone(val);
+    return out;
+  }
+  return v;
+}
+
+// Comparable form of a value: [typeOrder, value]. Times compare in
+// nanoseconds, as Firestore keeps them.
+function rank(v) {
+  if (v === null || v === undefined) return [0, 0];
+  if (typeof v === "boolean") return [1, v ? 1 : 0];
+  if (typeof v === "number") return [2, v];
+  if (v instanceof Date) return [3, BigInt(v.getTime()) * 1000000n];
+  if (v instanceof Timestamp)
+    return [3, BigInt(v.seconds) * 1000000000n + BigInt(v.nanoseconds)];
+  if (typeof v === "string") return [4, v];
+  return [5, JSON.stringify(v)];
+}
+
+function compare(a, b) {
+  const [ta, va] = rank(a);
+  const [tb, vb] = rank(b);
+  if (ta !== tb) return ta - tb;
+  return va < vb ? -1 : va > vb ? 1 : 0;
+}
+
+function equal(a, b) {
+  if (Array.isArray(a) && Array.isArray(b))
+    return a.length === b.length && a.every((x, i) => equal(x, b[i]));
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const ka = Object.keys(a);
+    return (
+      ka.length === Object.keys(b).length && ka.every((k) => equal(a[k], b[k]))
+    );
+  }
+  if (rank(a)[0] === 5 || rank(b)[0] === 5) return false;
+  return compare(a, b) === 0;
+}
+
+// Range filters only match values of the same type, as in Firestore
+function sameType(a, b) {
+  return a !== undefined && rank(a)[0] === rank(b)[0];
+}
+
+// Field path segments, or null for FieldPath.documentId()
+function pathOf(field) {
+  if (field instanceof FieldPath && field.isEqual(FieldPath.documentId()))
+    return null;
+  return String(field).split(".");
+}
+
+function getPath(data, parts) {
+  let cur = data;
+  for (const p of parts) {
+    if (cur === null || typeof cur !== "object" || !(p in cur)) return undefined;
+    cur = cur[p];
+  }
+  return cur;
+}
+
+// Apply `value` (possibly a FieldValue sentinel) at `parts` inside `data`
+function setPath(data, parts, value) {
+  let cur = data;
+  for (const p of parts.slice(0, -1)) {
+    if (!isPlainObject(cur[p])) cur[p] = {};
+    cur = cur[p];
+  }
+  const last = parts[parts.length - 1];
+  const existing = cur[last];
+  const resolved = resolve(value, existing);
+  if (resolved === DELETE) delete cur[last];
+  else cur[last] = resolved;
+}
+
+const DELETE = Symbol("delete");
+
+function resolve(value, existing) {
+  if (value instanceof FieldValue) {
+    switch (value.methodName) {
+      case "FieldValue.serverTimestamp":
+        return Timestamp.now();
+      case "FieldValue.delete":
+        return DELETE;
+      case "FieldValue.increment":
+        return (typeof existing === "number" ? existing : 0) + value.operand;
+      case "FieldValue.arrayUnion": {
+        const arr = Array.isArray(existing) ? existing.slice() : [];
+        for (const el of value.elements)
+          if (!arr.some((x) => equal(x, el))) arr.push(clone(el));
+        return arr;
+      }
+      case "FieldValue.arrayRemove":
+        return (Array.isArray(existing) ? existing : []).filter(
+          (x) => !value.elements.some((el) => equal(x, el))
+        );
+      default:
+        throw new Error(`unsupported FieldValue ${value.methodName}`);
+    }
+  }
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      const r = resolve(v, undefined);
+      if (r !== DELETE) out[k] = r;
+    }
+    return out;
+  }
+  return clone(value);
+}
+
+// set(data, { merge: true }): nested maps are merged key by key
+function mergeInto(target, data) {
+  for (const [k, v] of Object.entries(data)) {
+    if (v === undefined) continue;
+    if (isPlainObject(v) && isPlainObject(target[k])) mergeInto(target[k], v);
+    else setPath(target, [k], v);
+  }
+}
+
+class Snapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    // for transactions to notice the document changing after it was read
+    this._version = ref._store.version(ref.path);
+    this.exists = data !== undefined;
+    // snapshots don't change when the document is written later
+    this._data = this.exists ? clone(data) : undefined;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? clone(getPath(this._data, pathOf(field))) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(fn) {
+    this.docs.forEach(fn);
+  }
+}
+
+class DocRef {
+  constructor(store, collectionPath, id) {
+    this._store = store;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+    this._collectionPath = collectionPath;
+  }
+
+  collection(name) {
+    return new CollectionRef(this._store, `${this.path}/${name}`);
+  }
+
+  _docs() {
+    return this._store.collection(this._collectionPath);
+  }
+
+  _read() {
+    return this._docs().get(this.id);
+  }
+
+  async get() {
+    return new Snapshot(this, this._read());
+  }
+
+  async set(data, options) {
+    commit(this._store, [write(this, "set", data, options)]);
+  }
+
+  async update(data) {
+    commit(this._store, [write(this, "update", data)]);
+  }
+
+  async create(data) {
+    commit(this._store, [write(this, "create", data)]);
+  }
+
+  async delete() {
+    commit(this._store, [write(this, "delete")]);
+  }
+}
+
+class Query {
+  constructor(store, path, spec = {}) {
+    this._store = store;
+    this._path = path;
+    this._spec = Object.assign(
+      { filters: [], orders: [], limit: null, after: null },
+      spec
+    );
+  }
+
+  _with(change) {
+    return new Query(
+      this._store,
+      this._path,
+      Object.assign({}, this._spec, change)
+    );
+  }
+
+  where(field, op, value) {
+    return this._with({
+      filters: this._spec.filters.concat([{ field, op, value }]),
+    });
+  }
+
+  orderBy(field, direction = "asc") {
+    return this._with({
+      orders: this._spec.orders.concat([{ field, direction }]),
+    });
+  }
+
+  limit(n) {
+    return this._with({ limit: n });
+  }
+
+  startAfter(...values) {
+    if (values[0] instanceof Snapshot) {
+      const snap = values[0];
+      values = this._spec.orders.map((o) =>
+        pathOf(o.field) ? snap.get(o.field) : snap.id
+      );
+    }
+    return this._with({ after: values });
+  }
+
+  _value(id, data, field) {
+    const parts = pathOf(field);
+    return parts ? getPath(data, parts) : id;
+  }
+
+  _matches(id, data, { field, op, value }) {
+    const v = this._value(id, data, field);
+    switch (op) {
+      case "==":
+        return v !== undefined && equal(v, value);
+      case "!=":
+        return v !== undefined && v !== null && !equal(v, value);
+      case "<":
+        return sameType(v, value) && compare(v, value) < 0;
+      case "<=":
+        return sameType(v, value) && compare(v, value) <= 0;
+      case ">":
+        return sameType(v, value) && compare(v, value) > 0;
+      case ">=":
+        return sameType(v, value) && compare(v, value) >= 0;
+      case "in":
+        return v !== undefined && value.some((x) => equal(v, x));
+      case "not-in":
+        return v !== undefined && v !== null && !value.some((x) => equal(v, x));
+      case "array-contains":
+        return Array.isArray(v) && v.some((x) => equal(x, value));
+      case "array-contains-any":
+        return (
+          Array.isArray(v) && v.some((x) => value.some((y) => equal(x, y)))
+        );
+      default:
+        throw new Error(`unsupported operator ${op}`);
+    }
+  }
+
+  async get() {
+    const { filters, orders, limit, after } = this._spec;
+    let rows = [...this._store.collection(this._path).entries()].filter(
+      ([id, data]) =>
+        filters.every((f) => this._matches(id, data, f)) &&
+        // like Firestore, documents missing an orderBy field are left out
+        orders.every((o) => this._value(id, data, o.field) !== undefined)
+    );
+    const keys = orders.concat(
+      orders.some((o) => !pathOf(o.field))
+        ? []
+        : [{ field: FieldPath.documentId(), direction: "asc" }]
+    );
+    const cmp = ([idA, a], [idB, b]) => {
+      for (const o of keys) {
+        const c = compare(
+          this._value(idA, a, o.field),
+          this._value(idB, b, o.field)
+        );
+        if (c) return o.direction === "desc" ? -c : c;
+      }
+      return 0;
+    };
+    rows.sort(cmp);
+    if (after) {
+      rows = rows.filter(([id, data]) => {
+        for (let i = 0; i < after.length && i < orders.length; i++) {
+          const c = compare(this._value(id, data, orders[i].field), after[i]);
+          if (c) return orders[i].direction === "desc" ? c < 0 : c > 0;
+        }
+        return false;
+      });
+    }
+    if (limit !== null) rows = rows.slice(0, limit);
+    return new QuerySnapshot(
+      rows.map(
+        ([id, data]) =>
+          new Snapshot(new DocRef(this._store, this._path, id), data)
+      )
+    );
+  }
+}
+
+class CollectionRef extends Query {
+  constructor(store, path) {
+    super(store, path);
+    this.id = path.split("/").pop();
+    this.path = path;
+  }
+
+  doc(id) {
+    return new DocRef(this._store, this._path, id ? String(id) : autoId());
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+// A write of `kind` ("set", "update", "create" or "delete") to `ref`, as a
+// function from the document's current contents (undefined if it doesn't
+// exist; a copy the function may modify) to its new ones
+function write(ref, kind, data, options = {}) {
+  const apply = (current) => {
+    switch (kind) {
+      case "set":
+        if (options.merge && current) {
+          mergeInto(current, data);
+          return current;
+        }
+        return resolve(data, undefined);
+      case "update":
+        if (!current)
+          throw firestoreError(
+            NOT_FOUND,
+            `No document to update: ${ref.path}`
+          );
+        for (const [k, v] of Object.entries(data))
+          if (v !== undefined) setPath(current, k.split("."), v);
+        return current;
+      case "create":
+        if (current)
+          throw firestoreError(
+            ALREADY_EXISTS,
+            `Document already exists: ${ref.path}`
+          );
+        return resolve(data, undefined);
+      default:
+        return undefined;
+    }
+  };
+  return { ref, apply };
+}
+
+// Apply `writes` all at once: each is staged against a copy of its
+// document, so one that throws (updating a missing document, creating an
+// existing one) leaves every document as it was
+function commit(store, writes) {
+  const staged = new Map();
+  for (const { ref, apply } of writes) {
+    const entry = staged.get(ref.path) || { ref, data: clone(ref._read()) };
+    entry.data = apply(entry.data);
+    staged.set(ref.path, entry);
+  }
+  for (const { ref, data } of staged.values()) {
+    if (data === undefined) ref._docs().delete(ref.id);
+    else ref._docs().set(ref.id, data);
+    store.touch(ref.path);
+  }
+}
+
+// The write half of a batch or transaction: each call is staged in
+// `pending` and returns the writer for chaining
+function writer(pending) {
+  const stage = (ref, kind, data, options) => {
+    pending.push(write(ref, kind, data, options));
+    return w;
+  };
+  const w = {
+    set: (ref, data, options) => stage(ref, "set", data, options),
+    update: (ref, data) => stage(ref, "update", data),
+    create: (ref, data) => stage(ref, "create", data),
+    delete: (ref) => stage(ref, "delete"),
+  };
+  return w;
+}
+
+// `seed` optionally pre-fills collections: { packages: { <id>: {...} } }
+export function createMemoryDb(seed = {}) {
+  const collections = new Map();
+  // document path -> number of the last commit that wrote it
+  const versions = new Map();
+  let commits = 0;
+  const store = {
+    collection(path) {
+      if (!collections.has(path)) collections.set(path, new Map());
+      return collections.get(path);
+    },
+    version: (path) => versions.get(path) || 0,
+    touch: (path) => versions.set(path, ++commits),
+  };
+  for (const [path, docs] of Object.entries(seed))
+    for (const [id, data] of Object.entries(docs))
+      store.collection(path).set(id, resolve(data, undefined));
+
+  return {
+    collection: (name) => new CollectionRef(store, name),
+
+    batch() {
+      const pending = [];
+      return Object.assign(writer(pending), {
+        commit: async () => commit(store, pending),
+      });
+    },
+
+    // Optimistic, like Firestore's: reads see committed data, writes are
+    // committed together once the callback resolves, and the callback runs
+    // again (up to MAX_ATTEMPTS times) if a document it read was written
+    // meanwhile. A query only conflicts on the documents it returned.
+    async runTransaction(fn) {
+      for (let attempt = 1; ; attempt++) {
+        const pending = [];
+        const reads = [];
+        const t = Object.assign(writer(pending), {
+          get: async (refOrQuery) => {
+            const snap = await refOrQuery.get();
+            reads.push(...(snap.docs || [snap]));
+            return snap;
+          },
+        });
+        const result = await fn(t);
+        const unchanged = reads.every(
+          (snap) => store.version(snap.ref.path) === snap._version
+        );
+        if (unchanged) {
+          commit(store, pending);
+          return result;
+        }
+        if (attempt >= MAX_ATTEMPTS)
+          throw firestoreError(
+            ABORTED,
+            "Transaction aborted: documents it read kept changing"
+          );
+      }
+    },
+  };
+}
@@ -0,0 +1,245 @@
+import crypto from "crypto";
+import { createRequire } from "module";
+import PDFDocument from "pdfkit";
+import { EVENT_ID } from "./tickets.js";
+import { getEvent } from "./events.js";
+import { attendeeOf } from "./attendees.js";
+import { toDate } from "./catalog.js";
+import { renderQr } from "./qr.js";
+
+// Printable tickets and calendar invites. Both are built from the details of
+// a payment's tickets (ticketDetails), so the PDF, the .ics file and the
+// email attachments show the same event, sessions and venue.
+
+const BRAND = "#e62b1e";
+const INK = "#222222";
+const MUTED = "#666666";
+
+// pdfkit's built-in Helvetica has no Arabic glyphs. Text with Arabic in it
+// (attendee names, mostly) is set in Noto Naskh Arabic instead, which also
+// covers Latin, so mixed names come out whole.
+const require = createRequire(import.meta.url);
+const NOTO = "@expo-google-fonts/noto-naskh-arabic";
+const ARABIC_FONTS = {
+  Arabic: require.resolve(`${NOTO}/400Regular/NotoNaskhArabic_400Regular.ttf`),
+  "Arabic-Bold": require.resolve(`${NOTO}/700Bold/NotoNaskhArabic_700Bold.ttf`),
+};
+const ARABIC_TEXT =
+  /[\u0600-\u06ff\u0750-\u077f\u08a0-\u08ff\ufb50-\ufdff\ufe70-\ufeff]/;
+
+function fontFor(text, bold) {
+  if (ARABIC_TEXT.test(text)) return bold ? "Arabic-Bold" : "Arabic";
+  return bold ? "Helvetica-Bold" : "Helvetica";
+}
+
+function issuedCodes(data) {
+  if (Array.isArray(data.ticketCodes) && data.ticketCodes.length)
+    return data.ticketCodes;
+  return data.ticketCode ? [data.ticketCode] : [];
+}
+
+function venueText(venue) {
+  return venue ? [venue.name, venue.address].filter(Boolean).join(", ") : "";
+}
+
+// Short stable id for a code, so calendar UIDs don't carry the code itself
+function codeId(code) {
+  return crypto
+    .createHash("sha256")
+    .update(String(code))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// What a ticket document shows for `codes` of payment `data`:
+//   { eventId, eventTitle, packageTitle, timezone, startsAt, endsAt,
+//     location, sessions: [{ id, title, startsAt, endsAt, location }],
+//     tickets: [{ code, number, total, name }] }
+// Sessions are the ones the tickets grant. Without an event document the
+// package title stands in for the event and there are no dates.
+export async function ticketDetails(db, data, codes) {
+  const eventId = data.eventId || EVENT_ID;
+  const event = await getEvent(db, eventId);
+  const granted = data.ticketSessions;
+  const venues = (event && event.venues) || {};
+  const sessions = ((event && event.sessions) || [])
+    .filter((s) => !Array.isArray(granted) || granted.includes(s.id))
+    .map((s) => ({
+      id: s.id,
+      title: s.title,
+      startsAt: s.startsAt,
+      endsAt: s.endsAt,
+      location: venueText(venues[s.venueId]),
+    }));
+  const all = issuedCodes(data);
+  const buyer = data.user || {};
+  return {
+    eventId,
+    eventTitle: (event && event.title) || data.packageTitle || "TEDx",
+    packageTitle: data.packageTitle || data.packageId || "",
+    timezone: (event && event.timezone) || "Africa/Cairo",
+    startsAt: (sessions[0] && sessions[0].startsAt) || (event && event.startsAt),
+    endsAt: event ? event.endsAt : null,
+    location:
+      (sessions[0] && sessions[0].location) ||
+      venueText(Object.values(venues)[0]),
+    sessions,
+    tickets: codes.map((code) => ({
+      code,
+      number: all.indexOf(code) + 1,
+      total: all.length,
+      name: (attendeeOf(data, code) || buyer).name || "",
+    })),
+  };
+}
+
+function formatWhen(date, timezone) {
+  if (!date) return "";
+  return new Intl.DateTimeFormat("en-GB", {
+    dateStyle: "full",
+    timeStyle: "short",
+    timeZone: timezone,
+  }).format(date);
+}
+
+// One A5 page per ticket. Resolves to the PDF as a Buffer.
+export async function renderTicketPdf(details) {
+  const doc = new PDFDocument({
+    size: "A5",
+    margin: 36,
+    autoFirstPage: false,
+    info: { Title: `${details.eventTitle} tickets` },
+  });
+  for (const [name, file] of Object.entries(ARABIC_FONTS))
+    doc.registerFont(name, file);
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", resolve);
+    doc.on("error", reject);
+  });
+
+  for (const ticket of details.tickets) {
+    const png = await renderQr(ticket.code, "png", { size: 600, ecc: "Q" });
+    doc.addPage();
+    const { width, height } = doc.page;
+    const left = doc.page.margins.left;
+    const inner = width - left - doc.page.margins.right;
+
+    doc.rect(0, 0, width, 10).fill(BRAND);
+    doc
+      .fillColor(BRAND)
+      .font("Helvetica-Bold")
+      .fontSize(24)
+      .text("TEDx", left, 32);
+    doc
+      .fillColor(INK)
+      .font(fontFor(details.eventTitle, true))
+      .fontSize(16)
+      .text(details.eventTitle, { width: inner });
+    doc.moveDown(0.3).font("Helvetica").fontSize(10).fillColor(MUTED);
+    const when = formatWhen(details.startsAt, details.timezone);
+    if (when) doc.text(when, { width: inner });
+    if (details.location)
+      doc
+        .font(fontFor(details.location))
+        .text(details.location, { width: inner });
+
+    const qrSize = 220;
+    const qrTop = doc.y + 16;
+    doc.image(png, (width - qrSize) / 2, qrTop, { width: qrSize });
+    doc.y = qrTop + qrSize + 12;
+
+    const name = ticket.name || "Guest";
+    doc
+      .fillColor(INK)
+      .font(fontFor(name, true))
+      .fontSize(14)
+      .text(name, left, doc.y, { width: inner, align: "center" });
+    const number = `Ticket ${ticket.number} of ${ticket.total}`;
+    const admits = `${details.packageTitle} · ${number}`;
+    doc
+      .font(fontFor(admits))
+      .fontSize(10)
+      .fillColor(MUTED)
+      .text(admits, { width: inner, align: "center" });
+    if (details.sessions.length) {
+      const titles = details.sessions.map((s) => s.title).join(", ");
+      const valid = `Valid for: ${titles}`;
+      doc.font(fontFor(valid)).text(valid, { width: inner, align: "center" });
+    }
+
+    doc
+      .font("Courier")
+      .fontSize(6)
+      .text(ticket.code, left, height - 84, { width: inner, align: "center" });
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .text(
+        "Show this QR code at the entrance. Each ticket admits one person.",
+        left,
+        height - 60,
+        { width: inner, align: "center" }
+      );
+  }
+
+  doc.end();
+  await done;
+  return Buffer.concat(chunks);
+}
+
+// Calendar entries (lib/calendar.js) for a ticket: one per session it
+// grants, or one for the whole event. Empty when the event has no date.
+export function ticketCalendarEntries(details) {
+  const code = details.tickets[0] && details.tickets[0].code;
+  const base = process.env.FRONTEND_BASE || "";
+  const url = code
+    ? `${base}/ticket-verify?code=${encodeURIComponent(code)}`
+    : undefined;
+  const uid = (part) => `${details.eventId}-${part}-${codeId(code)}@tedx`;
+  const description = `${details.packageTitle}. Bring your ticket's QR code.`;
+  if (details.sessions.some((s) => s.startsAt))
+    return details.sessions
+      .filter((s) => s.startsAt)
+      .map((s) => ({
+        uid: uid(s.id),
+        title: `${details.eventTitle}: ${s.title}`,
+        startsAt: s.startsAt,
+        endsAt: s.endsAt,
+        location: s.location,
+        description,
+        url,
+      }));
+  if (!details.startsAt) return [];
+  return [
+    {
+      uid: uid("event"),
+      title: details.eventTitle,
+      startsAt: details.startsAt,
+      endsAt: details.endsAt,
+      location: details.location,
+      description,
+      url,
+    },
+  ];
+}
+
+// Calendar entries for a workshop registration. Workshops have optional
+// `startsAt`, `endsAt` and `location`; empty without a start.
+export function workshopCalendarEntries(workshopId, workshop, email) {
+  const startsAt = toDate(workshop.startsAt);
+  if (!startsAt) return [];
+  return [
+    {
+      uid: `workshop-${workshopId}-${codeId(String(email).toLowerCase())}@tedx`,
+      title: workshop.title || workshopId,
+      startsAt,
+      endsAt: toDate(workshop.endsAt),
+      location: workshop.location || "",
+      description: workshop.group_link
+        ? `Attendee group: ${workshop.group_link}`
+        : "",
+    },
+  ];
+}
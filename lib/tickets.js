@@ -0,0 +1,129 @@
+import crypto from "crypto";
+
+// Signed ticket codes:
+//
+//   T1.<kid>.<payload>.<sig>
+//
+// payload = base64url(JSON { t: ticketId, e: eventId, p: packageId })
+// sig     = base64url(HMAC-SHA256(key[kid], "T1.<kid>.<payload>")), 128 bits
+//
+// The ticket id is 128 random bits, so codes can't be guessed, and the
+// signature lets the scanner reject forged codes without a Firestore lookup.
+//
+// Keys are configured as TICKET_SIGNING_KEYS="k2:secret2,k1:secret1". New
+// tickets are signed with TICKET_SIGNING_KEY_ID (default: the first key);
+// every listed key is accepted when verifying, so rotating means adding a new
+// key in front and removing the old one only once its tickets are no longer
+// needed.
+
+const VERSION = "T1";
+const SIG_BYTES = 16;
+
+function parseKeys(raw) {
+  const keys = {};
+  String(raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const i = entry.indexOf(":");
+      if (i > 0) keys[entry.slice(0, i)] = entry.slice(i + 1);
+    });
+  return keys;
+}
+
+const KEYS = parseKeys(process.env.TICKET_SIGNING_KEYS);
+const CURRENT_KID =
+  process.env.TICKET_SIGNING_KEY_ID || Object.keys(KEYS)[0] || null;
+
+export const EVENT_ID = process.env.EVENT_ID || "tedx";
+
+export function signingConfigured() {
+  return !!(CURRENT_KID && KEYS[CURRENT_KID]);
+}
+
+function b64url(buf) {
+  return Buffer.from(buf)
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromB64url(str) {
+  return Buffer.from(
+    str.replace(/-/g, "+").replace(/_/g, "/"),
+    "base64"
+  ).toString("utf8");
+}
+
+function sign(kid, payload) {
+  const mac = crypto
+    .createHmac("sha256", KEYS[kid])
+    .update(`${VERSION}.${kid}.${payload}`)
+    .digest();
+  return b64url(mac.subarray(0, SIG_BYTES));
+}
+
+export function issueTicketCode({ eventId = EVENT_ID, packageId }) {
+  if (!signingConfigured())
+    throw new Error("ticket signing keys not configured");
+  const ticketId = b64url(crypto.randomBytes(16));
+  const payload = b64url(
+    JSON.stringify({ t: ticketId, e: eventId, p: packageId || "" })
+  );
+  return `${VERSION}.${CURRENT_KID}.${payload}.${sign(CURRENT_KID, payload)}`;
+}
+
+// Returns { ok: true, ticketId, eventId, packageId, kid } or
+// { ok: false, reason }
+export function verifyTicketCode(code) {
+  const parts = String(code || "").split(".");
+  if (parts.length !== 4 || parts[0] !== VERSION)
+    return { ok: false, reason: "malformed" };
+  const [, kid, payload, sig] = parts;
+  if (!KEYS[kid]) return { ok: false, reason: "unknown key" };
+  const expected = Buffer.from(sign(kid, payload));
+  const given = Buffer.from(sig);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  )
+    return { ok: false, reason: "bad signature" };
+  let claims;
+  try {
+    claims = JSON.parse(fromB64url(payload));
+  } catch (err) {
+    return { ok: false, reason: "malformed" };
+  }
+  return {
+    ok: true,
+    ticketId: claims.t,
+    eventId: claims.e,
+    packageId: claims.p,
+    kid,
+  };
+}
+
+// Codes issued before signing existed (`order-<timestamp>[-N]`)
+export function isLegacyTicketCode(code) {
+  return /^order-\d+(-\d+)?$/.test(String(code || ""));
+}
+
+// Key under `scannedMap` for a code. Dots would be read as a field path
+// separator by update(), so they are escaped as well.
+export function scanKey(code) {
+  return encodeURIComponent(String(code)).replace(/\./g, "%2E");
+}
+
+// Manage tokens let a buyer assign and transfer the tickets of their order
+// without an account. The token is sent in the buyer's ticket email and only
+// its hash is stored on the payment (`manageTokenHash`).
+export function createManageToken() {
+  const token = b64url(crypto.randomBytes(24));
+  return { token, hash: hashManageToken(token) };
+}
+
+export function hashManageToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
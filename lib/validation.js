@@ -0,0 +1,301 @@
+// Declarative request validation. A schema maps field names to rules:
+//
+//   const schema = {
+//     email: { type: "email", required: true },
+//     age: { type: "integer", min: 10, max: 100 },
+//     user: { type: "object", fields: { name: { type: "string" } } },
+//   };
+//
+// `validate(schema)` checks req.body (or req.query / req.params) before the
+// route runs and replaces it with the normalized values; fields that are not
+// in the schema are dropped. Failures are answered with
+//
+//   400 { error: "invalid request", fields: { "user.email": "..." } }
+//
+// which is the same `{ error }` shape every route uses, plus per-field
+// messages.
+
+export const GOVERNORATES = [
+  "Alexandria",
+  "Aswan",
+  "Asyut",
+  "Beheira",
+  "Beni Suef",
+  "Cairo",
+  "Dakahlia",
+  "Damietta",
+  "Faiyum",
+  "Gharbia",
+  "Giza",
+  "Ismailia",
+  "Kafr El Sheikh",
+  "Luxor",
+  "Matrouh",
+  "Minya",
+  "Monufia",
+  "New Valley",
+  "North Sinai",
+  "Port Said",
+  "Qalyubia",
+  "Qena",
+  "Red Sea",
+  "Sharqia",
+  "Sohag",
+  "South Sinai",
+  "Suez",
+];
+
+// Other common transliterations, matched after lowercasing and dropping
+// spaces, hyphens and apostrophes
+const GOVERNORATE_ALIASES = {
+  assiut: "Asyut",
+  assuit: "Asyut",
+  behera: "Beheira",
+  buhayrah: "Beheira",
+  banisuef: "Beni Suef",
+  daqahlia: "Dakahlia",
+  dakahlya: "Dakahlia",
+  dumyat: "Damietta",
+  fayoum: "Faiyum",
+  fayyum: "Faiyum",
+  gharbiya: "Gharbia",
+  gharbeya: "Gharbia",
+  ismailiya: "Ismailia",
+  kafrelsheik: "Kafr El Sheikh",
+  kafralsheikh: "Kafr El Sheikh",
+  marsamatruh: "Matrouh",
+  matruh: "Matrouh",
+  menya: "Minya",
+  minia: "Minya",
+  menofia: "Monufia",
+  menoufia: "Monufia",
+  minufiya: "Monufia",
+  wadielgedid: "New Valley",
+  portsaeed: "Port Said",
+  qalyubiya: "Qalyubia",
+  kalyubia: "Qalyubia",
+  qaliubiya: "Qalyubia",
+  sharkia: "Sharqia",
+  sharqiya: "Sharqia",
+  sharkiya: "Sharqia",
+  suhag: "Sohag",
+  alex: "Alexandria",
+};
+
+export const MIN_AGE = Number(process.env.REGISTRATION_MIN_AGE || 10);
+export const MAX_AGE = Number(process.env.REGISTRATION_MAX_AGE || 100);
+
+// Origins `merchantRedirect` may point at: ALLOWED_REDIRECT_ORIGINS
+// (comma-separated), else the origin of FRONTEND_BASE
+export const REDIRECT_ORIGINS = (
+  process.env.ALLOWED_REDIRECT_ORIGINS ||
+  process.env.FRONTEND_BASE ||
+  ""
+)
+  .split(",")
+  .map((o) => originOf(o.trim()))
+  .filter(Boolean);
+
+function originOf(value) {
+  try {
+    return new URL(value).origin;
+  } catch (err) {
+    return null;
+  }
+}
+
+const EMAIL_RE = /^[^\s@"<>()[\],;:]+@[^\s@"<>()[\],;:]+\.[a-z]{2,}$/i;
+
+// Egyptian mobile numbers (010/011/012/015 + 8 digits) in any of the usual
+// local or international spellings, as E.164 (+201XXXXXXXXX). Returns null if
+// the number isn't one.
+export function normalizeEgyptianPhone(value) {
+  let digits = String(value).replace(/[\s\-().]/g, "");
+  if (digits.startsWith("+")) digits = digits.slice(1);
+  else if (digits.startsWith("00")) digits = digits.slice(2);
+  if (!/^\d+$/.test(digits)) return null;
+  if (digits.startsWith("20")) digits = digits.slice(2);
+  if (digits.startsWith("0")) digits = digits.slice(1);
+  return /^1[0125]\d{8}$/.test(digits) ? `+20${digits}` : null;
+}
+
+function governorate(value) {
+  const key = String(value)
+    .toLowerCase()
+    .replace(/[\s\-'’]/g, "");
+  return (
+    GOVERNORATES.find((g) => g.toLowerCase().replace(/[\s\-]/g, "") === key) ||
+    GOVERNORATE_ALIASES[key] ||
+    null
+  );
+}
+
+const fail = (error) => ({ error });
+const ok = (value) => ({ value });
+
+// Each checker gets the raw value (never undefined/null/"") and the rule,
+// and returns { value } or { error }
+const TYPES = {
+  string(v, rule) {
+    if (typeof v !== "string" && typeof v !== "number")
+      return fail("must be a string");
+    const s = String(v).trim();
+    if (rule.min && s.length < rule.min)
+      return fail(`must be at least ${rule.min} characters`);
+    if (s.length > (rule.max || 1000))
+      return fail(`must be at most ${rule.max || 1000} characters`);
+    return ok(s);
+  },
+  // Firestore document ids
+  id(v) {
+    const s = String(v).trim();
+    if (typeof v === "object" || !s || s.length > 128 || s.includes("/"))
+      return fail("must be a valid id");
+    return ok(s);
+  },
+  email(v) {
+    const s = String(v).trim();
+    if (typeof v !== "string" || s.length > 254 || !EMAIL_RE.test(s))
+      return fail("must be a valid email address");
+    return ok(s);
+  },
+  phone(v) {
+    const phone =
+      typeof v === "string" || typeof v === "number"
+        ? normalizeEgyptianPhone(v)
+        : null;
+    return phone ? ok(phone) : fail("must be an Egyptian mobile number");
+  },
+  integer(v, rule) {
+    const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+    if (typeof n !== "number" || !Number.isInteger(n))
+      return fail("must be a whole number");
+    if (rule.min !== undefined && n < rule.min)
+      return fail(`must be at least ${rule.min}`);
+    if (rule.max !== undefined && n > rule.max)
+      return fail(`must be at most ${rule.max}`);
+    return ok(n);
+  },
+  number(v, rule) {
+    const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+    if (typeof n !== "number" || !Number.isFinite(n))
+      return fail("must be a number");
+    if (rule.positive && n <= 0) return fail("must be greater than 0");
+    if (rule.max !== undefined && n > rule.max)
+      return fail(`must be at most ${rule.max}`);
+    return ok(n);
+  },
+  boolean(v) {
+    if (v === true || v === "true") return ok(true);
+    if (v === false || v === "false") return ok(false);
+    return fail("must be true or false");
+  },
+  // `values` lists the allowed values; matched case-insensitively and
+  // returned in their canonical spelling
+  enum(v, rule) {
+    const s = String(v).trim().toLowerCase();
+    const match = rule.values.find((x) => String(x).toLowerCase() === s);
+    return match !== undefined
+      ? ok(match)
+      : fail(`must be one of ${rule.values.join(", ")}`);
+  },
+  governorate(v) {
+    const g = typeof v === "string" ? governorate(v) : null;
+    return g ? ok(g) : fail("must be an Egyptian governorate");
+  },
+  // ISO 8601 date/time (or epoch milliseconds), returned as a Date
+  date(v) {
+    const d =
+      typeof v === "string" || typeof v === "number" ? new Date(v) : null;
+    return d && !Number.isNaN(d.getTime())
+      ? ok(d)
+      : fail("must be an ISO date");
+  },
+  // http(s) URL; with `origins`, only URLs on one of those origins
+  url(v, rule) {
+    let url;
+    try {
+      url = new URL(String(v).trim());
+    } catch (err) {
+      return fail("must be a URL");
+    }
+    if (!["http:", "https:"].includes(url.protocol))
+      return fail("must be an http(s) URL");
+    if (rule.origins && !rule.origins.includes(url.origin))
+      return fail(
+        rule.origins.length
+          ? `must point at ${rule.origins.join(" or ")}`
+          : "no redirect origins are configured"
+      );
+    return ok(url.toString());
+  },
+  array(v, rule) {
+    if (!Array.isArray(v)) return fail("must be a list");
+    if (v.length > (rule.max || 100))
+      return fail(`must have at most ${rule.max || 100} items`);
+    const out = [];
+    for (const [i, item] of v.entries()) {
+      const r = check(item, rule.items);
+      // objects in the list report "list.<index>.field"
+      if (r.fields) {
+        const fields = {};
+        for (const [k, msg] of Object.entries(r.fields))
+          fields[`${i}.${k}`] = msg;
+        return { error: "invalid", fields };
+      }
+      if (r.error) return fail(`items ${r.error}`);
+      out.push(r.value);
+    }
+    return ok(out);
+  },
+  // With `fields`, a nested schema; without, any plain JSON object
+  object(v, rule) {
+    if (v === null || typeof v !== "object" || Array.isArray(v))
+      return fail("must be an object");
+    if (!rule.fields) {
+      if (JSON.stringify(v).length > (rule.maxBytes || 2000))
+        return fail("is too large");
+      return ok(v);
+    }
+    return validateObject(v, rule.fields);
+  },
+};
+
+function check(value, rule) {
+  if (value === undefined || value === null || value === "")
+    return rule.required ? fail("is required") : ok(undefined);
+  return TYPES[rule.type](value, rule);
+}
+
+// { value } or { error, fields } (nested objects report "parent.child")
+function validateObject(input, schema) {
+  const value = {};
+  const fields = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const r = check(input[name], rule);
+    if (r.fields)
+      for (const [k, msg] of Object.entries(r.fields))
+        fields[`${name}.${k}`] = msg;
+    else if (r.error) fields[name] = r.error;
+    else if (r.value !== undefined) value[name] = r.value;
+  }
+  return Object.keys(fields).length
+    ? { error: "invalid", fields }
+    : { value };
+}
+
+// Validate `input` against `schema`: { value } or { error, fields }
+export function validateInput(input, schema) {
+  const r = validateObject(input || {}, schema);
+  return r.fields ? { error: "invalid request", fields: r.fields } : r;
+}
+
+// Middleware validating req[source] ("body", "query" or "params")
+export function validate(schema, source = "body") {
+  return (req, res, next) => {
+    const r = validateInput(req[source], schema);
+    if (r.error) return res.status(400).json(r);
+    req[source] = r.value;
+    next();
+  };
+}
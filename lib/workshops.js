@@ -0,0 +1,345 @@
+import admin from "firebase-admin";
+import { isSuccess } from "./paymentState.js";
+import { createRepository } from "./repository.js";
+
+// Workshops live in the `workshops` collection, keyed by workshop id:
+//
+//   {
+//     title: "Public speaking",
+//     capacity: 30,         // optional; without it seats are unlimited
+//     group_link: "https://chat.whatsapp.com/...",   // optional
+//     startsAt: Timestamp,  // optional, with endsAt and location; used for
+//     endsAt: Timestamp,    // calendar invites (lib/ticketDocs.js)
+//     location: "Room 3",
+//     price: 250,           // optional; paid workshops go through Kashier
+//     currency: "EGP",      // optional, default EGP
+//     active: true,
+//     seatsTaken: 0,       // maintained here
+//     waitlistCount: 0,    // maintained here
+//     waitlistSeq: 0,      // maintained here, orders the waitlist
+//   }
+//
+// Seats are reserved inside a transaction so concurrent registrations can't
+// overbook a workshop. Once it is full, registrations are stored with
+// status "waitlisted" and promoted in waitlistSeq order when a confirmed
+// registration is cancelled.
+//
+// Paid workshops (a `price` above 0) have no waitlist. Registering holds a
+// seat with status "pending_payment" for WORKSHOP_HOLD_MINUTES while the
+// registrant pays through Kashier; the payment's fulfillment confirms the
+// registration (confirmPaidRegistration) and an unpaid hold is released
+// once it runs out (releaseHold). A hold cancelled before its payment
+// arrives stays cancelled and the payment is refunded; a full refund cancels
+// a paid registration (cancelPaidRegistration).
+
+// Statuses of a registration that still counts for its email: another
+// registration for the same workshop returns it instead
+const ACTIVE_STATUSES = ["confirmed", "waitlisted", "pending_payment"];
+
+export const HOLD_MS =
+  Number(process.env.WORKSHOP_HOLD_MINUTES || 60) * 60 * 1000;
+
+export function registrationRef(db, registrationId) {
+  return createRepository(db).registrations.ref(registrationId);
+}
+
+export function isPaidWorkshop(workshop) {
+  return Number(workshop && workshop.price) > 0;
+}
+
+// Seats of a workshop. One without a `capacity` is unlimited; a capacity
+// that isn't a whole number of seats is a configuration error (null).
+function capacityOf(workshop) {
+  const { capacity } = workshop;
+  if (capacity === undefined || capacity === null || capacity === "")
+    return Infinity;
+  const seats = Number(capacity);
+  return Number.isInteger(seats) && seats >= 0 ? seats : null;
+}
+
+// Registrations holding a seat; ones made before capacities existed have no
+// status and count as confirmed
+function holdsSeat(registration) {
+  return ["confirmed", "pending_payment"].includes(
+    registration.status || "confirmed"
+  );
+}
+
+export function workshopRef(db, workshopId) {
+  return createRepository(db).workshops.ref(workshopId);
+}
+
+export function normalizeEmail(email) {
+  return String(email || "")
+    .trim()
+    .toLowerCase();
+}
+
+// Returns { ref, status, waitlistPosition, holdExpiresAt, workshop } or
+// { error, code }. If the same email already holds an active registration
+// for the workshop, that one is returned (as `registration`) with
+// `duplicate: true` instead of creating another.
+// `onReserve(t, reservation)` runs inside the transaction once a new
+// registration has been written, e.g. to enqueue its email atomically.
+export async function reserveSeat(db, workshopId, fields, { onReserve } = {}) {
+  const repo = createRepository(db);
+  const wRef = repo.workshops.ref(workshopId);
+  const regRef = repo.registrations.ref();
+  const emailNormalized = normalizeEmail(fields.email);
+  return db.runTransaction(async (t) => {
+    const wSnap = await t.get(wRef);
+    if (!wSnap.exists) return { error: "unknown workshop", code: 404 };
+    const workshop = wSnap.data();
+
+    // Every registration transaction also writes the workshop doc, so two
+    // concurrent attempts for the same email conflict and the retry sees
+    // the first one here. The status filter is part of the query: any number
+    // of cancelled or expired registrations may come before the active one.
+    const existing = await t.get(
+      repo.registrations
+        .byEmailQuery(workshopId, emailNormalized, ACTIVE_STATUSES)
+        .limit(1)
+    );
+    const active = existing.docs[0];
+    if (active)
+      return {
+        ref: active.ref,
+        status: active.data().status,
+        registration: active.data(),
+        workshop,
+        duplicate: true,
+      };
+
+    if (workshop.active === false)
+      return { error: "workshop closed", code: 409 };
+
+    const capacity = capacityOf(workshop);
+    if (capacity === null) {
+      console.error("reserveSeat: invalid capacity", {
+        workshopId,
+        capacity: workshop.capacity,
+      });
+      return { error: "workshop unavailable", code: 500 };
+    }
+    const seatsTaken = Number(workshop.seatsTaken) || 0;
+    const base = Object.assign({}, fields, {
+      workshopId: String(workshopId),
+      emailNormalized,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    let reservation;
+    if (isPaidWorkshop(workshop)) {
+      if (seatsTaken >= capacity) return { error: "workshop full", code: 409 };
+      const holdExpiresAt = new Date(Date.now() + HOLD_MS);
+      t.update(wRef, { seatsTaken: seatsTaken + 1 });
+      t.set(
+        regRef,
+        Object.assign(base, {
+          status: "pending_payment",
+          holdExpiresAt,
+          price: Number(workshop.price),
+          currency: workshop.currency || "EGP",
+        })
+      );
+      reservation = {
+        ref: regRef,
+        status: "pending_payment",
+        holdExpiresAt,
+        workshop,
+      };
+    } else if (seatsTaken < capacity) {
+      t.update(wRef, { seatsTaken: seatsTaken + 1 });
+      t.set(regRef, Object.assign(base, { status: "confirmed" }));
+      reservation = { ref: regRef, status: "confirmed", workshop };
+    } else {
+      const waitlistSeq = (Number(workshop.waitlistSeq) || 0) + 1;
+      const waitlistPosition = (Number(workshop.waitlistCount) || 0) + 1;
+      t.update(wRef, { waitlistSeq, waitlistCount: waitlistPosition });
+      t.set(
+        regRef,
+        Object.assign(base, { status: "waitlisted", waitlistSeq })
+      );
+      reservation = {
+        ref: regRef,
+        status: "waitlisted",
+        waitlistPosition,
+        workshop,
+      };
+    }
+    if (onReserve) onReserve(t, reservation);
+    return reservation;
+  });
+}
+
+// Cancels a registration and, if it held a seat, hands the seat to the first
+// person on the waitlist. Returns { registration, workshop, promoted } where
+// `promoted` is { ref, data } or null, or { error, code }.
+// `onPromote(t, promoted, workshop)` runs inside the transaction when someone
+// is promoted.
+export async function cancelRegistration(
+  db,
+  registrationId,
+  email,
+  { onPromote } = {}
+) {
+  const repo = createRepository(db);
+  const regRef = repo.registrations.ref(registrationId);
+  return db.runTransaction(async (t) => {
+    const regSnap = await t.get(regRef);
+    if (!regSnap.exists) return { error: "registration not found", code: 404 };
+    const registration = regSnap.data();
+    if (email && normalizeEmail(registration.email) !== normalizeEmail(email))
+      return { error: "registration not found", code: 404 };
+    if (registration.status === "cancelled")
+      return { error: "already cancelled", code: 409 };
+
+    const wRef = registration.workshopId
+      ? workshopRef(db, registration.workshopId)
+      : null;
+    const wSnap = wRef ? await t.get(wRef) : null;
+    const workshop = wSnap && wSnap.exists ? wSnap.data() : null;
+
+    let promoted = null;
+    if (holdsSeat(registration) && workshop) {
+      const next = await t.get(
+        repo.registrations.waitlistQuery(registration.workshopId).limit(1)
+      );
+      if (!next.empty) {
+        promoted = { ref: next.docs[0].ref, data: next.docs[0].data() };
+        t.update(promoted.ref, {
+          status: "confirmed",
+          promotedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        t.update(wRef, {
+          waitlistCount: Math.max(0, (Number(workshop.waitlistCount) || 0) - 1),
+        });
+        if (onPromote) onPromote(t, promoted, workshop);
+      } else {
+        t.update(wRef, {
+          seatsTaken: Math.max(0, (Number(workshop.seatsTaken) || 0) - 1),
+        });
+      }
+    } else if (registration.status === "waitlisted" && workshop) {
+      t.update(wRef, {
+        waitlistCount: Math.max(0, (Number(workshop.waitlistCount) || 0) - 1),
+      });
+    }
+
+    t.update(regRef, {
+      status: "cancelled",
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { registration, workshop, promoted };
+  });
+}
+
+// Release the seat held by an unpaid registration whose hold ran out: the
+// registration becomes "expired". Returns the registration, or null if it
+// no longer holds an unpaid seat (paid, cancelled or released already). A
+// registration whose payment went through meanwhile is left for its
+// fulfillment to confirm.
+export async function releaseHold(db, registrationId) {
+  const repo = createRepository(db);
+  const regRef = repo.registrations.ref(registrationId);
+  return db.runTransaction(async (t) => {
+    const regSnap = await t.get(regRef);
+    if (!regSnap.exists) return null;
+    const registration = regSnap.data();
+    if (registration.status !== "pending_payment") return null;
+    const wRef = workshopRef(db, registration.workshopId);
+    const wSnap = await t.get(wRef);
+    const paySnap = registration.paymentId
+      ? await t.get(repo.payments.ref(registration.paymentId))
+      : null;
+    if (paySnap && paySnap.exists && isSuccess(paySnap.data().status))
+      return null;
+
+    if (wSnap.exists)
+      t.update(wRef, {
+        seatsTaken: Math.max(0, (Number(wSnap.data().seatsTaken) || 0) - 1),
+      });
+    t.update(regRef, {
+      status: "expired",
+      releasedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return registration;
+  });
+}
+
+// Confirm a paid registration inside transaction `t`, with `registration`
+// and `workshop` already read in it. A registration whose hold expired
+// before the payment arrived takes a seat again even if that overbooks the
+// workshop, since the registrant has paid. Cancelled registrations are not
+// confirmed; their payment is refunded instead (lib/fulfillment.js).
+// Returns { overbooked }.
+export function confirmPaidRegistration(
+  t,
+  db,
+  { registrationId, registration, workshop, paymentId }
+) {
+  let overbooked = false;
+  if (!holdsSeat(registration) && workshop) {
+    const seatsTaken = Number(workshop.seatsTaken) || 0;
+    const capacity = capacityOf(workshop);
+    overbooked = capacity !== null && seatsTaken >= capacity;
+    t.update(workshopRef(db, registration.workshopId), {
+      seatsTaken: seatsTaken + 1,
+    });
+  }
+  t.update(registrationRef(db, registrationId), {
+    status: "confirmed",
+    paymentId,
+    paidAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { overbooked };
+}
+
+// Cancel a paid registration whose payment was refunded, inside transaction
+// `t` with `registration` and `workshop` already read in it, freeing its
+// seat. Paid workshops have no waitlist to promote from. Returns
+// { released } (whether a seat was freed).
+export function cancelPaidRegistration(
+  t,
+  db,
+  { registrationId, registration, workshop }
+) {
+  const released = holdsSeat(registration) && !!workshop;
+  if (released)
+    t.update(workshopRef(db, registration.workshopId), {
+      seatsTaken: Math.max(0, (Number(workshop.seatsTaken) || 0) - 1),
+    });
+  if (registration.status !== "cancelled")
+    t.update(registrationRef(db, registrationId), {
+      status: "cancelled",
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+      refundedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  return { released };
+}
+
+// Apps Script payload for a registration email. Confirmations use the
+// default template; waitlisted registrants get the "waitlist" variant.
+export function registrationEmailPayload(registration, workshop, extra = {}) {
+  const title =
+    (workshop && workshop.title) || registration.program_title || "";
+  const payload = {
+    name: registration.name || "",
+    email: registration.email || "",
+    phone: registration.phone || "",
+    age: registration.age || "",
+    governorate: registration.governorate || "",
+    program_id: registration.workshopId || "",
+    program_title: title,
+    program_name: title,
+    group_link:
+      (workshop && workshop.group_link) || registration.group_link || "",
+  };
+  if (extra.waitlistPosition) {
+    payload.template = "waitlist";
+    payload.waitlist_position = extra.waitlistPosition;
+    // the group link is only for confirmed attendees
+    payload.group_link = "";
+  }
+  return payload;
+}
@@ -0,0 +1,354 @@
+import test, { before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { buildSignaturePayload } from "../lib/kashierWebhook.js";
+
+// End-to-end flows against the backend running on the in-memory store
+// (STORAGE_BACKEND=memory), with no Google credentials and no Kashier:
+// payments are settled through signed webhooks.
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+const BASE = `http://127.0.0.1:${PORT}`;
+const ADMIN_TOKEN = "test-admin-token";
+const WEBHOOK_SECRET = "test-webhook-secret";
+
+const SEED = {
+  packages: {
+    friends: {
+      title: "Friends bundle",
+      price: 500,
+      ticketsPerPurchase: 3,
+      maxQuantity: 20,
+    },
+  },
+  payments: {
+    p1: {
+      sessionId: "s1",
+      merchantOrderId: "o1",
+      status: "CREATED",
+      amount: "500",
+      currency: "EGP",
+      packageId: "friends",
+      quantity: 1,
+      fulfilledAt: null,
+      user: { name: "Buyer", email: "buyer@example.com" },
+    },
+  },
+  workshops: {
+    w1: { title: "Public speaking", capacity: 1, active: true },
+  },
+};
+
+let server;
+let dir;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "backend-test-"));
+  const seed = path.join(dir, "seed.json");
+  fs.writeFileSync(seed, JSON.stringify(SEED));
+  server = spawn(process.execPath, ["index.js"], {
+    cwd: ROOT,
+    env: Object.assign({}, process.env, {
+      STORAGE_BACKEND: "memory",
+      STORAGE_SEED: seed,
+      PORT: String(PORT),
+      EMAIL_PROVIDER: "log",
+      ADMIN_TOKEN,
+      KASHIER_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      STAFF_JWT_SECRET: "test-jwt-secret",
+      TICKET_SIGNING_KEYS: "k1:test-ticket-key",
+      // no background jobs while the tests run
+      OUTBOX_POLL_MS: "3600000",
+      RECONCILE_INTERVAL_MINUTES: "0",
+    }),
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`server did not start:\n${output}`)),
+      10000
+    );
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Backend listening")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    server.stdout.on("data", onData);
+    server.stderr.on("data", onData);
+    server.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+});
+
+after(() => {
+  if (server) server.kill();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function call(method, url, { body, token } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const resp = await fetch(BASE + url, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const type = resp.headers.get("content-type") || "";
+  return {
+    status: resp.status,
+    body: type.includes("json") ? await resp.json() : await resp.text(),
+  };
+}
+
+function signedWebhook(data) {
+  const signed = Object.assign({}, data, {
+    signatureKeys: Object.keys(data),
+  });
+  const signature = crypto
+    .createHmac("sha256", WEBHOOK_SECRET)
+    .update(buildSignaturePayload(signed))
+    .digest("hex");
+  return fetch(BASE + "/api/payment/webhook", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-kashier-signature": signature,
+    },
+    body: JSON.stringify({ event: "pay", data: signed }),
+  });
+}
+
+test("workshop registration, waitlist and promotion", async () => {
+  const first = await call("POST", "/api/register", {
+    body: { workshopId: "w1", name: "Ada", email: "ada@example.com" },
+  });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.status, "confirmed");
+
+  const second = await call("POST", "/api/register", {
+    body: { workshopId: "w1", name: "Bob", email: "bob@example.com" },
+  });
+  assert.equal(second.body.status, "waitlisted");
+
+  const again = await call("POST", "/api/register", {
+    body: { workshopId: "w1", name: "Ada", email: "ada@example.com" },
+  });
+  assert.equal(again.body.registrationId, first.body.registrationId);
+
+  const cancelled = await call("POST", "/api/register/cancel", {
+    body: {
+      registrationId: first.body.registrationId,
+      email: "ada@example.com",
+    },
+  });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.promoted, second.body.registrationId);
+});
+
+test("a signed webhook settles the payment and issues tickets once", async () => {
+  const data = {
+    merchantOrderId: "o1",
+    kashierOrderId: "k1",
+    transactionId: "t1",
+    status: "SUCCESS",
+    amount: "500",
+    currency: "EGP",
+    creationDate: new Date().toISOString(),
+  };
+  assert.equal((await signedWebhook(data)).status, 200);
+  assert.equal((await signedWebhook(data)).status, 409);
+
+  const status = await call("GET", "/api/payment/status?merchantOrderId=o1");
+  assert.equal(status.body.status, "PAID");
+  assert.equal(status.body.payment.fulfilledBy, "webhook");
+  const codes = status.body.payment.ticketCodes;
+  assert.equal(codes.length, 3);
+
+  const scan = { code: codes[0] };
+  const admitted = await call("POST", "/api/ticket/check", {
+    body: scan,
+    token: ADMIN_TOKEN,
+  });
+  assert.equal(admitted.body.ok, true);
+  const rescanned = await call("POST", "/api/ticket/check", {
+    body: scan,
+    token: ADMIN_TOKEN,
+  });
+  assert.equal(rescanned.body.ok, false);
+
+  const timeline = await call("GET", "/api/admin/payments/p1/timeline", {
+    token: ADMIN_TOKEN,
+  });
+  const types = timeline.body.events.map((e) => e.type);
+  assert.ok(types.includes("webhook.received"));
+  assert.ok(types.includes("fulfilled"));
+  assert.ok(types.includes("scanned"));
+});
+
+test("a webhook with a bad signature is refused", async () => {
+  const resp = await fetch(BASE + "/api/payment/webhook", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-kashier-signature": "0".repeat(64),
+    },
+    body: JSON.stringify({
+      data: { merchantOrderId: "o1", status: "SUCCESS", signatureKeys: [] },
+    }),
+  });
+  assert.equal(resp.status, 401);
+});
+
+test("staff accounts can be created and sign in", async () => {
+  const created = await call("POST", "/api/admin/staff", {
+    body: {
+      email: "Scan@Example.com",
+      name: "Door",
+      role: "scanner",
+      password: "correct horse",
+    },
+    token: ADMIN_TOKEN,
+  });
+  assert.equal(created.status, 200);
+
+  const wrong = await call("POST", "/api/auth/login", {
+    body: { email: "scan@example.com", password: "wrong password" },
+  });
+  assert.equal(wrong.status, 401);
+  const login = await call("POST", "/api/auth/login", {
+    body: { email: "scan@example.com", password: "correct horse" },
+  });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.staff.role, "scanner");
+
+  const forbidden = await call("GET", "/api/admin/payments", {
+    token: login.body.token,
+  });
+  assert.equal(forbidden.status, 403);
+
+  // deactivating the account revokes its JWT straight away
+  await call("POST", "/api/admin/staff", {
+    body: { email: "scan@example.com", role: "scanner", active: false },
+    token: ADMIN_TOKEN,
+  });
+  const revoked = await call("GET", "/api/ticket/check?code=x", {
+    token: login.body.token,
+  });
+  assert.equal(revoked.status, 401);
+});
+
+test("fulfilling by hand needs a support role", async () => {
+  const anonymous = await call("POST", "/api/payment/fulfill", {
+    body: { merchantOrderId: "o1" },
+  });
+  assert.equal(anonymous.status, 401);
+
+  const fulfilled = await call("POST", "/api/payment/fulfill", {
+    body: { merchantOrderId: "o1" },
+    token: ADMIN_TOKEN,
+  });
+  assert.equal(fulfilled.status, 200);
+  assert.equal(fulfilled.body.message, "receipt already sent");
+
+  const missing = await call("POST", "/api/payment/fulfill", {
+    body: { merchantOrderId: "nope" },
+    token: ADMIN_TOKEN,
+  });
+  assert.equal(missing.status, 404);
+});
+
+test("admin listings, outbox and reconciliation reports", async () => {
+  const registrations = await call(
+    "GET",
+    "/api/admin/registrations?workshop=w1&sort=createdAt",
+    { token: ADMIN_TOKEN }
+  );
+  assert.equal(registrations.status, 200);
+  assert.deepEqual(
+    registrations.body.rows.map((r) => r.email),
+    ["ada@example.com", "bob@example.com"]
+  );
+
+  // the receipt queued by the webhook, in whatever state delivery got to
+  const jobs = [];
+  for (const state of ["pending", "sending", "sent", "retry", "dead"]) {
+    const outbox = await call("GET", `/api/admin/outbox?state=${state}`, {
+      token: ADMIN_TOKEN,
+    });
+    jobs.push(...outbox.body.jobs);
+  }
+  assert.ok(
+    jobs.some((j) => j.kind === "receipt" && j.target.id === "p1"),
+    JSON.stringify(jobs)
+  );
+
+  const run = await call("POST", "/api/admin/reconcile", {
+    token: ADMIN_TOKEN,
+  });
+  assert.equal(run.status, 200);
+  const reports = await call("GET", "/api/admin/reconcile/reports", {
+    token: ADMIN_TOKEN,
+  });
+  assert.equal(reports.body.reports.length, 1);
+});
+
+test("admin routes validate their query and parameters", async () => {
+  const badDate = await call("GET", "/api/admin/payments?from=yesterday", {
+    token: ADMIN_TOKEN,
+  });
+  assert.equal(badDate.status, 400);
+  assert.equal(badDate.body.fields.from, "must be an ISO date");
+
+  const badFormat = await call(
+    "GET",
+    "/api/admin/registrations/export?format=pdf",
+    { token: ADMIN_TOKEN }
+  );
+  assert.equal(badFormat.status, 400);
+
+  const csv = await call("GET", "/api/admin/registrations/export?workshop=w1", {
+    token: ADMIN_TOKEN,
+  });
+  assert.equal(csv.status, 200);
+  assert.match(csv.body, /ada@example\.com/);
+
+  const unknown = await call("GET", "/api/admin/emails/nope/preview", {
+    token: ADMIN_TOKEN,
+  });
+  assert.equal(unknown.status, 400);
+  assert.ok(unknown.body.fields.template);
+
+  const preview = await call(
+    "GET",
+    "/api/admin/emails/cancellation/preview?format=text&data=" +
+      encodeURIComponent(JSON.stringify({ name: "Preview Person" })),
+    { token: ADMIN_TOKEN }
+  );
+  assert.equal(preview.status, 200);
+  assert.match(preview.body, /Preview Person/);
+});
+
+test("quantity is limited by the package, not a global cap", async () => {
+  const within = await call("POST", "/api/promo/preview", {
+    body: { packageId: "friends", quantity: 15, promoCode: "NONE" },
+  });
+  assert.notEqual(within.body.error, "invalid request");
+  assert.doesNotMatch(within.body.error, /quantity/);
+
+  const over = await call("POST", "/api/promo/preview", {
+    body: { packageId: "friends", quantity: 21, promoCode: "NONE" },
+  });
+  assert.equal(over.status, 400);
+  assert.equal(over.body.error, "invalid quantity (1-20)");
+});
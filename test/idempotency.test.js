@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { createMemoryDb } from "../lib/store/memory.js";
+import { idempotency } from "../lib/idempotency.js";
+
+function request(key, body) {
+  return { body, get: (name) => (name === "Idempotency-Key" ? key : null) };
+}
+
+function response() {
+  const res = new EventEmitter();
+  return Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    get(name) {
+      return this.headers[name];
+    },
+    type(value) {
+      return this.set("Content-Type", value);
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send(chunk) {
+      this.body = chunk;
+      return this;
+    },
+    json(value) {
+      this.set("Content-Type", "application/json");
+      return this.send(JSON.stringify(value));
+    },
+  });
+}
+
+// Run the middleware; resolves to the response, and to whether the handler
+// was reached as `ran`
+async function call(middleware, key, body) {
+  const res = response();
+  let ran = false;
+  await middleware(request(key, body), res, () => {
+    ran = true;
+  });
+  return Object.assign(res, { ran });
+}
+
+// Finish a request that reached the handler, and let its response be stored
+async function finish(res, status, value) {
+  res.status(status).json(value);
+  res.emit("finish");
+  await new Promise((resolve) => setTimeout(resolve, 10));
+}
+
+test("a completed request is replayed", async () => {
+  const middleware = idempotency(createMemoryDb(), "test");
+  const first = await call(middleware, "k1", { a: 1 });
+  assert.equal(first.ran, true);
+  await finish(first, 201, { id: "r1" });
+
+  const again = await call(middleware, "k1", { a: 1 });
+  assert.equal(again.ran, false);
+  assert.equal(again.statusCode, 201);
+  assert.equal(again.body, JSON.stringify({ id: "r1" }));
+  assert.equal(again.headers["Idempotent-Replayed"], "true");
+
+  const other = await call(middleware, "k1", { a: 2 });
+  assert.equal(other.statusCode, 422);
+});
+
+test("a key held past its lease can be taken over", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 1_000_000 });
+  const middleware = idempotency(createMemoryDb(), "test");
+  const crashed = await call(middleware, "k1", { a: 1 });
+  assert.equal(crashed.ran, true);
+
+  t.mock.timers.tick(60 * 1000);
+  const early = await call(middleware, "k1", { a: 1 });
+  assert.equal(early.ran, false);
+  assert.equal(early.statusCode, 409);
+
+  t.mock.timers.tick(61 * 1000);
+  const retry = await call(middleware, "k1", { a: 1 });
+  assert.equal(retry.ran, true);
+  const blocked = await call(middleware, "k1", { a: 1 });
+  assert.equal(blocked.statusCode, 409);
+
+  // the request that lost the key finishes late; the retry's response wins
+  t.mock.timers.reset();
+  await finish(crashed, 500, { error: "late" });
+  await finish(retry, 201, { id: "r2" });
+  const replay = await call(middleware, "k1", { a: 1 });
+  assert.equal(replay.statusCode, 201);
+  assert.equal(replay.body, JSON.stringify({ id: "r2" }));
+});
+
+test("a 5xx frees the key for a retry", async () => {
+  const middleware = idempotency(createMemoryDb(), "test");
+  const first = await call(middleware, "k1", { a: 1 });
+  await finish(first, 502, { error: "Kashier down" });
+  const retry = await call(middleware, "k1", { a: 1 });
+  assert.equal(retry.ran, true);
+});
@@ -0,0 +1,136 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import admin from "firebase-admin";
+import { createMemoryDb } from "../lib/store/memory.js";
+
+const { FieldValue, Timestamp } = admin.firestore;
+
+async function read(db, path, id) {
+  return (await db.collection(path).doc(id).get()).data();
+}
+
+test("a batch that fails partway writes nothing", async () => {
+  const db = createMemoryDb({ things: { a: { n: 1 } } });
+  const batch = db.batch();
+  batch.update(db.collection("things").doc("a"), { n: 2 });
+  batch.set(db.collection("things").doc("b"), { n: 1 });
+  batch.update(db.collection("things").doc("missing"), { n: 1 });
+  await assert.rejects(batch.commit(), { code: 5 });
+  assert.deepEqual(await read(db, "things", "a"), { n: 1 });
+  assert.equal(await read(db, "things", "b"), undefined);
+});
+
+test("a transaction that fails writes nothing", async () => {
+  const db = createMemoryDb({ things: { a: { n: 1 } } });
+  const ref = db.collection("things").doc("a");
+  await assert.rejects(
+    db.runTransaction(async (t) => {
+      await t.get(ref);
+      t.update(ref, { n: 2 });
+      t.create(ref, { n: 3 });
+    }),
+    { code: 6 }
+  );
+  assert.deepEqual(await read(db, "things", "a"), { n: 1 });
+
+  await assert.rejects(
+    db.runTransaction(async (t) => {
+      t.update(ref, { n: 2 });
+      throw new Error("boom");
+    }),
+    /boom/
+  );
+  assert.deepEqual(await read(db, "things", "a"), { n: 1 });
+});
+
+test("writes to one document in a batch apply in order", async () => {
+  const db = createMemoryDb();
+  const ref = db.collection("things").doc("a");
+  const batch = db.batch();
+  batch.set(ref, { n: 1, tags: ["x"] });
+  batch.update(ref, { n: FieldValue.increment(2) });
+  batch.update(ref, { tags: FieldValue.arrayUnion("y"), "nested.k": true });
+  await batch.commit();
+  assert.deepEqual(await read(db, "things", "a"), {
+    n: 3,
+    tags: ["x", "y"],
+    nested: { k: true },
+  });
+});
+
+test("nested transactions don't deadlock", async () => {
+  const db = createMemoryDb({ things: { a: { n: 1 }, b: { n: 1 } } });
+  const a = db.collection("things").doc("a");
+  const b = db.collection("things").doc("b");
+  const result = await db.runTransaction(async (t) => {
+    const snap = await t.get(a);
+    await db.runTransaction(async (inner) => {
+      const s = await inner.get(b);
+      inner.update(b, { n: s.data().n + 1 });
+    });
+    t.update(a, { n: snap.data().n + 1 });
+    return "done";
+  });
+  assert.equal(result, "done");
+  assert.equal((await read(db, "things", "a")).n, 2);
+  assert.equal((await read(db, "things", "b")).n, 2);
+});
+
+test("concurrent transactions on one document both apply", async () => {
+  const db = createMemoryDb({ things: { a: { n: 0 } } });
+  const ref = db.collection("things").doc("a");
+  let attempts = 0;
+  const increment = () =>
+    db.runTransaction(async (t) => {
+      attempts++;
+      const snap = await t.get(ref);
+      // let the other transaction read the same version
+      await new Promise((resolve) => setImmediate(resolve));
+      t.update(ref, { n: snap.data().n + 1 });
+    });
+  await Promise.all([increment(), increment()]);
+  assert.equal((await read(db, "things", "a")).n, 2);
+  assert.equal(attempts, 3);
+});
+
+test("a transaction whose reads keep changing gives up", async () => {
+  const db = createMemoryDb({ things: { a: { n: 0 } } });
+  const ref = db.collection("things").doc("a");
+  await assert.rejects(
+    db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      await ref.update({ n: snap.data().n + 1 });
+      t.update(ref, { touched: true });
+    }),
+    { code: 10 }
+  );
+  assert.deepEqual(await read(db, "things", "a"), { n: 5 });
+});
+
+test("queries filter, order and page like Firestore", async () => {
+  const db = createMemoryDb({
+    payments: {
+      p1: { status: "PAID", createdAt: new Date("2026-01-01") },
+      p2: { status: "PAID", createdAt: new Date("2026-01-03") },
+      p3: { status: "FAILED", createdAt: new Date("2026-01-02") },
+      p4: { status: "PAID" },
+      p5: { status: "PAID", fulfilledAt: null, createdAt: new Date() },
+    },
+  });
+  const paid = db
+    .collection("payments")
+    .where("status", "==", "PAID")
+    .orderBy("createdAt", "desc");
+  const first = await paid.limit(1).get();
+  assert.deepEqual(first.docs.map((d) => d.id), ["p5"]);
+  const rest = await paid.startAfter(first.docs[0]).get();
+  assert.deepEqual(rest.docs.map((d) => d.id), ["p2", "p1"]);
+  assert.ok(rest.docs[0].data().createdAt instanceof Timestamp);
+
+  // missing fields don't match == null
+  const unfulfilled = await db
+    .collection("payments")
+    .where("fulfilledAt", "==", null)
+    .get();
+  assert.deepEqual(unfulfilled.docs.map((d) => d.id), ["p5"]);
+});
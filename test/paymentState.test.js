@@ -0,0 +1,118 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryDb } from "../lib/store/memory.js";
+import { systemContext, auditTrail } from "../lib/audit.js";
+import {
+  canTransition,
+  applyPaymentStatus,
+  isSuccess,
+  isSettled,
+} from "../lib/paymentState.js";
+
+// [from, to, allowed]
+const TABLE = [
+  // open sessions
+  [null, "PENDING", true],
+  ["CREATED", "PAID", true],
+  ["PENDING", "FAILED", true],
+  ["PENDING", "EXPIRED", true],
+  ["PENDING", "CREATED", false],
+  ["PENDING", "REFUNDED", false],
+  // a failed attempt can be retried; a late payment still counts
+  ["FAILED", "PENDING", true],
+  ["FAILED", "PAID", true],
+  ["CANCELLED", "PAID", true],
+  ["EXPIRED", "PAID", true],
+  ["EXPIRED", "PENDING", false],
+  ["CANCELLED", "FAILED", false],
+  // card authorizations
+  ["AUTHORIZED", "CAPTURED", true],
+  ["AUTHORIZED", "VOIDED", true],
+  ["CAPTURED", "PAID", true],
+  ["CAPTURED", "AUTHORIZED", false],
+  // paid payments never go back
+  ["PAID", "PENDING", false],
+  ["PAID", "FAILED", false],
+  ["PAID", "EXPIRED", false],
+  ["PAID", "PARTIALLY_REFUNDED", true],
+  ["PAID", "REFUNDED", true],
+  ["PARTIALLY_REFUNDED", "REFUNDED", true],
+  ["PARTIALLY_REFUNDED", "PAID", false],
+  // final states
+  ["REFUNDED", "PAID", false],
+  ["REFUNDED", "PARTIALLY_REFUNDED", false],
+  ["VOIDED", "PAID", false],
+  ["VOIDED", "AUTHORIZED", false],
+  // the same status again, e.g. a repeated webhook
+  ["PAID", "PAID", true],
+  ["REFUNDED", "REFUNDED", true],
+  ["FAILED", "FAILED", true],
+  // case doesn't matter; unknown statuses
+  ["pending", "paid", true],
+  ["SOMETHING_OLD", "PAID", true],
+  ["SOMETHING_OLD", "CREATED", false],
+  ["PENDING", "SOMETHING_NEW", false],
+];
+
+test("transitions", () => {
+  for (const [from, to, allowed] of TABLE)
+    assert.equal(canTransition(from, to), allowed, `${from} -> ${to}`);
+});
+
+test("success and settled states", () => {
+  assert.ok(isSuccess("paid") && isSuccess("AUTHORIZED"));
+  assert.ok(!isSuccess("REFUNDED") && !isSuccess(undefined));
+  assert.ok(isSettled("REFUNDED") && isSettled("VOIDED"));
+  assert.ok(!isSettled("FAILED") && !isSettled("PENDING"));
+});
+
+test("applied and refused changes are audited", async () => {
+  const db = createMemoryDb({ payments: { p1: { status: "PENDING" } } });
+  const ref = db.collection("payments").doc("p1");
+  const context = systemContext("test");
+
+  const paid = await applyPaymentStatus(
+    db,
+    ref,
+    { status: "PAID" },
+    "verified",
+    context
+  );
+  assert.deepEqual(paid, { applied: true, from: "PENDING", to: "PAID" });
+
+  // the same webhook again refreshes the payment but changes no status
+  const repeat = await applyPaymentStatus(
+    db,
+    ref,
+    { status: "PAID", verification: { again: true } },
+    "verified",
+    context
+  );
+  assert.equal(repeat.applied, true);
+
+  const late = await applyPaymentStatus(
+    db,
+    ref,
+    { status: "FAILED" },
+    "verified",
+    context
+  );
+  assert.deepEqual(late, { applied: false, from: "PAID", to: "FAILED" });
+
+  const stored = (await ref.get()).data();
+  assert.equal(stored.status, "PAID");
+  assert.deepEqual(stored.verification, { again: true });
+
+  // entries written within the same millisecond may list in any order
+  const trail = await auditTrail(ref);
+  const verified = trail.filter((e) => e.type === "verified");
+  assert.equal(verified.length, 2);
+  // only the first one moved the status
+  assert.deepEqual(
+    verified.map((e) => e.after).filter(Boolean),
+    [{ status: "PAID" }]
+  );
+  const rejected = trail.filter((e) => e.type === "transition.rejected");
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].details.attempted, "FAILED");
+});
@@ -0,0 +1,208 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryDb } from "../lib/store/memory.js";
+import {
+  discountFor,
+  applyPromo,
+  reservePromo,
+  preparePromoRedemption,
+  preparePromoRelease,
+  releasePromoReservation,
+} from "../lib/promos.js";
+
+const pkg = { id: "standard" };
+const DAY = 24 * 60 * 60 * 1000;
+
+async function uses(db, code) {
+  return (await db.collection("promo_codes").doc(code).get()).data().uses;
+}
+
+async function emailUses(db, code) {
+  const { docs } = await db
+    .collection("promo_codes")
+    .doc(code)
+    .collection("redemptions")
+    .get();
+  return docs.map((d) => d.data().uses);
+}
+
+// A payment of `email` holding a reserved use of `code`
+async function reservedPayment(db, id, code, email) {
+  const { reservedAt } = await reservePromo(db, code, email);
+  const ref = db.collection("payments").doc(id);
+  await ref.set({
+    status: "PENDING",
+    customerEmail: email,
+    promo: { code, type: "percent", value: 10, discount: 10, reservedAt },
+  });
+  return ref;
+}
+
+test("percent and fixed discounts, rounded and capped at the price", () => {
+  const percent = { type: "percent", value: 15 };
+  const fixed = { type: "fixed", value: 40 };
+  assert.equal(discountFor(percent, 200), 30);
+  assert.equal(discountFor(percent, 33.33), 5);
+  assert.equal(discountFor({ type: "percent", value: 12.5 }, 0.99), 0.12);
+  assert.equal(discountFor(fixed, 200), 40);
+  assert.equal(discountFor(fixed, 25), 25);
+  assert.equal(discountFor({ type: "percent", value: 150 }, 80), 80);
+  assert.equal(discountFor({ type: "fixed", value: -5 }, 80), 0);
+});
+
+test("codes are checked for dates, packages and caps", async () => {
+  const now = Date.now();
+  const db = createMemoryDb({
+    promo_codes: {
+      OLD: { type: "percent", value: 10, validUntil: new Date(now - DAY) },
+      SOON: { type: "percent", value: 10, validFrom: new Date(now + DAY) },
+      VIP: { type: "fixed", value: 20, packages: ["vip"] },
+      GONE: { type: "percent", value: 10, maxUses: 2, uses: 2 },
+      ONCE: { type: "percent", value: 10, maxUsesPerEmail: 1 },
+      ALL: { type: "fixed", value: 500 },
+      OFF: { type: "percent", value: 10, active: false },
+    },
+  });
+  const quote = (code, email) =>
+    applyPromo(db, code, { pkg, subtotal: 200, email });
+
+  assert.equal((await quote("old")).error, "promo code expired");
+  assert.equal((await quote("SOON")).error, "promo code not valid yet");
+  assert.equal(
+    (await quote("VIP")).error,
+    "promo code does not apply to this package"
+  );
+  assert.equal((await quote("GONE")).error, "promo code fully redeemed");
+  assert.equal((await quote("OFF")).error, "invalid promo code");
+  assert.equal((await quote("NOPE")).error, "invalid promo code");
+  assert.match((await quote("ALL")).error, /full price/);
+  assert.match((await quote("ONCE")).error, /email is required/);
+
+  const ok = await quote(" once ", "ada@example.com");
+  assert.equal(ok.discount, 20);
+  assert.equal(ok.amount, 180);
+  await reservePromo(db, "ONCE", "ada@example.com");
+  assert.equal(
+    (await quote("ONCE", "ada@example.com")).error,
+    "promo code already used"
+  );
+  assert.equal((await quote("ONCE", "bob@example.com")).amount, 180);
+});
+
+test("the last use of a code goes to one buyer", async () => {
+  const db = createMemoryDb({
+    promo_codes: { LAST: { type: "percent", value: 10, maxUses: 3, uses: 2 } },
+  });
+  const results = await Promise.all([
+    reservePromo(db, "LAST", "ada@example.com"),
+    reservePromo(db, "LAST", "bob@example.com"),
+  ]);
+  assert.equal(results.filter((r) => r.reservedAt).length, 1);
+  assert.deepEqual(
+    results.filter((r) => r.error).map((r) => r.error),
+    ["promo code fully redeemed"]
+  );
+  assert.equal(await uses(db, "LAST"), 3);
+});
+
+test("a buyer can't reserve past the per-email cap", async () => {
+  const db = createMemoryDb({
+    promo_codes: { TWICE: { type: "fixed", value: 5, maxUsesPerEmail: 2 } },
+  });
+  const email = "ada@example.com";
+  assert.ok((await reservePromo(db, "TWICE", email)).reservedAt);
+  assert.ok((await reservePromo(db, "TWICE", email)).reservedAt);
+  assert.equal(
+    (await reservePromo(db, "TWICE", email)).error,
+    "promo code already used"
+  );
+  assert.deepEqual(await emailUses(db, "TWICE"), [2]);
+});
+
+test("redeeming a reserved use doesn't count it twice", async () => {
+  const db = createMemoryDb({
+    promo_codes: { TEN: { type: "percent", value: 10, maxUses: 1 } },
+  });
+  const ref = await reservedPayment(db, "p1", "TEN", "ada@example.com");
+  await db.runTransaction(async (t) => {
+    const redeem = await preparePromoRedemption(
+      db,
+      t,
+      (await t.get(ref)).data()
+    );
+    t.update(ref, redeem(ref.id));
+  });
+  const { promo } = (await ref.get()).data();
+  assert.ok(promo.redeemedAt);
+  assert.equal(promo.overCap, false);
+  assert.equal(await uses(db, "TEN"), 1);
+  assert.deepEqual(await emailUses(db, "TEN"), [1]);
+});
+
+test("an expired session gives its use back, once", async () => {
+  const db = createMemoryDb({
+    promo_codes: { TEN: { type: "percent", value: 10, maxUses: 1 } },
+  });
+  const ref = await reservedPayment(db, "p1", "TEN", "ada@example.com");
+  assert.equal(await releasePromoReservation(db, ref, "PENDING"), false);
+  assert.equal(await uses(db, "TEN"), 1);
+
+  await ref.update({ status: "EXPIRED" });
+  assert.equal(await releasePromoReservation(db, ref, "EXPIRED"), true);
+  assert.equal(await releasePromoReservation(db, ref, "EXPIRED"), false);
+  assert.equal(await uses(db, "TEN"), 0);
+  assert.deepEqual(await emailUses(db, "TEN"), [0]);
+  assert.ok((await ref.get()).data().promo.releasedAt);
+  assert.ok((await reservePromo(db, "TEN", "bob@example.com")).reservedAt);
+});
+
+test("a session paid after expiring is counted again", async () => {
+  const db = createMemoryDb({
+    promo_codes: { TEN: { type: "percent", value: 10, maxUses: 1 } },
+  });
+  const ref = await reservedPayment(db, "p1", "TEN", "ada@example.com");
+  await ref.update({ status: "EXPIRED" });
+  await releasePromoReservation(db, ref, "EXPIRED");
+  await reservePromo(db, "TEN", "bob@example.com");
+
+  await db.runTransaction(async (t) => {
+    const redeem = await preparePromoRedemption(
+      db,
+      t,
+      (await t.get(ref)).data()
+    );
+    t.update(ref, redeem(ref.id));
+  });
+  const { promo } = (await ref.get()).data();
+  assert.equal(promo.overCap, true);
+  assert.equal(promo.releasedAt, undefined);
+  assert.equal(await uses(db, "TEN"), 2);
+});
+
+test("a full refund gives the redeemed use back", async () => {
+  const db = createMemoryDb({
+    promo_codes: { TEN: { type: "percent", value: 10, maxUsesPerEmail: 1 } },
+  });
+  const email = "ada@example.com";
+  const ref = await reservedPayment(db, "p1", "TEN", email);
+  await db.runTransaction(async (t) => {
+    const redeem = await preparePromoRedemption(
+      db,
+      t,
+      (await t.get(ref)).data()
+    );
+    t.update(ref, Object.assign({ status: "PAID" }, redeem(ref.id)));
+  });
+  await db.runTransaction(async (t) => {
+    const release = await preparePromoRelease(
+      db,
+      t,
+      (await t.get(ref)).data()
+    );
+    t.update(ref, Object.assign({ status: "REFUNDED" }, release(ref.id)));
+  });
+  assert.equal(await uses(db, "TEN"), 0);
+  assert.deepEqual(await emailUses(db, "TEN"), [0]);
+  const quote = await applyPromo(db, "TEN", { pkg, subtotal: 100, email });
+  assert.equal(quote.amount, 90);
+});
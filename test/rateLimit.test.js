@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.RATE_LIMITS = JSON.stringify({
+  paymentStatus: { limits: [{ by: "ip", max: 2, windowSec: 60 }] },
+  register: false,
+});
+const { createMemoryStore, createRateLimiter } = await import(
+  "../lib/rateLimit.js?overrides"
+);
+delete process.env.RATE_LIMITS;
+
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    on() {},
+  };
+}
+
+// Run policy `name` for a request from `ip`: "next" if it was let through,
+// else the response
+async function hit(limit, name, ip) {
+  const res = response();
+  let passed = false;
+  await limit(name)({ ip, params: {}, body: {}, query: {} }, res, () => {
+    passed = true;
+  });
+  return passed ? "next" : res;
+}
+
+test("counts hits per key within a window", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 1_000_000 });
+  const store = createMemoryStore();
+  assert.deepEqual(await store.increment("a", 1000), {
+    count: 1,
+    resetAt: 1_001_000,
+  });
+  t.mock.timers.tick(500);
+  assert.equal((await store.increment("a", 1000)).count, 2);
+  assert.equal((await store.increment("b", 1000)).count, 1);
+  assert.equal((await store.get("a")).count, 2);
+  assert.equal(await store.get("c"), null);
+});
+
+test("a window starts over once it ends", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 1_000_000 });
+  const store = createMemoryStore();
+  await store.increment("a", 1000);
+  await store.increment("a", 1000);
+  t.mock.timers.tick(999);
+  assert.equal((await store.get("a")).count, 2);
+  t.mock.timers.tick(1);
+  assert.equal(await store.get("a"), null);
+  assert.deepEqual(await store.increment("a", 1000), {
+    count: 1,
+    resetAt: 1_002_000,
+  });
+});
+
+test("the limiter answers 429 past the limit, per address", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 1_000_000 });
+  const limit = createRateLimiter(createMemoryStore());
+  assert.equal(await hit(limit, "paymentStatus", "10.0.0.1"), "next");
+  assert.equal(await hit(limit, "paymentStatus", "10.0.0.1"), "next");
+
+  t.mock.timers.tick(15_000);
+  const refused = await hit(limit, "paymentStatus", "10.0.0.1");
+  assert.equal(refused.statusCode, 429);
+  assert.equal(refused.headers["Retry-After"], "45");
+  assert.equal(refused.body.retryAfter, 45);
+  assert.equal(await hit(limit, "paymentStatus", "10.0.0.2"), "next");
+
+  t.mock.timers.tick(45_000);
+  assert.equal(await hit(limit, "paymentStatus", "10.0.0.1"), "next");
+});
+
+test("RATE_LIMITS can turn a policy off", async () => {
+  const limit = createRateLimiter(createMemoryStore());
+  for (let i = 0; i < 30; i++)
+    assert.equal(await hit(limit, "register", "10.0.0.1"), "next");
+  assert.throws(() => limit("nope"), /unknown rate limit policy/);
+});
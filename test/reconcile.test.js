@@ -0,0 +1,78 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryDb } from "../lib/store/memory.js";
+
+process.env.TICKET_SIGNING_KEYS = "k1:test-ticket-key";
+const { runReconciliation } = await import("../lib/reconcile.js");
+
+const HOUR = 60 * 60 * 1000;
+
+// A session created `ageMs` ago whose last attempt failed
+function failedSession(sessionId, ageMs, extra = {}) {
+  const createdAt = new Date(Date.now() - ageMs);
+  return Object.assign(
+    {
+      sessionId,
+      status: "FAILED",
+      amount: "500",
+      currency: "EGP",
+      packageId: "solo",
+      quantity: 1,
+      fulfilledAt: null,
+      user: { name: "Buyer", email: "buyer@example.com" },
+      createdAt,
+      expireAt: new Date(createdAt.getTime() + HOUR),
+    },
+    extra
+  );
+}
+
+function seed() {
+  return createMemoryDb({
+    packages: { solo: { title: "Solo", price: 500 } },
+    promo_codes: { TEN: { type: "percent", value: 10, uses: 1 } },
+    payments: {
+      retried: failedSession("s-retried", 20 * 60 * 1000),
+      retrying: failedSession("s-retrying", 20 * 60 * 1000),
+      lapsed: failedSession("s-lapsed", 2 * HOUR, {
+        promo: { code: "TEN", reservedAt: new Date() },
+      }),
+    },
+  });
+}
+
+const KASHIER = {
+  "s-retried": { status: "PAID" },
+  "s-retrying": { status: "PENDING" },
+  "s-lapsed": { status: "FAILED" },
+};
+
+async function statusOf(db, id) {
+  return (await db.collection("payments").doc(id).get()).data();
+}
+
+test("failed sessions are reconciled until they expire", async () => {
+  const db = seed();
+  const report = await runReconciliation(db, {
+    verify: async (sessionId) => ({ data: KASHIER[sessionId] }),
+  });
+  assert.equal(report.counts.checked, 3);
+  assert.equal(report.counts.errors, 0);
+
+  const retried = await statusOf(db, "retried");
+  assert.equal(retried.status, "PAID");
+  assert.ok(retried.fulfilledAt);
+  assert.equal(retried.ticketCodes.length, 1);
+  assert.equal((await statusOf(db, "retrying")).status, "PENDING");
+  const lapsed = await statusOf(db, "lapsed");
+  assert.equal(lapsed.status, "EXPIRED");
+  assert.ok(lapsed.promo.releasedAt);
+  const promo = await db.collection("promo_codes").doc("TEN").get();
+  assert.equal(promo.data().uses, 0);
+
+  const again = await runReconciliation(db, {
+    verify: async (sessionId) => ({ data: KASHIER[sessionId] }),
+  });
+  assert.equal(again.counts.checked, 1);
+  assert.equal(again.discrepancies.length, 0);
+});
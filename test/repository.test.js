@@ -0,0 +1,75 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryDb } from "../lib/store/memory.js";
+import { createRepository } from "../lib/repository.js";
+
+test("one repository per database", () => {
+  const db = createMemoryDb();
+  assert.equal(createRepository(db), createRepository(db));
+  assert.notEqual(createRepository(db), createRepository(createMemoryDb()));
+});
+
+test("reconciliation lookups", async () => {
+  const db = createMemoryDb({
+    payments: {
+      old: { status: "PENDING", createdAt: new Date("2026-01-01") },
+      paid: {
+        status: "PAID",
+        fulfilledAt: null,
+        createdAt: new Date("2026-01-02"),
+      },
+      done: {
+        status: "PAID",
+        fulfilledAt: new Date("2026-01-02"),
+        createdAt: new Date("2026-01-02"),
+      },
+      fresh: { status: "PENDING", createdAt: new Date("2026-02-01") },
+    },
+    workshop_registrations: {
+      held: { status: "pending_payment", holdExpiresAt: new Date(0) },
+      later: {
+        status: "pending_payment",
+        holdExpiresAt: new Date("2999-01-01"),
+      },
+    },
+  });
+  const repo = createRepository(db);
+  const before = new Date("2026-01-15");
+  const ids = (docs) => docs.map((d) => d.id);
+
+  assert.deepEqual(
+    ids(await repo.payments.listStale(["PENDING"], before, 10)),
+    ["old"]
+  );
+  assert.deepEqual(
+    ids(await repo.payments.listUnfulfilled(["PAID"], before, 10)),
+    ["paid"]
+  );
+  assert.deepEqual(
+    ids(await repo.registrations.listExpiredHolds(new Date(), 10)),
+    ["held"]
+  );
+
+  const report = await repo.reconcileReports.add({ startedAt: new Date() });
+  assert.deepEqual(ids(await repo.reconcileReports.latest(5)), [report.id]);
+});
+
+test("catalog, events and staff lookups", async () => {
+  const db = createMemoryDb({
+    packages: {
+      solo: { eventId: "e1", price: 100 },
+      other: { eventId: "e2", price: 100 },
+    },
+    events: { e1: { title: "Main" } },
+    staff: { s1: { email: "door@example.com", role: "scanner" } },
+  });
+  const repo = createRepository(db);
+  assert.equal((await repo.packages.get("solo")).id, "solo");
+  assert.equal(await repo.packages.get("missing"), null);
+  assert.deepEqual(
+    (await repo.packages.listByEvent("e1")).map((d) => d.id),
+    ["solo"]
+  );
+  assert.equal((await repo.events.list()).length, 1);
+  assert.equal((await repo.staff.findByEmail("door@example.com")).id, "s1");
+});
@@ -0,0 +1,35 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { renderTicketPdf } from "../lib/ticketDocs.js";
+
+function details(name) {
+  return {
+    eventId: "main",
+    eventTitle: "TEDx Cairo",
+    packageTitle: "Standard",
+    timezone: "Africa/Cairo",
+    startsAt: new Date("2026-11-20T09:00:00Z"),
+    location: "Main hall",
+    sessions: [],
+    tickets: [{ code: "T1.k1.abc.def", number: 1, total: 1, name }],
+  };
+}
+
+// Names of the fonts embedded in `pdf`
+function fonts(pdf) {
+  return [...pdf.toString("latin1").matchAll(/\/BaseFont \/(\S+)/g)].map(
+    (m) => m[1].replace(/^[A-Z]{6}\+/, "")
+  );
+}
+
+test("an Arabic name is set in a font that has Arabic glyphs", async () => {
+  const pdf = await renderTicketPdf(details("محمد علي"));
+  assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+  assert.ok(fonts(pdf).includes("NotoNaskhArabic-Bold"), fonts(pdf));
+});
+
+test("Latin-only tickets keep Helvetica and embed no extra font", async () => {
+  const pdf = await renderTicketPdf(details("Ada Lovelace"));
+  assert.ok(fonts(pdf).includes("Helvetica-Bold"), fonts(pdf));
+  assert.ok(!fonts(pdf).some((f) => f.startsWith("NotoNaskhArabic")));
+});
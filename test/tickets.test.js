@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+// lib/tickets.js reads its keys when it loads, so each configuration gets a
+// fresh copy of the module
+let loads = 0;
+async function withKeys(keys, keyId) {
+  process.env.TICKET_SIGNING_KEYS = keys;
+  if (keyId) process.env.TICKET_SIGNING_KEY_ID = keyId;
+  else delete process.env.TICKET_SIGNING_KEY_ID;
+  return import(`../lib/tickets.js?load=${++loads}`);
+}
+
+function swapLast(code) {
+  const last = code.slice(-1);
+  return code.slice(0, -1) + (last === "A" ? "B" : "A");
+}
+
+test("a signed code verifies and carries its claims", async () => {
+  const tickets = await withKeys("k1:first-secret");
+  const code = tickets.issueTicketCode({ eventId: "e1", packageId: "solo" });
+  assert.match(code, /^T1\.k1\.[\w-]+\.[\w-]+$/);
+  const result = tickets.verifyTicketCode(code);
+  assert.equal(result.ok, true);
+  assert.equal(result.eventId, "e1");
+  assert.equal(result.packageId, "solo");
+  assert.equal(result.kid, "k1");
+  const another = tickets.issueTicketCode({ eventId: "e1", packageId: "solo" });
+  assert.notEqual(tickets.verifyTicketCode(another).ticketId, result.ticketId);
+});
+
+test("tampered codes are refused", async () => {
+  const tickets = await withKeys("k1:first-secret");
+  const code = tickets.issueTicketCode({ eventId: "e1", packageId: "solo" });
+  assert.deepEqual(tickets.verifyTicketCode(swapLast(code)), {
+    ok: false,
+    reason: "bad signature",
+  });
+
+  const [version, kid, , sig] = code.split(".");
+  const forged = Buffer.from(
+    JSON.stringify({ t: "x", e: "e1", p: "vip" })
+  ).toString("base64url");
+  assert.equal(
+    tickets.verifyTicketCode([version, kid, forged, sig].join(".")).reason,
+    "bad signature"
+  );
+  assert.equal(tickets.verifyTicketCode("T1.k1.abc").reason, "malformed");
+  assert.equal(tickets.verifyTicketCode("order-123").reason, "malformed");
+});
+
+test("a code signed with a key that isn't configured is refused", async () => {
+  const other = await withKeys("k9:someone-else");
+  const code = other.issueTicketCode({ eventId: "e1" });
+  const tickets = await withKeys("k1:first-secret");
+  assert.deepEqual(tickets.verifyTicketCode(code), {
+    ok: false,
+    reason: "unknown key",
+  });
+});
+
+test("codes signed before a rotation verify with the retired key", async () => {
+  const before = await withKeys("k1:first-secret");
+  const old = before.issueTicketCode({ eventId: "e1" });
+
+  const after = await withKeys("k2:second-secret,k1:first-secret");
+  const fresh = after.issueTicketCode({ eventId: "e1" });
+  assert.equal(after.verifyTicketCode(fresh).kid, "k2");
+  assert.equal(after.verifyTicketCode(old).ok, true);
+  assert.equal(after.verifyTicketCode(old).kid, "k1");
+
+  // TICKET_SIGNING_KEY_ID picks the signing key among the listed ones
+  const pinned = await withKeys("k2:second-secret,k1:first-secret", "k1");
+  assert.equal(pinned.verifyTicketCode(pinned.issueTicketCode({})).kid, "k1");
+
+  // once the retired key is dropped, its codes stop verifying
+  const dropped = await withKeys("k2:second-secret");
+  assert.equal(dropped.verifyTicketCode(old).reason, "unknown key");
+  assert.equal(dropped.verifyTicketCode(fresh).ok, true);
+});
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryDb } from "../lib/store/memory.js";
+import { reserveSeat } from "../lib/workshops.js";
+
+test("a registration behind many cancelled ones is still found", async () => {
+  const old = {};
+  for (let i = 0; i < 6; i++)
+    old[`a${i}`] = {
+      workshopId: "w1",
+      emailNormalized: "ada@example.com",
+      status: i % 2 ? "cancelled" : "expired",
+    };
+  const db = createMemoryDb({
+    workshops: { w1: { title: "Speaking", capacity: 10, seatsTaken: 1 } },
+    workshop_registrations: Object.assign(old, {
+      z: {
+        workshopId: "w1",
+        emailNormalized: "ada@example.com",
+        status: "confirmed",
+      },
+    }),
+  });
+  const again = await reserveSeat(db, "w1", { email: " Ada@Example.com" });
+  assert.equal(again.duplicate, true);
+  assert.equal(again.ref.id, "z");
+  const workshop = (await db.collection("workshops").doc("w1").get()).data();
+  assert.equal(workshop.seatsTaken, 1);
+});
+
+test("a workshop without a capacity has unlimited seats", async () => {
+  const db = createMemoryDb({ workshops: { w1: { title: "Open day" } } });
+  for (const email of ["a@example.com", "b@example.com", "c@example.com"]) {
+    const seat = await reserveSeat(db, "w1", { email });
+    assert.equal(seat.status, "confirmed");
+  }
+});
+
+test("a workshop at capacity waitlists, and a bad capacity is refused", async () => {
+  const db = createMemoryDb({
+    workshops: {
+      full: { title: "Full", capacity: 0 },
+      broken: { title: "Broken", capacity: "thirty" },
+    },
+  });
+  const waitlisted = await reserveSeat(db, "full", { email: "a@example.com" });
+  assert.equal(waitlisted.status, "waitlisted");
+  const refused = await reserveSeat(db, "broken", { email: "a@example.com" });
+  assert.equal(refused.code, 500);
+});